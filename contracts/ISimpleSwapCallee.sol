@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ISimpleSwapCallee - Flash swap callback
+ * @notice Implemented by contracts that receive the output of a
+ *         SimpleSwapPair.swap called with non-empty data.
+ */
+interface ISimpleSwapCallee {
+    /**
+     * @notice Called by the pair after sending the output tokens; by the time
+     *         it returns, the pair must hold enough input to keep the
+     *         fee-adjusted constant product
+     * @dev msg.sender is the pair; implementations should check it against
+     *      the factory before trusting the call
+     * @param sender Caller of SimpleSwapPair.swap
+     * @param amount0 Amount of token0 sent to the callee
+     * @param amount1 Amount of token1 sent to the callee
+     * @param data Payload passed to SimpleSwapPair.swap
+     */
+    function simpleSwapCall(
+        address sender,
+        uint amount0,
+        uint amount1,
+        bytes calldata data
+    ) external;
+}
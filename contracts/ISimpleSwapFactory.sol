@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ISimpleSwapFactory - Settings read by pairs
+ * @notice The part of SimpleSwapFactory that SimpleSwapPair queries: the
+ *         protocol fee on liquidity events and the global pause on mints
+ *         and swaps.
+ */
+interface ISimpleSwapFactory {
+    /// @notice Recipient of the protocol fee; zero while the fee is off
+    function feeTo() external view returns (address);
+
+    /// @notice Share of the LP fees taken by the protocol, in basis points
+    function protocolFeeShareBps() external view returns (uint16);
+
+    /// @notice Whether trading is paused on every pair
+    function paused() external view returns (bool);
+}
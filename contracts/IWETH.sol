@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title IWETH - Wrapped Ether
+ * @notice ERC-20 backed 1:1 by ETH, used by SimpleSwap for native ETH pools.
+ */
+interface IWETH is IERC20 {
+    /// @notice Wraps msg.value ETH into as many WETH for the caller
+    function deposit() external payable;
+
+    /**
+     * @notice Unwraps WETH and sends the ETH to the caller
+     * @param amount Amount of WETH to unwrap
+     */
+    function withdraw(uint amount) external;
+}
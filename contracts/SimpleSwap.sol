@@ -1,193 +1,30 @@
-/**
- *Submitted for verification at Etherscan.io on 2025-07-20
- */
-
-// File: @openzeppelin/contracts/token/ERC20/IERC20.sol
-
-// OpenZeppelin Contracts (last updated v5.1.0) (token/ERC20/IERC20.sol)
-
-pragma solidity ^0.8.20;
-
-/**
- * @dev Interface of the ERC-20 standard as defined in the ERC.
- */
-interface IERC20 {
-    /**
-     * @dev Emitted when `value` tokens are moved from one account (`from`) to
-     * another (`to`).
-     *
-     * Note that `value` may be zero.
-     */
-    event Transfer(address indexed from, address indexed to, uint256 value);
-
-    /**
-     * @dev Emitted when the allowance of a `spender` for an `owner` is set by
-     * a call to {approve}. `value` is the new allowance.
-     */
-    event Approval(
-        address indexed owner,
-        address indexed spender,
-        uint256 value
-    );
-
-    /**
-     * @dev Returns the value of tokens in existence.
-     */
-    function totalSupply() external view returns (uint256);
-
-    /**
-     * @dev Returns the value of tokens owned by `account`.
-     */
-    function balanceOf(address account) external view returns (uint256);
-
-    /**
-     * @dev Moves a `value` amount of tokens from the caller's account to `to`.
-     *
-     * Returns a boolean value indicating whether the operation succeeded.
-     *
-     * Emits a {Transfer} event.
-     */
-    function transfer(address to, uint256 value) external returns (bool);
-
-    /**
-     * @dev Returns the remaining number of tokens that `spender` will be
-     * allowed to spend on behalf of `owner` through {transferFrom}. This is
-     * zero by default.
-     *
-     * This value changes when {approve} or {transferFrom} are called.
-     */
-    function allowance(
-        address owner,
-        address spender
-    ) external view returns (uint256);
-
-    /**
-     * @dev Sets a `value` amount of tokens as the allowance of `spender` over the
-     * caller's tokens.
-     *
-     * Returns a boolean value indicating whether the operation succeeded.
-     *
-     * IMPORTANT: Beware that changing an allowance with this method brings the risk
-     * that someone may use both the old and the new allowance by unfortunate
-     * transaction ordering. One possible solution to mitigate this race
-     * condition is to first reduce the spender's allowance to 0 and set the
-     * desired value afterwards:
-     * https://github.com/ethereum/EIPs/issues/20#issuecomment-263524729
-     *
-     * Emits an {Approval} event.
-     */
-    function approve(address spender, uint256 value) external returns (bool);
-
-    /**
-     * @dev Moves a `value` amount of tokens from `from` to `to` using the
-     * allowance mechanism. `value` is then deducted from the caller's
-     * allowance.
-     *
-     * Returns a boolean value indicating whether the operation succeeded.
-     *
-     * Emits a {Transfer} event.
-     */
-    function transferFrom(
-        address from,
-        address to,
-        uint256 value
-    ) external returns (bool);
-}
-
-// File: @openzeppelin/contracts/security/ReentrancyGuard.sol
-
-// OpenZeppelin Contracts (last updated v4.9.0) (security/ReentrancyGuard.sol)
-
-pragma solidity ^0.8.0;
-
-/**
- * @dev Contract module that helps prevent reentrant calls to a function.
- *
- * Inheriting from `ReentrancyGuard` will make the {nonReentrant} modifier
- * available, which can be applied to functions to make sure there are no nested
- * (reentrant) calls to them.
- *
- * Note that because there is a single `nonReentrant` guard, functions marked as
- * `nonReentrant` may not call one another. This can be worked around by making
- * those functions `private`, and then adding `external` `nonReentrant` entry
- * points to them.
- *
- * TIP: If you would like to learn more about reentrancy and alternative ways
- * to protect against it, check out our blog post
- * https://blog.openzeppelin.com/reentrancy-after-istanbul/[Reentrancy After Istanbul].
- */
-abstract contract ReentrancyGuard {
-    // Booleans are more expensive than uint256 or any type that takes up a full
-    // word because each write operation emits an extra SLOAD to first read the
-    // slot's contents, replace the bits taken up by the boolean, and then write
-    // back. This is the compiler's defense against contract upgrades and
-    // pointer aliasing, and it cannot be disabled.
-
-    // The values being non-zero value makes deployment a bit more expensive,
-    // but in exchange the refund on every call to nonReentrant will be lower in
-    // amount. Since refunds are capped to a percentage of the total
-    // transaction's gas, it is best to keep them low in cases like this one, to
-    // increase the likelihood of the full refund coming into effect.
-    uint256 private constant _NOT_ENTERED = 1;
-    uint256 private constant _ENTERED = 2;
-
-    uint256 private _status;
-
-    constructor() {
-        _status = _NOT_ENTERED;
-    }
-
-    /**
-     * @dev Prevents a contract from calling itself, directly or indirectly.
-     * Calling a `nonReentrant` function from another `nonReentrant`
-     * function is not supported. It is possible to prevent this from happening
-     * by making the `nonReentrant` function external, and making it call a
-     * `private` function that does the actual work.
-     */
-    modifier nonReentrant() {
-        _nonReentrantBefore();
-        _;
-        _nonReentrantAfter();
-    }
-
-    function _nonReentrantBefore() private {
-        // On the first call to nonReentrant, _status will be _NOT_ENTERED
-        require(_status != _ENTERED, "ReentrancyGuard: reentrant call");
-
-        // Any calls to nonReentrant after this point will fail
-        _status = _ENTERED;
-    }
-
-    function _nonReentrantAfter() private {
-        // By storing the original value once again, a refund is triggered (see
-        // https://eips.ethereum.org/EIPS/eip-2200)
-        _status = _NOT_ENTERED;
-    }
-
-    /**
-     * @dev Returns true if the reentrancy guard is currently set to "entered", which indicates there is a
-     * `nonReentrant` function in the call stack.
-     */
-    function _reentrancyGuardEntered() internal view returns (bool) {
-        return _status == _ENTERED;
-    }
-}
-
-// File: Contratos_2025/Swap/SimpleSwap_v2.sol
-
+// SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
+import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {IWETH} from "./IWETH.sol";
+import {SimpleSwapFactory} from "./SimpleSwapFactory.sol";
+import {SimpleSwapPair} from "./SimpleSwapPair.sol";
+
 /**
  * @title SimpleSwap - Decentralized Exchange Contract
  * @notice A minimal implementation of a decentralized exchange supporting:
  *         - Adding/removing liquidity
  *         - Token swaps
- * @dev Optimized version focusing on:
- *      - Reducing multiple state variable accesses
- *      - Gas efficiency
- *      - Maintaining same functionality as original
+ * @dev Router over the pairs of a SimpleSwapFactory: each pool lives in its
+ *      own SimpleSwapPair (which is also its LP token) and these entry points
+ *      move the caller's tokens into the pair before calling it. Token
+ *      movements go through SafeERC20, so tokens that return false or
+ *      nothing are handled and failures revert with SafeERC20FailedOperation.
  */
 contract SimpleSwap is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
     /**
      * @dev Struct to hold reserve amounts for a token pair
      * @notice Uses uint128 to optimize storage (saves 1 slot vs uint256)
@@ -197,20 +34,18 @@ contract SimpleSwap is ReentrancyGuard {
         uint128 reserveB;
     }
 
-    /**
-     * @dev Struct to manage liquidity pool data
-     * @param totalSupply Total LP tokens minted for the pool
-     * @param balance Mapping of LP token balances per address
-     * @param reserves Current reserves for the token pair
-     */
-    struct LiquidityData {
-        uint totalSupply;
-        mapping(address => uint) balance;
-        Reserves reserves;
-    }
+    /// @notice Swap fee assumed by the pure getAmountOut (0.30%), matching
+    ///         the factory's default for new pairs
+    uint16 public constant DEFAULT_SWAP_FEE_BPS = 30;
 
-    /// @dev Nested mapping to store liquidity data for all token pairs
-    mapping(address => mapping(address => LiquidityData)) public pairs;
+    /// @dev Basis points denominator used by the fee math
+    uint private constant FEE_DENOMINATOR = 10_000;
+
+    /// @notice Factory holding the pairs this router trades against
+    SimpleSwapFactory public immutable factory;
+
+    /// @notice Wrapped Ether used for the native ETH entry points
+    address public immutable WETH;
 
     /**
      * @notice Emitted when liquidity is added to a pool
@@ -255,28 +90,48 @@ contract SimpleSwap is ReentrancyGuard {
      * @param trader Address executing the swap
      * @param amountIn Amount of tokenIn sent
      * @param amountOut Amount of tokenOut received
+     * @param fee Portion of amountIn retained by the pool as LP fee
      */
     event TokensSwapped(
         address indexed tokenIn,
         address indexed tokenOut,
         address indexed trader,
         uint amountIn,
-        uint amountOut
+        uint amountOut,
+        uint fee
     );
 
     /**
-     * @notice Adds liquidity to a token pair
-     * @dev Optimized by loading reserves into memory to minimize storage reads
+     * @param _factory Address of the SimpleSwapFactory to route through
+     * @param _WETH Address of the Wrapped Ether contract
+     */
+    constructor(address _factory, address _WETH) {
+        require(_factory != address(0) && _WETH != address(0), "zero_addr");
+        factory = SimpleSwapFactory(_factory);
+        WETH = _WETH;
+    }
+
+    /// @notice Accepts ETH only from WETH, when unwrapping
+    receive() external payable {
+        require(msg.sender == WETH, "not_weth");
+    }
+
+    /**
+     * @notice Adds liquidity to a token pair, creating the pair if needed
+     * @dev Only the optimal amounts for the current pool ratio are pulled from
+     *      the caller; whichever desired amount is limiting is used in full.
+     *      The minimums and the returned amounts refer to what the pair
+     *      received, which is less than pulled for fee-on-transfer tokens.
      * @param tokenA Address of first token
      * @param tokenB Address of second token
      * @param amountADesired Max amount of tokenA to deposit
      * @param amountBDesired Max amount of tokenB to deposit
-     * @param amountAMin Minimum acceptable amount of tokenA
-     * @param amountBMin Minimum acceptable amount of tokenB
-     * @param to Recipient of LP tokens
+     * @param amountAMin Minimum acceptable amount of tokenA received
+     * @param amountBMin Minimum acceptable amount of tokenB received
+     * @param to Recipient of LP tokens (the pair's SimpleSwapPair token)
      * @param deadline Transaction expiry timestamp
-     * @return amountA Actual amount of tokenA deposited
-     * @return amountB Actual amount of tokenB deposited
+     * @return amountA Amount of tokenA received by the pair
+     * @return amountB Amount of tokenB received by the pair
      * @return liquidity Amount of LP tokens minted
      */
     function addLiquidity(
@@ -294,39 +149,30 @@ contract SimpleSwap is ReentrancyGuard {
         returns (uint amountA, uint amountB, uint liquidity)
     {
         require(block.timestamp <= deadline, "expired");
-        require(tokenA != tokenB, "identical");
-        require(amountADesired > 0 && amountBDesired > 0, "invalid_amt");
-
-        // Transfer tokens from sender
-        IERC20(tokenA).transferFrom(msg.sender, address(this), amountADesired);
-        IERC20(tokenB).transferFrom(msg.sender, address(this), amountBDesired);
-
-        LiquidityData storage pair = pairs[tokenA][tokenB];
-        Reserves memory reserves = pair.reserves; // Cache reserves in memory
-
-        amountA = amountADesired;
-        amountB = (reserves.reserveA == 0)
-            ? amountBDesired
-            : (amountADesired * reserves.reserveB) / reserves.reserveA;
+        address pair;
+        (pair, amountA, amountB) = _addLiquidity(
+            tokenA,
+            tokenB,
+            amountADesired,
+            amountBDesired,
+            amountAMin,
+            amountBMin
+        );
 
+        // Transfer only the amounts credited to the pool, then check what
+        // the pair actually received
+        IERC20(tokenA).safeTransferFrom(msg.sender, pair, amountA);
+        IERC20(tokenB).safeTransferFrom(msg.sender, pair, amountB);
+        (amountA, amountB) = _received(pair, tokenA, tokenB);
         require(amountA >= amountAMin && amountB >= amountBMin, "slippage");
-
-        liquidity = (reserves.reserveA == 0)
-            ? amountA
-            : (amountA * pair.totalSupply) / reserves.reserveA;
-
-        // Update state (single writes)
-        pair.reserves.reserveA = reserves.reserveA + uint128(amountA);
-        pair.reserves.reserveB = reserves.reserveB + uint128(amountB);
-        pair.totalSupply += liquidity;
-        pair.balance[to] += liquidity;
+        liquidity = SimpleSwapPair(pair).mint(to);
 
         emit LiquidityAdded(tokenA, tokenB, to, amountA, amountB, liquidity);
     }
 
     /**
      * @notice Removes liquidity from a token pair
-     * @dev Optimized by caching reserves and totalSupply in memory
+     * @dev The caller must approve this contract to spend its LP tokens
      * @param tokenA Address of first token
      * @param tokenB Address of second token
      * @param liquidity Amount of LP tokens to burn
@@ -347,49 +193,261 @@ contract SimpleSwap is ReentrancyGuard {
         uint deadline
     ) external nonReentrant returns (uint amountA, uint amountB) {
         require(block.timestamp <= deadline, "expired");
-        require(liquidity > 0, "zero_liq");
+        (amountA, amountB) = _removeLiquidity(
+            tokenA,
+            tokenB,
+            liquidity,
+            amountAMin,
+            amountBMin,
+            to
+        );
+    }
+
+    /**
+     * @notice removeLiquidity that first approves the router for the LP
+     *         tokens with an EIP-2612 permit signature
+     * @dev The permit shares the removal's deadline
+     * @param tokenA Address of first token
+     * @param tokenB Address of second token
+     * @param liquidity Amount of LP tokens to burn
+     * @param amountAMin Minimum acceptable amount of tokenA
+     * @param amountBMin Minimum acceptable amount of tokenB
+     * @param to Recipient of withdrawn tokens
+     * @param deadline Transaction and permit expiry timestamp
+     * @param approveMax Whether the permit is for type(uint).max instead of
+     *        liquidity
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     * @return amountA Actual amount of tokenA withdrawn
+     * @return amountB Actual amount of tokenB withdrawn
+     */
+    function removeLiquidityWithPermit(
+        address tokenA,
+        address tokenB,
+        uint liquidity,
+        uint amountAMin,
+        uint amountBMin,
+        address to,
+        uint deadline,
+        bool approveMax,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant returns (uint amountA, uint amountB) {
+        require(block.timestamp <= deadline, "expired");
+        address pair = factory.getPair(tokenA, tokenB);
+        require(pair != address(0), "insuff_bal");
+        IERC20Permit(pair).permit(
+            msg.sender,
+            address(this),
+            approveMax ? type(uint).max : liquidity,
+            deadline,
+            v,
+            r,
+            s
+        );
+        (amountA, amountB) = _removeLiquidity(
+            tokenA,
+            tokenB,
+            liquidity,
+            amountAMin,
+            amountBMin,
+            to
+        );
+    }
 
-        LiquidityData storage pair = pairs[tokenA][tokenB];
-        require(pair.balance[msg.sender] >= liquidity, "insuff_bal");
+    /**
+     * @notice Adds liquidity to a token/WETH pair with native ETH
+     * @dev msg.value is the desired ETH amount; it is wrapped into WETH and
+     *      any ETH above the optimal amount is refunded to the caller. As in
+     *      addLiquidity, the token amounts refer to what the pair received.
+     * @param token Address of the ERC-20 token
+     * @param amountTokenDesired Max amount of token to deposit
+     * @param amountTokenMin Minimum acceptable amount of token received
+     * @param amountETHMin Minimum acceptable amount of ETH
+     * @param to Recipient of LP tokens
+     * @param deadline Transaction expiry timestamp
+     * @return amountToken Amount of token received by the pair
+     * @return amountETH Actual amount of ETH deposited
+     * @return liquidity Amount of LP tokens minted
+     */
+    function addLiquidityETH(
+        address token,
+        uint amountTokenDesired,
+        uint amountTokenMin,
+        uint amountETHMin,
+        address to,
+        uint deadline
+    )
+        external
+        payable
+        nonReentrant
+        returns (uint amountToken, uint amountETH, uint liquidity)
+    {
+        require(block.timestamp <= deadline, "expired");
+        address pair;
+        (pair, amountToken, amountETH) = _addLiquidity(
+            token,
+            WETH,
+            amountTokenDesired,
+            msg.value,
+            amountTokenMin,
+            amountETHMin
+        );
 
-        // Cache state variables in memory
-        Reserves memory reserves = pair.reserves;
-        uint totalSupply = pair.totalSupply;
+        IERC20(token).safeTransferFrom(msg.sender, pair, amountToken);
+        IWETH(WETH).deposit{value: amountETH}();
+        IERC20(WETH).safeTransfer(pair, amountETH);
+        (amountToken, ) = _received(pair, token, WETH);
+        require(amountToken >= amountTokenMin, "slippage");
+        liquidity = SimpleSwapPair(pair).mint(to);
 
-        amountA = (liquidity * reserves.reserveA) / totalSupply;
-        amountB = (liquidity * reserves.reserveB) / totalSupply;
+        emit LiquidityAdded(token, WETH, to, amountToken, amountETH, liquidity);
 
-        require(amountA >= amountAMin && amountB >= amountBMin, "slippage");
+        if (msg.value > amountETH) {
+            Address.sendValue(payable(msg.sender), msg.value - amountETH);
+        }
+    }
 
-        // Update state (single writes)
-        pair.reserves.reserveA = reserves.reserveA - uint128(amountA);
-        pair.reserves.reserveB = reserves.reserveB - uint128(amountB);
-        pair.totalSupply = totalSupply - liquidity;
-        pair.balance[msg.sender] -= liquidity;
+    /**
+     * @notice Removes liquidity from a token/WETH pair, paying out native ETH
+     * @dev The caller must approve this contract to spend its LP tokens
+     * @param token Address of the ERC-20 token
+     * @param liquidity Amount of LP tokens to burn
+     * @param amountTokenMin Minimum acceptable amount of token
+     * @param amountETHMin Minimum acceptable amount of ETH
+     * @param to Recipient of the token and ETH
+     * @param deadline Transaction expiry timestamp
+     * @return amountToken Actual amount of token withdrawn
+     * @return amountETH Actual amount of ETH withdrawn
+     */
+    function removeLiquidityETH(
+        address token,
+        uint liquidity,
+        uint amountTokenMin,
+        uint amountETHMin,
+        address to,
+        uint deadline
+    ) external nonReentrant returns (uint amountToken, uint amountETH) {
+        require(block.timestamp <= deadline, "expired");
+        (amountToken, amountETH) = _removeLiquidity(
+            token,
+            WETH,
+            liquidity,
+            amountTokenMin,
+            amountETHMin,
+            address(this)
+        );
 
-        // Transfer tokens to recipient
-        IERC20(tokenA).transfer(to, amountA);
-        IERC20(tokenB).transfer(to, amountB);
+        IERC20(token).safeTransfer(to, amountToken);
+        IWETH(WETH).withdraw(amountETH);
+        Address.sendValue(payable(to), amountETH);
+    }
 
-        emit LiquidityRemoved(
-            tokenA,
-            tokenB,
+    /**
+     * @notice Adds liquidity with a single token: swaps part of amountIn for
+     *         the other token through the same pair and deposits both
+     * @dev The swapped portion accounts for the pair's fee and the swap's own
+     *      price impact, so both sides match the post-swap pool ratio. Only
+     *      the tokenIn actually used is pulled from the caller, and any
+     *      tokenOther left over from rounding is sent back to the caller.
+     * @param tokenIn Token provided by the caller
+     * @param tokenOther Other token of the pair
+     * @param amountIn Amount of tokenIn to provide
+     * @param liquidityMin Minimum acceptable amount of LP tokens
+     * @param to Recipient of LP tokens
+     * @param deadline Transaction expiry timestamp
+     * @return amountSwapped Portion of amountIn swapped for tokenOther
+     * @return liquidity Amount of LP tokens minted
+     */
+    function zapIn(
+        address tokenIn,
+        address tokenOther,
+        uint amountIn,
+        uint liquidityMin,
+        address to,
+        uint deadline
+    ) external nonReentrant returns (uint amountSwapped, uint liquidity) {
+        require(block.timestamp <= deadline, "expired");
+        require(tokenIn != tokenOther, "identical");
+        require(amountIn > 0, "zero_input");
+        require(amountIn <= type(uint128).max, "overflow");
+        (address pair, uint reserveIn, uint reserveOut) = _getReserves(
+            tokenIn,
+            tokenOther
+        );
+        require(reserveIn > 0 && reserveOut > 0, "bad_resv");
+        uint feeBps = SimpleSwapPair(pair).swapFeeBps();
+
+        // Swap the optimal share into the router; dust inputs leave nothing
+        // to swap or nothing to deposit
+        amountSwapped = _zapSwapAmount(amountIn, reserveIn, feeBps);
+        require(amountSwapped > 0, "zap_too_small");
+        uint amountOut = getAmountOutWithFee(
+            amountSwapped,
+            reserveIn,
+            reserveOut,
+            feeBps
+        );
+        require(amountOut > 0 && amountSwapped < amountIn, "zap_too_small");
+        IERC20(tokenIn).safeTransferFrom(msg.sender, pair, amountSwapped);
+        (uint amount0Out, uint amount1Out) = tokenIn < tokenOther
+            ? (uint(0), amountOut)
+            : (amountOut, uint(0));
+        SimpleSwapPair(pair).swap(
+            amount0Out,
+            amount1Out,
+            address(this),
+            new bytes(0)
+        );
+        emit TokensSwapped(
+            tokenIn,
+            tokenOther,
             msg.sender,
+            amountSwapped,
+            amountOut,
+            (amountSwapped * feeBps) / FEE_DENOMINATOR
+        );
+
+        // Deposit the rest against the post-swap reserves
+        (, uint amountA, uint amountB) = _addLiquidity(
+            tokenIn,
+            tokenOther,
+            amountIn - amountSwapped,
+            amountOut,
+            0,
+            0
+        );
+        IERC20(tokenIn).safeTransferFrom(msg.sender, pair, amountA);
+        IERC20(tokenOther).safeTransfer(pair, amountB);
+        liquidity = SimpleSwapPair(pair).mint(to);
+        require(liquidity >= liquidityMin, "slippage");
+
+        emit LiquidityAdded(
+            tokenIn,
+            tokenOther,
+            to,
             amountA,
             amountB,
             liquidity
         );
+
+        if (amountOut > amountB) {
+            IERC20(tokenOther).safeTransfer(msg.sender, amountOut - amountB);
+        }
     }
 
     /**
      * @notice Swaps exact tokens for tokens along specified path
-     * @dev Optimized by caching reserves in memory
+     * @dev Each hop is quoted against its pair's live reserves and fee, and
+     *      its output is sent straight to the next pair in the path
      * @param amountIn Exact amount of input tokens to send
-     * @param amountOutMin Minimum amount of output tokens to receive
-     * @param path Array with [tokenIn, tokenOut]
+     * @param amountOutMin Minimum amount of final output tokens to receive
+     * @param path Token route [tokenIn, ..., tokenOut], at least two entries
      * @param to Recipient of output tokens
      * @param deadline Transaction expiry timestamp
-     * @return amounts Array with [amountIn, amountOut]
+     * @return amounts Input amount followed by the output of every hop
      */
     function swapExactTokensForTokens(
         uint amountIn,
@@ -399,35 +457,234 @@ contract SimpleSwap is ReentrancyGuard {
         uint deadline
     ) external nonReentrant returns (uint[] memory amounts) {
         require(block.timestamp <= deadline, "expired");
-        require(path.length == 2, "invalid_path");
+        amounts = _swapExactTokensForTokens(amountIn, amountOutMin, path, to);
+    }
+
+    /**
+     * @notice swapExactTokensForTokens that first approves the router for
+     *         the input token with an EIP-2612 permit signature
+     * @dev The permit shares the swap's deadline
+     * @param amountIn Exact amount of input tokens to send
+     * @param amountOutMin Minimum amount of final output tokens to receive
+     * @param path Token route [tokenIn, ..., tokenOut], at least two entries
+     * @param to Recipient of output tokens
+     * @param deadline Transaction and permit expiry timestamp
+     * @param approveMax Whether the permit is for type(uint).max instead of
+     *        amountIn
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     * @return amounts Input amount followed by the output of every hop
+     */
+    function swapExactTokensForTokensWithPermit(
+        uint amountIn,
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline,
+        bool approveMax,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant returns (uint[] memory amounts) {
+        require(block.timestamp <= deadline, "expired");
+        require(path.length >= 2, "invalid_path");
+        IERC20Permit(path[0]).permit(
+            msg.sender,
+            address(this),
+            approveMax ? type(uint).max : amountIn,
+            deadline,
+            v,
+            r,
+            s
+        );
+        amounts = _swapExactTokensForTokens(amountIn, amountOutMin, path, to);
+    }
+
+    /**
+     * @notice Swaps exact tokens for tokens along specified path, for tokens
+     *         that take a fee on transfer (or otherwise deliver less than
+     *         the amount sent)
+     * @dev Each hop's input is measured as the pair's balance above its
+     *      reserve, and amountOutMin is checked against what `to` actually
+     *      receives, so nothing is quoted up front
+     * @param amountIn Exact amount of input tokens to send
+     * @param amountOutMin Minimum amount of final output tokens to receive
+     * @param path Token route [tokenIn, ..., tokenOut], at least two entries
+     * @param to Recipient of output tokens
+     * @param deadline Transaction expiry timestamp
+     */
+    function swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        uint amountIn,
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) external nonReentrant {
+        require(block.timestamp <= deadline, "expired");
+        require(path.length >= 2, "invalid_path");
         require(amountIn > 0, "zero_input");
 
-        address tokenIn = path[0];
-        address tokenOut = path[1];
+        address firstPair = factory.getPair(path[0], path[1]);
+        require(firstPair != address(0), "no_pair");
+        IERC20(path[0]).safeTransferFrom(msg.sender, firstPair, amountIn);
+
+        IERC20 tokenOut = IERC20(path[path.length - 1]);
+        uint balanceBefore = tokenOut.balanceOf(to);
+        _swapSupportingFeeOnTransferTokens(path, to);
+        require(
+            tokenOut.balanceOf(to) - balanceBefore >= amountOutMin,
+            "slippage"
+        );
+    }
+
+    /**
+     * @notice Swaps exact native ETH for tokens along specified path
+     * @dev msg.value is wrapped into WETH, which must be the first token of
+     *      the path
+     * @param amountOutMin Minimum amount of final output tokens to receive
+     * @param path Token route [WETH, ..., tokenOut], at least two entries
+     * @param to Recipient of output tokens
+     * @param deadline Transaction expiry timestamp
+     * @return amounts Input amount followed by the output of every hop
+     */
+    function swapExactETHForTokens(
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) external payable nonReentrant returns (uint[] memory amounts) {
+        require(block.timestamp <= deadline, "expired");
+        require(path.length >= 2 && path[0] == WETH, "invalid_path");
+        require(msg.value > 0, "zero_input");
 
-        LiquidityData storage pair = pairs[tokenIn][tokenOut];
-        Reserves memory reserves = pair.reserves; // Cache reserves in memory
+        uint[] memory feesBps;
+        (amounts, feesBps) = _getAmountsOut(msg.value, path);
+        require(amounts[amounts.length - 1] >= amountOutMin, "slippage");
 
-        IERC20(tokenIn).transferFrom(msg.sender, address(this), amountIn);
+        IWETH(WETH).deposit{value: msg.value}();
+        IERC20(WETH).safeTransfer(factory.getPair(path[0], path[1]), msg.value);
+        _swap(amounts, feesBps, path, to);
+    }
 
-        uint amountOut = getAmountOut(
-            amountIn,
-            reserves.reserveA,
-            reserves.reserveB
+    /**
+     * @notice Swaps exact tokens for native ETH along specified path
+     * @dev WETH must be the last token of the path; the router receives it
+     *      from the last pair and unwraps it for the recipient
+     * @param amountIn Exact amount of input tokens to send
+     * @param amountOutMin Minimum amount of ETH to receive
+     * @param path Token route [tokenIn, ..., WETH], at least two entries
+     * @param to Recipient of the ETH
+     * @param deadline Transaction expiry timestamp
+     * @return amounts Input amount followed by the output of every hop
+     */
+    function swapExactTokensForETH(
+        uint amountIn,
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) external nonReentrant returns (uint[] memory amounts) {
+        require(block.timestamp <= deadline, "expired");
+        require(
+            path.length >= 2 && path[path.length - 1] == WETH,
+            "invalid_path"
         );
+        require(amountIn > 0, "zero_input");
+
+        uint[] memory feesBps;
+        (amounts, feesBps) = _getAmountsOut(amountIn, path);
+        uint amountOut = amounts[amounts.length - 1];
         require(amountOut >= amountOutMin, "slippage");
 
-        // Update state (single writes)
-        pair.reserves.reserveA = reserves.reserveA + uint128(amountIn);
-        pair.reserves.reserveB = reserves.reserveB - uint128(amountOut);
+        IERC20(path[0]).safeTransferFrom(
+            msg.sender,
+            factory.getPair(path[0], path[1]),
+            amountIn
+        );
+        _swap(amounts, feesBps, path, address(this));
+        IWETH(WETH).withdraw(amountOut);
+        Address.sendValue(payable(to), amountOut);
+    }
+
+    /**
+     * @notice Swaps as few input tokens as needed to receive an exact amount
+     *         of output tokens along specified path
+     * @dev Hops are quoted backwards from amountOut with getAmountInWithFee,
+     *      then executed like swapExactTokensForTokens
+     * @param amountOut Exact amount of final output tokens to receive
+     * @param amountInMax Maximum amount of input tokens to spend
+     * @param path Token route [tokenIn, ..., tokenOut], at least two entries
+     * @param to Recipient of output tokens
+     * @param deadline Transaction expiry timestamp
+     * @return amounts Input amount followed by the output of every hop
+     */
+    function swapTokensForExactTokens(
+        uint amountOut,
+        uint amountInMax,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) external nonReentrant returns (uint[] memory amounts) {
+        require(block.timestamp <= deadline, "expired");
+        require(path.length >= 2, "invalid_path");
+        require(amountOut > 0, "zero_output");
 
-        IERC20(tokenOut).transfer(to, amountOut);
+        uint[] memory feesBps;
+        (amounts, feesBps) = _getAmountsIn(amountOut, path);
+        require(amounts[0] <= amountInMax, "slippage");
 
-        amounts = new uint[](2);
-        amounts[0] = amountIn;
-        amounts[1] = amountOut;
+        IERC20(path[0]).safeTransferFrom(
+            msg.sender,
+            factory.getPair(path[0], path[1]),
+            amounts[0]
+        );
+        _swap(amounts, feesBps, path, to);
+    }
+
+    /**
+     * @notice Returns the pool data for a token pair in the caller's order
+     * @dev Either argument order resolves to the same pool; reserves are
+     *      mapped so that reserveA belongs to tokenA and reserveB to tokenB
+     * @param tokenA Address of first token
+     * @param tokenB Address of second token
+     * @return totalSupply Total LP tokens minted for the pool
+     * @return reserves Current reserves ordered as (tokenA, tokenB)
+     * @return feeBps Swap fee charged by the pool in basis points
+     */
+    function pairs(
+        address tokenA,
+        address tokenB
+    )
+        external
+        view
+        returns (uint totalSupply, Reserves memory reserves, uint feeBps)
+    {
+        (address pair, uint reserveA, uint reserveB) = _getReserves(
+            tokenA,
+            tokenB
+        );
+        reserves = Reserves(uint128(reserveA), uint128(reserveB));
+        if (pair == address(0)) {
+            feeBps = factory.DEFAULT_SWAP_FEE_BPS();
+        } else {
+            totalSupply = SimpleSwapPair(pair).totalSupply();
+            feeBps = SimpleSwapPair(pair).swapFeeBps();
+        }
+    }
 
-        emit TokensSwapped(tokenIn, tokenOut, msg.sender, amountIn, amountOut);
+    /**
+     * @notice Returns the LP token of a pair in either argument order
+     * @dev The pair contract is its own LP token, so this is the pair address
+     * @param tokenA Address of first token
+     * @param tokenB Address of second token
+     * @return lpToken Address of the LP token (zero before the pair exists)
+     */
+    function getLPToken(
+        address tokenA,
+        address tokenB
+    ) external view returns (address lpToken) {
+        lpToken = factory.getPair(tokenA, tokenB);
     }
 
     /**
@@ -440,14 +697,124 @@ contract SimpleSwap is ReentrancyGuard {
         address tokenA,
         address tokenB
     ) external view returns (uint price) {
-        Reserves memory reserves = pairs[tokenA][tokenB].reserves;
-        require(reserves.reserveA > 0 && reserves.reserveB > 0, "zero_resv");
-        price = (uint(reserves.reserveA) * 1e18) / reserves.reserveB;
+        (, uint reserveA, uint reserveB) = _getReserves(tokenA, tokenB);
+        require(reserveA > 0 && reserveB > 0, "zero_resv");
+        price = (reserveA * 1e18) / reserveB;
+    }
+
+    /**
+     * @notice Returns the time-weighted average of getPrice(tokenA, tokenB)
+     *         over the last `window` seconds
+     * @dev Reads the pair's price accumulators (see SimpleSwapPair.consult),
+     *      so unlike getPrice it cannot be moved by a swap in the same block
+     * @param tokenA The base token
+     * @param tokenB The quote token
+     * @param window Length of the averaging window in seconds
+     * @return priceAverage Average price in getPrice terms (scaled by 1e18)
+     */
+    function consult(
+        address tokenA,
+        address tokenB,
+        uint32 window
+    ) external view returns (uint priceAverage) {
+        (address token0, ) = sortTokens(tokenA, tokenB);
+        address pair = factory.getPair(tokenA, tokenB);
+        require(pair != address(0), "no_pair");
+        (uint price0Average, uint price1Average) = SimpleSwapPair(pair).consult(
+            window
+        );
+        // getPrice is reserveA / reserveB, i.e. tokenB priced in tokenA
+        priceAverage = tokenA == token0 ? price1Average : price0Average;
+    }
+
+    /**
+     * @notice Quotes swapExactTokensForTokens against live reserves
+     * @dev priceImpactBps compares the final output with the output at the
+     *      current spot price of every hop after fees, i.e. the loss caused
+     *      by moving the reserves (fees are excluded from the figure)
+     * @param amountIn Exact amount of input tokens to send
+     * @param path Token route [tokenIn, ..., tokenOut], at least two entries
+     * @return amounts Input amount followed by the output of every hop
+     * @return priceImpactBps Price impact of the whole route in basis points
+     */
+    function getAmountsOut(
+        uint amountIn,
+        address[] calldata path
+    ) external view returns (uint[] memory amounts, uint priceImpactBps) {
+        require(path.length >= 2, "invalid_path");
+        (amounts, ) = _getAmountsOut(amountIn, path);
+
+        uint spotOut = amountIn;
+        for (uint i; i < path.length - 1; i++) {
+            (uint reserveIn, uint reserveOut, uint feeBps) = _getHop(
+                path[i],
+                path[i + 1]
+            );
+            spotOut =
+                (spotOut * (FEE_DENOMINATOR - feeBps) * reserveOut) /
+                (reserveIn * FEE_DENOMINATOR);
+        }
+        uint amountOut = amounts[amounts.length - 1];
+        if (spotOut > amountOut) {
+            priceImpactBps =
+                ((spotOut - amountOut) * FEE_DENOMINATOR) /
+                spotOut;
+        }
+    }
+
+    /**
+     * @notice Quotes swapTokensForExactTokens against live reserves
+     * @dev priceImpactBps compares the required input with the input needed
+     *      at the current spot price of every hop after fees
+     * @param amountOut Exact amount of final output tokens to receive
+     * @param path Token route [tokenIn, ..., tokenOut], at least two entries
+     * @return amounts Input amount followed by the output of every hop
+     * @return priceImpactBps Price impact of the whole route in basis points
+     */
+    function getAmountsIn(
+        uint amountOut,
+        address[] calldata path
+    ) external view returns (uint[] memory amounts, uint priceImpactBps) {
+        require(path.length >= 2, "invalid_path");
+        (amounts, ) = _getAmountsIn(amountOut, path);
+
+        uint spotIn = amountOut;
+        for (uint i = path.length - 1; i > 0; i--) {
+            (uint reserveIn, uint reserveOut, uint feeBps) = _getHop(
+                path[i - 1],
+                path[i]
+            );
+            spotIn =
+                (spotIn * reserveIn * FEE_DENOMINATOR) /
+                (reserveOut * (FEE_DENOMINATOR - feeBps));
+        }
+        uint amountIn = amounts[0];
+        if (amountIn > spotIn) {
+            priceImpactBps = ((amountIn - spotIn) * FEE_DENOMINATOR) / amountIn;
+        }
+    }
+
+    /**
+     * @notice Returns the amount of tokenB equivalent to amountA at the
+     *         current pool ratio (no fee, no price impact)
+     * @param amountA Amount of tokenA
+     * @param reserveA Reserve of tokenA
+     * @param reserveB Reserve of tokenB
+     * @return amountB Equivalent amount of tokenB
+     */
+    function quote(
+        uint amountA,
+        uint reserveA,
+        uint reserveB
+    ) public pure returns (uint amountB) {
+        require(amountA > 0, "invalid_amt");
+        require(reserveA > 0 && reserveB > 0, "bad_resv");
+        amountB = (amountA * reserveB) / reserveA;
     }
 
     /**
      * @notice Calculates output amount for given input amount and reserves
-     * @dev Uses constant product formula: amountOut = (amountIn * reserveOut) / (reserveIn + amountIn)
+     *         using the default swap fee
      * @param amountIn Input token amount
      * @param reserveIn Reserve of input token
      * @param reserveOut Reserve of output token
@@ -457,10 +824,424 @@ contract SimpleSwap is ReentrancyGuard {
         uint amountIn,
         uint reserveIn,
         uint reserveOut
+    ) public pure returns (uint amountOut) {
+        amountOut = getAmountOutWithFee(
+            amountIn,
+            reserveIn,
+            reserveOut,
+            DEFAULT_SWAP_FEE_BPS
+        );
+    }
+
+    /**
+     * @notice Calculates output amount for given input amount, reserves and fee
+     * @dev Uses constant product formula on the fee-adjusted input:
+     *      amountOut = (amountIn' * reserveOut) / (reserveIn + amountIn'),
+     *      where amountIn' = amountIn * (10000 - feeBps) / 10000
+     * @param amountIn Input token amount
+     * @param reserveIn Reserve of input token
+     * @param reserveOut Reserve of output token
+     * @param feeBps Swap fee in basis points
+     * @return amountOut Output token amount
+     */
+    function getAmountOutWithFee(
+        uint amountIn,
+        uint reserveIn,
+        uint reserveOut,
+        uint feeBps
     ) public pure returns (uint amountOut) {
         require(amountIn > 0, "zero_input");
         require(reserveIn > 0 && reserveOut > 0, "bad_resv");
+        require(feeBps < FEE_DENOMINATOR, "bad_fee");
+
+        uint amountInWithFee = amountIn * (FEE_DENOMINATOR - feeBps);
+        amountOut =
+            (amountInWithFee * reserveOut) /
+            (reserveIn * FEE_DENOMINATOR + amountInWithFee);
+    }
+
+    /**
+     * @notice Calculates the input amount needed for a given output amount
+     *         and reserves using the default swap fee
+     * @param amountOut Desired output token amount
+     * @param reserveIn Reserve of input token
+     * @param reserveOut Reserve of output token
+     * @return amountIn Required input token amount
+     */
+    function getAmountIn(
+        uint amountOut,
+        uint reserveIn,
+        uint reserveOut
+    ) public pure returns (uint amountIn) {
+        amountIn = getAmountInWithFee(
+            amountOut,
+            reserveIn,
+            reserveOut,
+            DEFAULT_SWAP_FEE_BPS
+        );
+    }
+
+    /**
+     * @notice Calculates the input amount needed for a given output amount,
+     *         reserves and fee
+     * @dev Inverse of getAmountOutWithFee, rounded up so that quoting the
+     *      result forward yields at least amountOut:
+     *      amountIn = reserveIn * amountOut * 10000 /
+     *                 ((reserveOut - amountOut) * (10000 - feeBps)) + 1
+     * @param amountOut Desired output token amount
+     * @param reserveIn Reserve of input token
+     * @param reserveOut Reserve of output token
+     * @param feeBps Swap fee in basis points
+     * @return amountIn Required input token amount
+     */
+    function getAmountInWithFee(
+        uint amountOut,
+        uint reserveIn,
+        uint reserveOut,
+        uint feeBps
+    ) public pure returns (uint amountIn) {
+        require(amountOut > 0, "zero_output");
+        require(reserveIn > 0 && reserveOut > 0, "bad_resv");
+        require(amountOut < reserveOut, "insuff_liq");
+        require(feeBps < FEE_DENOMINATOR, "bad_fee");
 
-        amountOut = (amountIn * reserveOut) / (reserveIn + amountIn);
+        amountIn =
+            (reserveIn * amountOut * FEE_DENOMINATOR) /
+            ((reserveOut - amountOut) * (FEE_DENOMINATOR - feeBps)) +
+            1;
+    }
+
+    /**
+     * @notice Sorts two token addresses into canonical pair order
+     * @param tokenA Address of first token
+     * @param tokenB Address of second token
+     * @return token0 The lower of the two addresses
+     * @return token1 The higher of the two addresses
+     */
+    function sortTokens(
+        address tokenA,
+        address tokenB
+    ) public pure returns (address token0, address token1) {
+        require(tokenA != tokenB, "identical");
+        (token0, token1) = tokenA < tokenB
+            ? (tokenA, tokenB)
+            : (tokenB, tokenA);
+        require(token0 != address(0), "zero_addr");
+    }
+
+    /**
+     * @dev Quotes and executes an exact-input swap, pulling amountIn from
+     *      the caller into the first pair
+     */
+    function _swapExactTokensForTokens(
+        uint amountIn,
+        uint amountOutMin,
+        address[] calldata path,
+        address to
+    ) private returns (uint[] memory amounts) {
+        require(path.length >= 2, "invalid_path");
+        require(amountIn > 0, "zero_input");
+
+        uint[] memory feesBps;
+        (amounts, feesBps) = _getAmountsOut(amountIn, path);
+        require(amounts[amounts.length - 1] >= amountOutMin, "slippage");
+
+        IERC20(path[0]).safeTransferFrom(
+            msg.sender,
+            factory.getPair(path[0], path[1]),
+            amountIn
+        );
+        _swap(amounts, feesBps, path, to);
+    }
+
+    /**
+     * @dev Creates the pair if needed and returns the optimal deposit for
+     *      the current pool ratio, checked against the minimums
+     */
+    function _addLiquidity(
+        address tokenA,
+        address tokenB,
+        uint amountADesired,
+        uint amountBDesired,
+        uint amountAMin,
+        uint amountBMin
+    ) private returns (address pair, uint amountA, uint amountB) {
+        require(tokenA != tokenB, "identical");
+        require(amountADesired > 0 && amountBDesired > 0, "invalid_amt");
+
+        uint reserveA;
+        uint reserveB;
+        (pair, reserveA, reserveB) = _getReserves(tokenA, tokenB);
+        if (pair == address(0)) {
+            pair = factory.createPair(tokenA, tokenB);
+        }
+
+        if (reserveA == 0 && reserveB == 0) {
+            (amountA, amountB) = (amountADesired, amountBDesired);
+        } else {
+            uint amountBOptimal = quote(amountADesired, reserveA, reserveB);
+            if (amountBOptimal <= amountBDesired) {
+                (amountA, amountB) = (amountADesired, amountBOptimal);
+            } else {
+                uint amountAOptimal = quote(amountBDesired, reserveB, reserveA);
+                (amountA, amountB) = (amountAOptimal, amountBDesired);
+            }
+        }
+
+        require(amountA >= amountAMin && amountB >= amountBMin, "slippage");
+    }
+
+    /**
+     * @dev Returns the pair's balances above its reserves in (tokenA, tokenB)
+     *      order, i.e. the deposit credited by its next mint
+     */
+    function _received(
+        address pair,
+        address tokenA,
+        address tokenB
+    ) private view returns (uint amountA, uint amountB) {
+        (, uint reserveA, uint reserveB) = _getReserves(tokenA, tokenB);
+        amountA = IERC20(tokenA).balanceOf(pair) - reserveA;
+        amountB = IERC20(tokenB).balanceOf(pair) - reserveB;
+    }
+
+    /**
+     * @dev Returns the share s of amountIn that zapIn swaps so that
+     *      amountIn - s and the swap output match the pool ratio after the
+     *      swap. With g = 1 - fee it is the positive root of
+     *      g*s^2 + (1 + g)*reserveIn*s - amountIn*reserveIn = 0, computed in
+     *      basis points to stay in integers. The root is taken in the form
+     *      2*amountIn*reserveIn / (b + sqrt(b^2 + 4*g*amountIn*reserveIn)),
+     *      b = (1 + g)*reserveIn, whose discriminant can exceed 256 bits for
+     *      large reserves: it is then square-rooted at a power-of-4 scale.
+     */
+    function _zapSwapAmount(
+        uint amountIn,
+        uint reserveIn,
+        uint feeBps
+    ) private pure returns (uint) {
+        uint gamma = FEE_DENOMINATOR - feeBps;
+        uint c = FEE_DENOMINATOR + gamma;
+        // b^2 + 4*g*amountIn*reserveIn = reserveIn * x, in basis points
+        uint x = reserveIn * c * c + 4 * gamma * FEE_DENOMINATOR * amountIn;
+        (uint high, uint low) = Math.mul512(reserveIn, x);
+        uint root;
+        if (high == 0) {
+            root = Math.sqrt(low);
+        } else {
+            // sqrt(d) = sqrt(d / 4^k) * 2^k, with d / 4^k below 2^256
+            uint k = Math.log2(high) / 2 + 1;
+            root = Math.sqrt(Math.mulDiv(reserveIn, x, 1 << (2 * k))) << k;
+        }
+        return
+            Math.mulDiv(
+                2 * FEE_DENOMINATOR * amountIn,
+                reserveIn,
+                reserveIn * c + root
+            );
+    }
+
+    /**
+     * @dev Burns the caller's LP tokens and sends both tokens to `to`,
+     *      returning the amounts in (tokenA, tokenB) order
+     */
+    function _removeLiquidity(
+        address tokenA,
+        address tokenB,
+        uint liquidity,
+        uint amountAMin,
+        uint amountBMin,
+        address to
+    ) private returns (uint amountA, uint amountB) {
+        require(liquidity > 0, "zero_liq");
+
+        (address token0, ) = sortTokens(tokenA, tokenB);
+        address pair = factory.getPair(tokenA, tokenB);
+        require(
+            pair != address(0) &&
+                SimpleSwapPair(pair).balanceOf(msg.sender) >= liquidity,
+            "insuff_bal"
+        );
+
+        // Send LP tokens to the pair and burn them there
+        IERC20(pair).safeTransferFrom(msg.sender, pair, liquidity);
+        (uint amount0, uint amount1) = SimpleSwapPair(pair).burn(to);
+        (amountA, amountB) = tokenA == token0
+            ? (amount0, amount1)
+            : (amount1, amount0);
+
+        require(amountA >= amountAMin && amountB >= amountBMin, "slippage");
+
+        emit LiquidityRemoved(
+            tokenA,
+            tokenB,
+            msg.sender,
+            amountA,
+            amountB,
+            liquidity
+        );
+    }
+
+    /**
+     * @dev Quotes every hop of a path against live reserves, returning the
+     *      per-hop amounts and the fee charged by each hop's pair
+     */
+    function _getAmountsOut(
+        uint amountIn,
+        address[] calldata path
+    ) private view returns (uint[] memory amounts, uint[] memory feesBps) {
+        amounts = new uint[](path.length);
+        feesBps = new uint[](path.length - 1);
+        amounts[0] = amountIn;
+        for (uint i; i < path.length - 1; i++) {
+            uint reserveIn;
+            uint reserveOut;
+            (reserveIn, reserveOut, feesBps[i]) = _getHop(path[i], path[i + 1]);
+            amounts[i + 1] = getAmountOutWithFee(
+                amounts[i],
+                reserveIn,
+                reserveOut,
+                feesBps[i]
+            );
+        }
+    }
+
+    /**
+     * @dev Quotes every hop of a path backwards from the final output,
+     *      returning the per-hop amounts and the fee of each hop's pair
+     */
+    function _getAmountsIn(
+        uint amountOut,
+        address[] calldata path
+    ) private view returns (uint[] memory amounts, uint[] memory feesBps) {
+        amounts = new uint[](path.length);
+        feesBps = new uint[](path.length - 1);
+        amounts[amounts.length - 1] = amountOut;
+        for (uint i = path.length - 1; i > 0; i--) {
+            uint reserveIn;
+            uint reserveOut;
+            (reserveIn, reserveOut, feesBps[i - 1]) = _getHop(
+                path[i - 1],
+                path[i]
+            );
+            amounts[i - 1] = getAmountInWithFee(
+                amounts[i],
+                reserveIn,
+                reserveOut,
+                feesBps[i - 1]
+            );
+        }
+    }
+
+    /**
+     * @dev Executes pre-quoted hops; the first pair must already hold the
+     *      input. Intermediate outputs go directly to the next hop's pair.
+     */
+    function _swap(
+        uint[] memory amounts,
+        uint[] memory feesBps,
+        address[] calldata path,
+        address _to
+    ) private {
+        for (uint i; i < path.length - 1; i++) {
+            (address input, address output) = (path[i], path[i + 1]);
+            uint amountOut = amounts[i + 1];
+            (uint amount0Out, uint amount1Out) = input < output
+                ? (uint(0), amountOut)
+                : (amountOut, uint(0));
+            address to = i < path.length - 2
+                ? factory.getPair(output, path[i + 2])
+                : _to;
+            SimpleSwapPair(factory.getPair(input, output)).swap(
+                amount0Out,
+                amount1Out,
+                to,
+                new bytes(0)
+            );
+
+            emit TokensSwapped(
+                input,
+                output,
+                msg.sender,
+                amounts[i],
+                amountOut,
+                (amounts[i] * feesBps[i]) / FEE_DENOMINATOR
+            );
+        }
+    }
+
+    /**
+     * @dev Returns the reserves of one hop in trade direction and the fee of
+     *      its pair (the default fee if the pair does not exist yet)
+     */
+    function _getHop(
+        address tokenIn,
+        address tokenOut
+    ) private view returns (uint reserveIn, uint reserveOut, uint feeBps) {
+        address pair;
+        (pair, reserveIn, reserveOut) = _getReserves(tokenIn, tokenOut);
+        feeBps = pair == address(0)
+            ? DEFAULT_SWAP_FEE_BPS
+            : SimpleSwapPair(pair).swapFeeBps();
+    }
+
+    /**
+     * @dev Executes hops whose input is whatever each pair received above
+     *      its reserve; the first pair must already hold the input
+     */
+    function _swapSupportingFeeOnTransferTokens(
+        address[] calldata path,
+        address _to
+    ) private {
+        for (uint i; i < path.length - 1; i++) {
+            (address input, address output) = (path[i], path[i + 1]);
+            address pair = factory.getPair(input, output);
+            (uint reserveIn, uint reserveOut, uint feeBps) = _getHop(
+                input,
+                output
+            );
+            uint amountIn = IERC20(input).balanceOf(pair) - reserveIn;
+            uint amountOut = getAmountOutWithFee(
+                amountIn,
+                reserveIn,
+                reserveOut,
+                feeBps
+            );
+            (uint amount0Out, uint amount1Out) = input < output
+                ? (uint(0), amountOut)
+                : (amountOut, uint(0));
+            address to = i < path.length - 2
+                ? factory.getPair(output, path[i + 2])
+                : _to;
+            SimpleSwapPair(pair).swap(amount0Out, amount1Out, to, new bytes(0));
+
+            emit TokensSwapped(
+                input,
+                output,
+                msg.sender,
+                amountIn,
+                amountOut,
+                (amountIn * feeBps) / FEE_DENOMINATOR
+            );
+        }
+    }
+
+    /**
+     * @dev Looks up a pair in either order and returns its reserves mapped to
+     *      the caller's (tokenA, tokenB) direction; zeros if it does not exist
+     */
+    function _getReserves(
+        address tokenA,
+        address tokenB
+    ) private view returns (address pair, uint reserveA, uint reserveB) {
+        (address token0, ) = sortTokens(tokenA, tokenB);
+        pair = factory.getPair(tokenA, tokenB);
+        if (pair == address(0)) {
+            return (pair, 0, 0);
+        }
+        (uint reserve0, uint reserve1) = SimpleSwapPair(pair).getReserves();
+        (reserveA, reserveB) = tokenA == token0
+            ? (reserve0, reserve1)
+            : (reserve1, reserve0);
     }
 }
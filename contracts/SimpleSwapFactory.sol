@@ -0,0 +1,232 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {AccessControl} from "@openzeppelin/contracts/access/AccessControl.sol";
+import {SimpleSwapPair} from "./SimpleSwapPair.sol";
+
+/**
+ * @title SimpleSwapFactory - Registry and deployer of SimpleSwap pairs
+ * @notice Deploys one SimpleSwapPair per token pair with CREATE2 (salt is
+ *         keccak256(token0, token1)), so pair addresses can be derived
+ *         off-chain from PAIR_INIT_CODE_HASH. Also lists every pair and
+ *         holds the protocol's roles: FEE_MANAGER_ROLE configures per-pair
+ *         swap fees and the protocol fee switch, and GUARDIAN_ROLE can pause
+ *         trading on one pair or on all of them.
+ * @dev Roles are OpenZeppelin AccessControl roles administered by
+ *      DEFAULT_ADMIN_ROLE. The deployer starts with all three; a role is
+ *      handed over by granting it to the new account before the old one
+ *      renounces it, so a wrong address never locks a role.
+ */
+contract SimpleSwapFactory is AccessControl {
+    /// @notice Swap fee given to new pairs (0.30%)
+    uint16 public constant DEFAULT_SWAP_FEE_BPS = 30;
+
+    /// @notice Upper bound accepted by setSwapFee (10%)
+    uint16 public constant MAX_SWAP_FEE_BPS = 1000;
+
+    /// @notice Upper bound accepted by setProtocolFeeShare (half of LP fees)
+    uint16 public constant MAX_PROTOCOL_FEE_SHARE_BPS = 5000;
+
+    /// @notice keccak256 of SimpleSwapPair's creation code (CREATE2 init code hash)
+    bytes32 public constant PAIR_INIT_CODE_HASH =
+        keccak256(type(SimpleSwapPair).creationCode);
+
+    /// @notice Role allowed to configure swap and protocol fees
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+
+    /// @notice Role allowed to pause and unpause trading
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    /// @notice Whether trading is paused on every pair
+    bool public paused;
+
+    /// @notice Recipient of the protocol fee, minted as LP tokens; zero
+    ///         turns the protocol fee off
+    address public feeTo;
+
+    /// @notice Share of the LP fees taken by the protocol, in basis points
+    ///         of those fees; zero turns the protocol fee off
+    uint16 public protocolFeeShareBps;
+
+    /// @notice Pair address for a token pair, set for both argument orders
+    mapping(address => mapping(address => address)) public getPair;
+
+    /// @notice Every pair created, in creation order
+    address[] public allPairs;
+
+    /**
+     * @notice Emitted when a new pair is deployed
+     * @param token0 Lower token address of the pair
+     * @param token1 Higher token address of the pair
+     * @param pair Address of the new pair
+     * @param allPairsLength Number of pairs after the creation
+     */
+    event PairCreated(
+        address indexed token0,
+        address indexed token1,
+        address pair,
+        uint allPairsLength
+    );
+
+    /**
+     * @notice Emitted when the swap fee of a pair is changed
+     * @param token0 Lower token address of the pair
+     * @param token1 Higher token address of the pair
+     * @param feeBps New swap fee in basis points
+     */
+    event SwapFeeUpdated(
+        address indexed token0,
+        address indexed token1,
+        uint16 feeBps
+    );
+
+    /**
+     * @notice Emitted when the protocol fee recipient is changed
+     * @param previousFeeTo Address that received the protocol fee
+     * @param newFeeTo Address that now receives it (zero when off)
+     */
+    event FeeToUpdated(address indexed previousFeeTo, address indexed newFeeTo);
+
+    /**
+     * @notice Emitted when the protocol's share of the LP fees is changed
+     * @param previousShareBps Previous share in basis points
+     * @param newShareBps New share in basis points
+     */
+    event ProtocolFeeShareUpdated(uint16 previousShareBps, uint16 newShareBps);
+
+    /**
+     * @notice Emitted when trading is paused
+     * @param pair Paused pair, or zero when every pair is paused
+     */
+    event Paused(address indexed pair);
+
+    /**
+     * @notice Emitted when trading is resumed
+     * @param pair Unpaused pair, or zero when the global pause is lifted
+     */
+    event Unpaused(address indexed pair);
+
+    /// @notice Grants the deployer the admin, fee manager and guardian roles
+    constructor() {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
+    }
+
+    /// @notice Returns the number of pairs created so far
+    function allPairsLength() external view returns (uint) {
+        return allPairs.length;
+    }
+
+    /**
+     * @notice Deploys the pair for two tokens
+     * @param tokenA Address of first token
+     * @param tokenB Address of second token
+     * @return pair Address of the new pair
+     */
+    function createPair(
+        address tokenA,
+        address tokenB
+    ) external returns (address pair) {
+        require(tokenA != tokenB, "identical");
+        (address token0, address token1) = tokenA < tokenB
+            ? (tokenA, tokenB)
+            : (tokenB, tokenA);
+        require(token0 != address(0), "zero_addr");
+        require(getPair[token0][token1] == address(0), "pair_exists");
+
+        bytes32 salt = keccak256(abi.encodePacked(token0, token1));
+        pair = address(new SimpleSwapPair{salt: salt}());
+        SimpleSwapPair(pair).initialize(token0, token1, DEFAULT_SWAP_FEE_BPS);
+
+        getPair[token0][token1] = pair;
+        getPair[token1][token0] = pair;
+        allPairs.push(pair);
+
+        emit PairCreated(token0, token1, pair, allPairs.length);
+    }
+
+    /**
+     * @notice Overrides the swap fee charged by a pair
+     * @dev The fee stays in the reserves, so it accrues to LP shares
+     * @param tokenA Address of first token
+     * @param tokenB Address of second token
+     * @param feeBps New swap fee in basis points (max MAX_SWAP_FEE_BPS)
+     */
+    function setSwapFee(
+        address tokenA,
+        address tokenB,
+        uint16 feeBps
+    ) external onlyRole(FEE_MANAGER_ROLE) {
+        require(feeBps <= MAX_SWAP_FEE_BPS, "fee_too_high");
+        address pair = getPair[tokenA][tokenB];
+        require(pair != address(0), "no_pair");
+        SimpleSwapPair(pair).setSwapFee(feeBps);
+        emit SwapFeeUpdated(
+            SimpleSwapPair(pair).token0(),
+            SimpleSwapPair(pair).token1(),
+            feeBps
+        );
+    }
+
+    /**
+     * @notice Sets the recipient of the protocol fee
+     * @dev The fee is on while both feeTo and protocolFeeShareBps are
+     *      non-zero; pairs pick up changes on their next mint or burn
+     * @param newFeeTo Recipient of the fee, or zero to turn it off
+     */
+    function setFeeTo(address newFeeTo) external onlyRole(FEE_MANAGER_ROLE) {
+        emit FeeToUpdated(feeTo, newFeeTo);
+        feeTo = newFeeTo;
+    }
+
+    /**
+     * @notice Sets the share of the LP fees taken by the protocol
+     * @param newShareBps Share in basis points of the LP fees (max
+     *        MAX_PROTOCOL_FEE_SHARE_BPS), or zero to turn the fee off
+     */
+    function setProtocolFeeShare(
+        uint16 newShareBps
+    ) external onlyRole(FEE_MANAGER_ROLE) {
+        require(newShareBps <= MAX_PROTOCOL_FEE_SHARE_BPS, "fee_too_high");
+        emit ProtocolFeeShareUpdated(protocolFeeShareBps, newShareBps);
+        protocolFeeShareBps = newShareBps;
+    }
+
+    /**
+     * @notice Pauses or resumes trading on every pair
+     * @dev While paused, pairs reject mint and swap; burn stays open so
+     *      LPs can always exit
+     * @param _paused True to pause, false to resume
+     */
+    function setPaused(bool _paused) external onlyRole(GUARDIAN_ROLE) {
+        paused = _paused;
+        if (_paused) {
+            emit Paused(address(0));
+        } else {
+            emit Unpaused(address(0));
+        }
+    }
+
+    /**
+     * @notice Pauses or resumes trading on a single pair
+     * @dev A pair is tradable only when neither it nor the factory is paused
+     * @param tokenA Address of first token
+     * @param tokenB Address of second token
+     * @param _paused True to pause, false to resume
+     */
+    function setPairPaused(
+        address tokenA,
+        address tokenB,
+        bool _paused
+    ) external onlyRole(GUARDIAN_ROLE) {
+        address pair = getPair[tokenA][tokenB];
+        require(pair != address(0), "no_pair");
+        SimpleSwapPair(pair).setPaused(_paused);
+        if (_paused) {
+            emit Paused(pair);
+        } else {
+            emit Unpaused(pair);
+        }
+    }
+}
@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+// Compatible with OpenZeppelin Contracts ^5.0.0
+pragma solidity ^0.8.20;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {ERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+
+/**
+ * @title SimpleSwapLP - Liquidity provider token of a SimpleSwap pair
+ * @notice Transferable ERC-20 representing a share of one pool's reserves.
+ *         Name and symbol are derived from the underlying tokens' symbols,
+ *         e.g. "SimpleSwap TKA/TKB LP" / "TKA-TKB-LP".
+ *         Supports EIP-2612 permit; the EIP-712 domain name is the fixed
+ *         "SimpleSwap LP" for every pair (the pair address tells them apart).
+ * @dev Base of SimpleSwapPair, which sets token0/token1 and mints/burns.
+ */
+abstract contract SimpleSwapLP is ERC20Permit {
+    /// @notice Lower token address of the pair
+    address public token0;
+
+    /// @notice Higher token address of the pair
+    address public token1;
+
+    constructor()
+        ERC20("SimpleSwap LP", "SS-LP")
+        ERC20Permit("SimpleSwap LP")
+    {}
+
+    /// @notice Returns "SimpleSwap <symbol0>/<symbol1> LP"
+    function name() public view override returns (string memory) {
+        return
+            string.concat(
+                "SimpleSwap ",
+                _symbolOf(token0),
+                "/",
+                _symbolOf(token1),
+                " LP"
+            );
+    }
+
+    /// @notice Returns "<symbol0>-<symbol1>-LP"
+    function symbol() public view override returns (string memory) {
+        return string.concat(_symbolOf(token0), "-", _symbolOf(token1), "-LP");
+    }
+
+    /// @dev Reads a token symbol, falling back to "???" for tokens without one
+    function _symbolOf(address token) private view returns (string memory) {
+        if (token.code.length == 0) return "???";
+        try IERC20Metadata(token).symbol() returns (string memory sym) {
+            return sym;
+        } catch {
+            return "???";
+        }
+    }
+}
@@ -0,0 +1,251 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {SimpleSwap} from "./SimpleSwap.sol";
+
+/**
+ * @title SimpleSwapLimitOrders - On-chain limit orders filled by keepers
+ * @notice Users escrow "sell amountIn of tokenIn for at least minAmountOut
+ *         of tokenOut" orders. Once the pool price allows it, any keeper can
+ *         fill an order through SimpleSwap.swapExactTokensForTokens and
+ *         earns the order's keeper reward.
+ * @dev The order deadline is passed to the router as the swap deadline, so
+ *      expired orders cannot be filled and can only be cancelled. The
+ *      output goes straight from the pool to the order owner.
+ */
+contract SimpleSwapLimitOrders is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /// @notice Lifecycle of an order
+    enum Status {
+        None,
+        Open,
+        Filled,
+        Cancelled
+    }
+
+    /**
+     * @notice A limit order and its escrowed tokens
+     * @param owner Account that placed the order and receives the output
+     * @param tokenIn Token sold
+     * @param tokenOut Token bought
+     * @param amountIn Amount of tokenIn sold
+     * @param minAmountOut Minimum amount of tokenOut (the limit price)
+     * @param keeperReward Extra tokenIn paid to the keeper that fills it
+     * @param deadline Timestamp after which the order can no longer be filled
+     * @param status Current lifecycle state
+     */
+    struct Order {
+        address owner;
+        address tokenIn;
+        address tokenOut;
+        uint amountIn;
+        uint minAmountOut;
+        uint keeperReward;
+        uint deadline;
+        Status status;
+    }
+
+    /// @notice Router the orders are filled through
+    SimpleSwap public immutable router;
+
+    /// @notice Id given to the next order placed
+    uint public nextOrderId;
+
+    /// @notice Orders by id
+    mapping(uint => Order) public orders;
+
+    /**
+     * @notice Emitted when an order is placed
+     * @param orderId Id of the new order
+     * @param owner Account that placed it
+     * @param tokenIn Token sold
+     * @param tokenOut Token bought
+     * @param amountIn Amount of tokenIn sold
+     * @param minAmountOut Minimum amount of tokenOut
+     * @param keeperReward tokenIn paid to the keeper on fill
+     * @param deadline Last timestamp at which the order can be filled
+     */
+    event OrderPlaced(
+        uint indexed orderId,
+        address indexed owner,
+        address tokenIn,
+        address tokenOut,
+        uint amountIn,
+        uint minAmountOut,
+        uint keeperReward,
+        uint deadline
+    );
+
+    /**
+     * @notice Emitted when a keeper fills an order
+     * @param orderId Id of the filled order
+     * @param keeper Account that filled it and got the reward
+     * @param amountOut Amount of tokenOut sent to the order owner
+     */
+    event OrderFilled(
+        uint indexed orderId,
+        address indexed keeper,
+        uint amountOut
+    );
+
+    /**
+     * @notice Emitted when an order is cancelled and refunded
+     * @param orderId Id of the cancelled order
+     */
+    event OrderCancelled(uint indexed orderId);
+
+    /**
+     * @notice Initializes the order book
+     * @param _router Address of the SimpleSwap router
+     */
+    constructor(address _router) {
+        require(_router != address(0), "zero_addr");
+        router = SimpleSwap(payable(_router));
+    }
+
+    /**
+     * @notice Places an order, escrowing amountIn + keeperReward of tokenIn
+     * @dev Requires approval of amountIn + keeperReward. Tokens that take a
+     *      fee on transfer are rejected, as the escrow would fall short.
+     * @param tokenIn Token to sell
+     * @param tokenOut Token to buy
+     * @param amountIn Amount of tokenIn to sell
+     * @param minAmountOut Minimum amount of tokenOut to receive
+     * @param keeperReward Extra tokenIn paid to the keeper that fills it
+     * @param deadline Last timestamp at which the order can be filled
+     * @return orderId Id of the new order
+     */
+    function placeOrder(
+        address tokenIn,
+        address tokenOut,
+        uint amountIn,
+        uint minAmountOut,
+        uint keeperReward,
+        uint deadline
+    ) external nonReentrant returns (uint orderId) {
+        require(block.timestamp <= deadline, "expired");
+        require(tokenIn != tokenOut, "identical");
+        require(amountIn > 0 && minAmountOut > 0, "zero_input");
+
+        uint total = amountIn + keeperReward;
+        uint balanceBefore = IERC20(tokenIn).balanceOf(address(this));
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), total);
+        require(
+            IERC20(tokenIn).balanceOf(address(this)) - balanceBefore == total,
+            "fee_on_transfer"
+        );
+
+        orderId = nextOrderId++;
+        orders[orderId] = Order(
+            msg.sender,
+            tokenIn,
+            tokenOut,
+            amountIn,
+            minAmountOut,
+            keeperReward,
+            deadline,
+            Status.Open
+        );
+
+        emit OrderPlaced(
+            orderId,
+            msg.sender,
+            tokenIn,
+            tokenOut,
+            amountIn,
+            minAmountOut,
+            keeperReward,
+            deadline
+        );
+    }
+
+    /**
+     * @notice Fills an open order through the router and pays the keeper
+     * @dev Reverts with the router's "slippage" while the pool price is
+     *      below the limit and with "expired" after the order deadline
+     * @param orderId Id of the order to fill
+     * @param path Swap route from tokenIn to tokenOut, chosen by the keeper
+     * @return amountOut Amount of tokenOut sent to the order owner
+     */
+    function fillOrder(
+        uint orderId,
+        address[] calldata path
+    ) external nonReentrant returns (uint amountOut) {
+        Order storage order = orders[orderId];
+        require(order.status == Status.Open, "not_open");
+        require(
+            path.length >= 2 &&
+                path[0] == order.tokenIn &&
+                path[path.length - 1] == order.tokenOut,
+            "invalid_path"
+        );
+        order.status = Status.Filled;
+
+        IERC20(order.tokenIn).forceApprove(address(router), order.amountIn);
+        uint[] memory amounts = router.swapExactTokensForTokens(
+            order.amountIn,
+            order.minAmountOut,
+            path,
+            order.owner,
+            order.deadline
+        );
+        amountOut = amounts[amounts.length - 1];
+
+        if (order.keeperReward > 0) {
+            IERC20(order.tokenIn).safeTransfer(msg.sender, order.keeperReward);
+        }
+
+        emit OrderFilled(orderId, msg.sender, amountOut);
+    }
+
+    /**
+     * @notice Cancels an open order and refunds the escrow to its owner
+     * @dev Also the way to recover the tokens of an expired order
+     * @param orderId Id of the order to cancel
+     */
+    function cancelOrder(uint orderId) external nonReentrant {
+        Order storage order = orders[orderId];
+        require(order.status == Status.Open, "not_open");
+        require(msg.sender == order.owner, "forbidden");
+        order.status = Status.Cancelled;
+
+        IERC20(order.tokenIn).safeTransfer(
+            order.owner,
+            order.amountIn + order.keeperReward
+        );
+
+        emit OrderCancelled(orderId);
+    }
+
+    /**
+     * @notice Tells keepers whether an order can be filled right now
+     * @dev Reverts like SimpleSwap.getAmountsOut if a pool on path is empty
+     * @param orderId Id of the order
+     * @param path Swap route from tokenIn to tokenOut
+     * @return fillable True if the order is open, not expired and the quoted
+     *         output meets minAmountOut
+     * @return amountOut Quoted output along path
+     */
+    function canFill(
+        uint orderId,
+        address[] calldata path
+    ) external view returns (bool fillable, uint amountOut) {
+        Order storage order = orders[orderId];
+        if (
+            order.status != Status.Open ||
+            block.timestamp > order.deadline ||
+            path.length < 2 ||
+            path[0] != order.tokenIn ||
+            path[path.length - 1] != order.tokenOut
+        ) {
+            return (false, 0);
+        }
+        (uint[] memory amounts, ) = router.getAmountsOut(order.amountIn, path);
+        amountOut = amounts[amounts.length - 1];
+        fillable = amountOut >= order.minAmountOut;
+    }
+}
@@ -0,0 +1,562 @@
+// SPDX-License-Identifier: MIT
+// Compatible with OpenZeppelin Contracts ^5.0.0
+pragma solidity ^0.8.20;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {ISimpleSwapCallee} from "./ISimpleSwapCallee.sol";
+import {ISimpleSwapFactory} from "./ISimpleSwapFactory.sol";
+import {SimpleSwapLP} from "./SimpleSwapLP.sol";
+
+/**
+ * @title SimpleSwapPair - Pool of a single token pair
+ * @notice Holds the reserves of (token0, token1) and is itself the pair's
+ *         ERC-20 LP token. Deployed by SimpleSwapFactory; SimpleSwap routes
+ *         user-facing liquidity and swap calls through it.
+ * @dev Tokens are sent to the pair before calling mint/burn/swap, which
+ *      measure the amounts from balances, so the pair needs no trusted caller.
+ *      Outgoing transfers use SafeERC20 to support non-standard tokens.
+ *      While the factory's protocol fee is on, mint and burn first mint the
+ *      protocol's share of the fees accrued since the last liquidity event.
+ *      The factory's guardian can pause mint and swap, per pair or
+ *      globally; burn is never paused so LPs can always exit.
+ */
+contract SimpleSwapPair is SimpleSwapLP, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /// @dev Basis points denominator used by the fee math
+    uint private constant FEE_DENOMINATOR = 10_000;
+
+    /// @notice LP tokens locked forever on the first deposit, so the share
+    ///         price can never be reset or inflated from an empty pool
+    uint public constant MINIMUM_LIQUIDITY = 1000;
+
+    /// @notice Holder of the locked MINIMUM_LIQUIDITY (OpenZeppelin's ERC20
+    ///         does not mint to the zero address)
+    address public constant DEAD_ADDRESS =
+        0x000000000000000000000000000000000000dEaD;
+
+    /// @notice Number of price observations kept for consult
+    uint16 public constant OBSERVATION_CARDINALITY = 128;
+
+    /**
+     * @notice Price accumulators as of the first reserve update of a block
+     * @param timestamp Block timestamp of the update
+     * @param price0Cumulative price0CumulativeLast at that time
+     * @param price1Cumulative price1CumulativeLast at that time
+     */
+    struct Observation {
+        uint32 timestamp;
+        uint price0Cumulative;
+        uint price1Cumulative;
+    }
+
+    /// @notice Factory that deployed the pair
+    address public immutable factory;
+
+    /// @notice Swap fee charged by the pool in basis points
+    uint16 public swapFeeBps;
+
+    /// @notice Whether the guardian paused this pair (see also the
+    ///         factory's global pause)
+    bool public paused;
+
+    /// @dev Reserves of token0/token1 (uint128 to share one slot)
+    uint128 private reserve0;
+    uint128 private reserve1;
+
+    /// @notice Timestamp of the last reserve update
+    uint32 public blockTimestampLast;
+
+    /// @notice Slot of the latest entry in observations
+    uint16 public observationIndex;
+
+    /// @notice Number of observations written, capped at the cardinality
+    uint16 public observationCount;
+
+    /// @notice Sum of price0 (token1 per token0, scaled by 1e18) times the
+    ///         seconds it was in effect; meant to wrap around on overflow
+    uint public price0CumulativeLast;
+
+    /// @notice Sum of price1 (token0 per token1, scaled by 1e18) times the
+    ///         seconds it was in effect; meant to wrap around on overflow
+    uint public price1CumulativeLast;
+
+    /// @notice reserve0 * reserve1 right after the last liquidity event,
+    ///         kept only while the protocol fee is on
+    uint public kLast;
+
+    /// @notice Ring buffer of past accumulators, written at most once a block
+    Observation[OBSERVATION_CARDINALITY] public observations;
+
+    /**
+     * @notice Emitted when LP tokens are minted for a deposit
+     * @param sender Caller of mint
+     * @param amount0 Amount of token0 deposited
+     * @param amount1 Amount of token1 deposited
+     * @param to Recipient of the LP tokens
+     */
+    event Mint(
+        address indexed sender,
+        uint amount0,
+        uint amount1,
+        address indexed to
+    );
+
+    /**
+     * @notice Emitted when LP tokens are burned for a withdrawal
+     * @param sender Caller of burn
+     * @param amount0 Amount of token0 withdrawn
+     * @param amount1 Amount of token1 withdrawn
+     * @param to Recipient of the tokens
+     */
+    event Burn(
+        address indexed sender,
+        uint amount0,
+        uint amount1,
+        address indexed to
+    );
+
+    /**
+     * @notice Emitted on every swap through the pair
+     * @param sender Caller of swap
+     * @param amount0In Amount of token0 received by the pool
+     * @param amount1In Amount of token1 received by the pool
+     * @param amount0Out Amount of token0 sent out
+     * @param amount1Out Amount of token1 sent out
+     * @param to Recipient of the output tokens
+     */
+    event Swap(
+        address indexed sender,
+        uint amount0In,
+        uint amount1In,
+        uint amount0Out,
+        uint amount1Out,
+        address indexed to
+    );
+
+    /**
+     * @notice Emitted whenever the reserves are written
+     * @param reserve0 New reserve of token0
+     * @param reserve1 New reserve of token1
+     */
+    event Sync(uint128 reserve0, uint128 reserve1);
+
+    /// @dev Restricts configuration to the deploying factory
+    modifier onlyFactory() {
+        require(msg.sender == factory, "forbidden");
+        _;
+    }
+
+    /// @dev Rejects calls while this pair or every pair is paused
+    modifier whenNotPaused() {
+        require(!paused && !ISimpleSwapFactory(factory).paused(), "paused");
+        _;
+    }
+
+    constructor() {
+        factory = msg.sender;
+    }
+
+    /**
+     * @notice Sets the pair tokens and initial fee, called once by the factory
+     * @param _token0 Lower token address
+     * @param _token1 Higher token address
+     * @param _swapFeeBps Initial swap fee in basis points
+     */
+    function initialize(
+        address _token0,
+        address _token1,
+        uint16 _swapFeeBps
+    ) external onlyFactory {
+        require(token0 == address(0), "initialized");
+        token0 = _token0;
+        token1 = _token1;
+        swapFeeBps = _swapFeeBps;
+    }
+
+    /**
+     * @notice Changes the swap fee, called by the factory's fee manager
+     * @param _swapFeeBps New swap fee in basis points
+     */
+    function setSwapFee(uint16 _swapFeeBps) external onlyFactory {
+        swapFeeBps = _swapFeeBps;
+    }
+
+    /**
+     * @notice Pauses or resumes this pair, called by the factory's guardian
+     * @param _paused True to pause, false to resume
+     */
+    function setPaused(bool _paused) external onlyFactory {
+        paused = _paused;
+    }
+
+    /**
+     * @notice Returns the current reserves
+     * @return _reserve0 Reserve of token0
+     * @return _reserve1 Reserve of token1
+     */
+    function getReserves()
+        public
+        view
+        returns (uint128 _reserve0, uint128 _reserve1)
+    {
+        (_reserve0, _reserve1) = (reserve0, reserve1);
+    }
+
+    /**
+     * @notice Returns the price accumulators extrapolated to the current
+     *         block with the current reserves
+     * @return price0Cumulative Current value of price0CumulativeLast
+     * @return price1Cumulative Current value of price1CumulativeLast
+     */
+    function currentCumulativePrices()
+        public
+        view
+        returns (uint price0Cumulative, uint price1Cumulative)
+    {
+        (price0Cumulative, price1Cumulative) = _cumulativePricesAt(
+            uint32(block.timestamp)
+        );
+    }
+
+    /**
+     * @notice Returns the time-weighted average prices over the last
+     *         secondsAgo seconds
+     * @dev Swaps inside the window only move the average in proportion to
+     *      how long their price lasted, so it cannot be pushed within a
+     *      single block. The window must not start before the oldest
+     *      observation still held.
+     * @param secondsAgo Length of the averaging window in seconds
+     * @return price0Average Average token1 per token0, scaled by 1e18
+     * @return price1Average Average token0 per token1, scaled by 1e18
+     */
+    function consult(
+        uint32 secondsAgo
+    ) external view returns (uint price0Average, uint price1Average) {
+        require(secondsAgo > 0, "zero_window");
+        (uint price0Now, uint price1Now) = currentCumulativePrices();
+        (uint price0Then, uint price1Then) = _cumulativePricesAt(
+            uint32(block.timestamp - secondsAgo)
+        );
+        unchecked {
+            price0Average = (price0Now - price0Then) / secondsAgo;
+            price1Average = (price1Now - price1Then) / secondsAgo;
+        }
+    }
+
+    /**
+     * @notice Mints LP tokens for the tokens sent to the pair since the last
+     *         reserve update
+     * @dev The first deposit mints sqrt(amount0 * amount1), of which
+     *      MINIMUM_LIQUIDITY is locked at DEAD_ADDRESS; later deposits mint
+     *      the smaller of the two proportional shares
+     * @param to Recipient of the LP tokens
+     * @return liquidity Amount of LP tokens minted
+     */
+    function mint(
+        address to
+    ) external nonReentrant whenNotPaused returns (uint liquidity) {
+        (uint128 _reserve0, uint128 _reserve1) = getReserves();
+        uint balance0 = IERC20(token0).balanceOf(address(this));
+        uint balance1 = IERC20(token1).balanceOf(address(this));
+        uint amount0 = balance0 - _reserve0;
+        uint amount1 = balance1 - _reserve1;
+
+        bool feeOn = _mintFee(_reserve0, _reserve1);
+        uint _totalSupply = totalSupply();
+        if (_totalSupply == 0) {
+            uint rootK = Math.sqrt(amount0 * amount1);
+            require(rootK > MINIMUM_LIQUIDITY, "insuff_liq_minted");
+            liquidity = rootK - MINIMUM_LIQUIDITY;
+            _mint(DEAD_ADDRESS, MINIMUM_LIQUIDITY);
+        } else {
+            liquidity = _min(
+                (amount0 * _totalSupply) / _reserve0,
+                (amount1 * _totalSupply) / _reserve1
+            );
+        }
+        require(liquidity > 0, "insuff_liq_minted");
+
+        _mint(to, liquidity);
+        _update(balance0, balance1);
+        if (feeOn) kLast = uint(reserve0) * reserve1;
+
+        emit Mint(msg.sender, amount0, amount1, to);
+    }
+
+    /**
+     * @notice Burns the LP tokens sent to the pair and pays out the
+     *         proportional share of both reserves
+     * @param to Recipient of the withdrawn tokens
+     * @return amount0 Amount of token0 withdrawn
+     * @return amount1 Amount of token1 withdrawn
+     */
+    function burn(
+        address to
+    ) external nonReentrant returns (uint amount0, uint amount1) {
+        address _token0 = token0;
+        address _token1 = token1;
+        uint balance0 = IERC20(_token0).balanceOf(address(this));
+        uint balance1 = IERC20(_token1).balanceOf(address(this));
+        uint liquidity = balanceOf(address(this));
+
+        (uint128 _reserve0, uint128 _reserve1) = getReserves();
+        bool feeOn = _mintFee(_reserve0, _reserve1);
+        uint _totalSupply = totalSupply();
+        amount0 = (liquidity * balance0) / _totalSupply;
+        amount1 = (liquidity * balance1) / _totalSupply;
+        require(amount0 > 0 && amount1 > 0, "insuff_liq_burned");
+
+        _burn(address(this), liquidity);
+        IERC20(_token0).safeTransfer(to, amount0);
+        IERC20(_token1).safeTransfer(to, amount1);
+
+        _update(
+            IERC20(_token0).balanceOf(address(this)),
+            IERC20(_token1).balanceOf(address(this))
+        );
+        if (feeOn) kLast = uint(reserve0) * reserve1;
+
+        emit Burn(msg.sender, amount0, amount1, to);
+    }
+
+    /**
+     * @notice Sends out the requested amounts after the input was transferred
+     *         in, checking the fee-adjusted constant product
+     * @dev With non-empty data this is a flash swap: the output is sent
+     *      first, then ISimpleSwapCallee(to).simpleSwapCall is invoked, and
+     *      the input (or repayment) only has to be in the pair once it returns
+     * @param amount0Out Amount of token0 to send
+     * @param amount1Out Amount of token1 to send
+     * @param to Recipient of the output tokens
+     * @param data Payload forwarded to the recipient's callback; empty for a
+     *        plain swap
+     */
+    function swap(
+        uint amount0Out,
+        uint amount1Out,
+        address to,
+        bytes calldata data
+    ) external nonReentrant whenNotPaused {
+        require(amount0Out > 0 || amount1Out > 0, "insuff_output");
+        (uint128 _reserve0, uint128 _reserve1) = getReserves();
+        require(amount0Out < _reserve0 && amount1Out < _reserve1, "insuff_liq");
+
+        address _token0 = token0;
+        address _token1 = token1;
+        require(to != _token0 && to != _token1, "invalid_to");
+        if (amount0Out > 0) IERC20(_token0).safeTransfer(to, amount0Out);
+        if (amount1Out > 0) IERC20(_token1).safeTransfer(to, amount1Out);
+        if (data.length > 0) {
+            ISimpleSwapCallee(to).simpleSwapCall(
+                msg.sender,
+                amount0Out,
+                amount1Out,
+                data
+            );
+        }
+
+        uint balance0 = IERC20(_token0).balanceOf(address(this));
+        uint balance1 = IERC20(_token1).balanceOf(address(this));
+        uint amount0In = balance0 > _reserve0 - amount0Out
+            ? balance0 - (_reserve0 - amount0Out)
+            : 0;
+        uint amount1In = balance1 > _reserve1 - amount1Out
+            ? balance1 - (_reserve1 - amount1Out)
+            : 0;
+        require(amount0In > 0 || amount1In > 0, "insuff_input");
+
+        // Fee-adjusted balances must keep the constant product
+        uint fee = swapFeeBps;
+        uint balance0Adjusted = balance0 * FEE_DENOMINATOR - amount0In * fee;
+        uint balance1Adjusted = balance1 * FEE_DENOMINATOR - amount1In * fee;
+        require(
+            balance0Adjusted * balance1Adjusted >=
+                uint(_reserve0) * _reserve1 * FEE_DENOMINATOR ** 2,
+            "k"
+        );
+
+        _update(balance0, balance1);
+
+        emit Swap(msg.sender, amount0In, amount1In, amount0Out, amount1Out, to);
+    }
+
+    /**
+     * @notice Sends any balance above the reserves to a recipient, e.g.
+     *         tokens transferred to the pair by mistake
+     * @param to Recipient of the excess tokens
+     */
+    function skim(address to) external nonReentrant {
+        address _token0 = token0;
+        address _token1 = token1;
+        (uint128 _reserve0, uint128 _reserve1) = getReserves();
+        uint excess0 = IERC20(_token0).balanceOf(address(this)) - _reserve0;
+        uint excess1 = IERC20(_token1).balanceOf(address(this)) - _reserve1;
+        if (excess0 > 0) IERC20(_token0).safeTransfer(to, excess0);
+        if (excess1 > 0) IERC20(_token1).safeTransfer(to, excess1);
+    }
+
+    /**
+     * @notice Sets the reserves to the current balances, e.g. after a
+     *         rebasing token changed the pair's balance
+     */
+    function sync() external nonReentrant {
+        _update(
+            IERC20(token0).balanceOf(address(this)),
+            IERC20(token1).balanceOf(address(this))
+        );
+    }
+
+    /**
+     * @dev Writes new reserves. On the first update of a block, the old
+     *      prices are first accumulated for the time they were in effect
+     *      and the accumulators are recorded as a new observation.
+     */
+    function _update(uint balance0, uint balance1) private {
+        require(
+            balance0 <= type(uint128).max && balance1 <= type(uint128).max,
+            "overflow"
+        );
+        uint32 blockTimestamp = uint32(block.timestamp);
+        if (blockTimestamp != blockTimestampLast) {
+            (price0CumulativeLast, price1CumulativeLast) = _cumulativePricesAt(
+                blockTimestamp
+            );
+            blockTimestampLast = blockTimestamp;
+
+            uint16 index = observationCount == 0
+                ? 0
+                : (observationIndex + 1) % OBSERVATION_CARDINALITY;
+            observations[index] = Observation(
+                blockTimestamp,
+                price0CumulativeLast,
+                price1CumulativeLast
+            );
+            observationIndex = index;
+            if (observationCount < OBSERVATION_CARDINALITY) observationCount++;
+        }
+        reserve0 = uint128(balance0);
+        reserve1 = uint128(balance1);
+        emit Sync(reserve0, reserve1);
+    }
+
+    /**
+     * @dev Mints the protocol's share of the fees accrued since kLast to the
+     *      factory's feeTo. The fees show up as growth of sqrt(k); for a
+     *      share s of it the protocol gets
+     *      totalSupply * (rootK - rootKLast) * s / (rootK * (1 - s) + rootKLast * s)
+     *      LP tokens. Clears kLast when the fee is turned off, so fees earned
+     *      while it was off are never charged.
+     */
+    function _mintFee(
+        uint128 _reserve0,
+        uint128 _reserve1
+    ) private returns (bool feeOn) {
+        ISimpleSwapFactory _factory = ISimpleSwapFactory(factory);
+        address feeTo = _factory.feeTo();
+        uint shareBps = _factory.protocolFeeShareBps();
+        feeOn = feeTo != address(0) && shareBps > 0;
+        uint _kLast = kLast;
+        if (feeOn) {
+            if (_kLast != 0) {
+                uint rootK = Math.sqrt(uint(_reserve0) * _reserve1);
+                uint rootKLast = Math.sqrt(_kLast);
+                if (rootK > rootKLast) {
+                    uint denominator = (rootK * (FEE_DENOMINATOR - shareBps)) +
+                        (rootKLast * shareBps);
+                    uint liquidity = Math.mulDiv(
+                        totalSupply(),
+                        (rootK - rootKLast) * shareBps,
+                        denominator
+                    );
+                    if (liquidity > 0) _mint(feeTo, liquidity);
+                }
+            }
+        } else if (_kLast != 0) {
+            kLast = 0;
+        }
+    }
+
+    /**
+     * @dev Returns the accumulators at a past or current timestamp. After
+     *      the last update they are extrapolated with the current reserves;
+     *      before it, they are interpolated between the two surrounding
+     *      observations, between which the price was constant.
+     */
+    function _cumulativePricesAt(
+        uint32 target
+    ) private view returns (uint price0Cumulative, uint price1Cumulative) {
+        uint32 timestampLast = blockTimestampLast;
+        if (target >= timestampLast) {
+            (price0Cumulative, price1Cumulative) = (
+                price0CumulativeLast,
+                price1CumulativeLast
+            );
+            (uint128 _reserve0, uint128 _reserve1) = getReserves();
+            if (_reserve0 > 0 && _reserve1 > 0) {
+                uint timeElapsed = target - timestampLast;
+                unchecked {
+                    price0Cumulative +=
+                        ((uint(_reserve1) * 1e18) / _reserve0) *
+                        timeElapsed;
+                    price1Cumulative +=
+                        ((uint(_reserve0) * 1e18) / _reserve1) *
+                        timeElapsed;
+                }
+            }
+            return (price0Cumulative, price1Cumulative);
+        }
+
+        uint count = observationCount;
+        uint oldest = count < OBSERVATION_CARDINALITY
+            ? 0
+            : (observationIndex + 1) % OBSERVATION_CARDINALITY;
+        require(
+            count > 0 && target >= observations[oldest].timestamp,
+            "window_too_long"
+        );
+
+        // Binary search for the last observation at or before target; the
+        // latest one is at timestampLast, which is after target
+        uint lo;
+        uint hi = count - 1;
+        while (hi - lo > 1) {
+            uint mid = (lo + hi) / 2;
+            if (
+                observations[(oldest + mid) % OBSERVATION_CARDINALITY]
+                    .timestamp <= target
+            ) {
+                lo = mid;
+            } else {
+                hi = mid;
+            }
+        }
+        Observation memory before = observations[
+            (oldest + lo) % OBSERVATION_CARDINALITY
+        ];
+        Observation memory next = observations[
+            (oldest + hi) % OBSERVATION_CARDINALITY
+        ];
+
+        uint span = next.timestamp - before.timestamp;
+        uint elapsed = target - before.timestamp;
+        unchecked {
+            price0Cumulative =
+                before.price0Cumulative +
+                ((next.price0Cumulative - before.price0Cumulative) / span) *
+                elapsed;
+            price1Cumulative =
+                before.price1Cumulative +
+                ((next.price1Cumulative - before.price1Cumulative) / span) *
+                elapsed;
+        }
+    }
+
+    /// @dev Returns the smaller of two values
+    function _min(uint x, uint y) private pure returns (uint) {
+        return x < y ? x : y;
+    }
+}
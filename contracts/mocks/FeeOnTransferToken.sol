@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title FeeOnTransferToken - Test token with a transfer tax
+ * @notice Burns TAX_BPS of every transfer (mints and burns are untaxed), so
+ *         recipients receive less than the amount sent.
+ */
+contract FeeOnTransferToken is ERC20 {
+    /// @notice Share of each transfer that is burned (1%)
+    uint public constant TAX_BPS = 100;
+
+    constructor() ERC20("Taxed Token", "TAX") {
+        _mint(msg.sender, 1_000_000 * 10 ** decimals());
+    }
+
+    /// @dev Burns the tax before moving the rest
+    function _update(
+        address from,
+        address to,
+        uint256 value
+    ) internal override {
+        if (from != address(0) && to != address(0)) {
+            uint256 tax = (value * TAX_BPS) / 10_000;
+            super._update(from, address(0), tax);
+            value -= tax;
+        }
+        super._update(from, to, value);
+    }
+}
@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {ISimpleSwapCallee} from "../ISimpleSwapCallee.sol";
+import {SimpleSwapPair} from "../SimpleSwapPair.sol";
+
+/**
+ * @title FlashBorrower - Test flash swap borrower
+ * @notice Borrows from a pair and, inside the callback, pays back a chosen
+ *         amount of one token from its own balance.
+ */
+contract FlashBorrower is ISimpleSwapCallee {
+    /**
+     * @notice Emitted from the callback with the arguments it received
+     * @param pair Pair that invoked the callback
+     * @param sender Caller of SimpleSwapPair.swap
+     * @param amount0 Amount of token0 received
+     * @param amount1 Amount of token1 received
+     */
+    event FlashCallback(
+        address indexed pair,
+        address sender,
+        uint amount0,
+        uint amount1
+    );
+
+    /**
+     * @notice Flash-borrows from a pair
+     * @param pair Pair to borrow from
+     * @param amount0Out Amount of token0 to borrow
+     * @param amount1Out Amount of token1 to borrow
+     * @param repayToken Token paid back in the callback
+     * @param repayAmount Amount paid back in the callback
+     */
+    function flash(
+        address pair,
+        uint amount0Out,
+        uint amount1Out,
+        address repayToken,
+        uint repayAmount
+    ) external {
+        SimpleSwapPair(pair).swap(
+            amount0Out,
+            amount1Out,
+            address(this),
+            abi.encode(repayToken, repayAmount)
+        );
+    }
+
+    /// @inheritdoc ISimpleSwapCallee
+    function simpleSwapCall(
+        address sender,
+        uint amount0,
+        uint amount1,
+        bytes calldata data
+    ) external {
+        (address repayToken, uint repayAmount) = abi.decode(
+            data,
+            (address, uint)
+        );
+        emit FlashCallback(msg.sender, sender, amount0, amount1);
+        if (repayAmount > 0)
+            IERC20(repayToken).transfer(msg.sender, repayAmount);
+    }
+}
@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title NoReturnToken - Test token modelled on USDT
+ * @notice transfer, transferFrom and approve return nothing, so callers that
+ *         decode a bool from them revert.
+ */
+contract NoReturnToken {
+    string public constant name = "No Return Token";
+    string public constant symbol = "NRT";
+    uint8 public constant decimals = 18;
+
+    uint public totalSupply;
+    mapping(address => uint) public balanceOf;
+    mapping(address => mapping(address => uint)) public allowance;
+
+    event Transfer(address indexed from, address indexed to, uint value);
+    event Approval(address indexed owner, address indexed spender, uint value);
+
+    constructor() {
+        totalSupply = 1_000_000 * 10 ** decimals;
+        balanceOf[msg.sender] = totalSupply;
+        emit Transfer(address(0), msg.sender, totalSupply);
+    }
+
+    function approve(address spender, uint value) external {
+        allowance[msg.sender][spender] = value;
+        emit Approval(msg.sender, spender, value);
+    }
+
+    function transfer(address to, uint value) external {
+        _transfer(msg.sender, to, value);
+    }
+
+    function transferFrom(address from, address to, uint value) external {
+        require(allowance[from][msg.sender] >= value, "allowance");
+        allowance[from][msg.sender] -= value;
+        _transfer(from, to, value);
+    }
+
+    function _transfer(address from, address to, uint value) private {
+        require(balanceOf[from] >= value, "balance");
+        balanceOf[from] -= value;
+        balanceOf[to] += value;
+        emit Transfer(from, to, value);
+    }
+}
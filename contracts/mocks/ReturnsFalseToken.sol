@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title ReturnsFalseToken - Test token that fails without reverting
+ * @notice transfer and transferFrom return false instead of reverting when
+ *         the balance or allowance is too low.
+ */
+contract ReturnsFalseToken is ERC20 {
+    constructor() ERC20("Returns False Token", "RFT") {
+        _mint(msg.sender, 1_000_000 * 10 ** decimals());
+    }
+
+    /// @dev Returns false instead of reverting on a short balance
+    function transfer(
+        address to,
+        uint256 value
+    ) public override returns (bool) {
+        if (balanceOf(msg.sender) < value) return false;
+        return super.transfer(to, value);
+    }
+
+    /// @dev Returns false instead of reverting on a short balance or allowance
+    function transferFrom(
+        address from,
+        address to,
+        uint256 value
+    ) public override returns (bool) {
+        if (balanceOf(from) < value || allowance(from, msg.sender) < value) {
+            return false;
+        }
+        return super.transferFrom(from, to, value);
+    }
+}
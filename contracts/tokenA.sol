@@ -4,11 +4,13 @@ pragma solidity ^0.8.20;
 
 import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {ERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
-contract tokenA is ERC20, Ownable {
+contract tokenA is ERC20, Ownable, ERC20Permit {
     constructor()
         ERC20("TokenA", "TKA")
         Ownable(msg.sender)
+        ERC20Permit("TokenA")
     {
         _mint(msg.sender, 100000000000  * 10 ** decimals());
     }
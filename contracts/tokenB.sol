@@ -4,9 +4,14 @@ pragma solidity ^0.8.20;
 
 import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {ERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
-contract tokenB is ERC20, Ownable {
-    constructor() ERC20("TokenB", "TKB") Ownable(msg.sender) {
+contract tokenB is ERC20, Ownable, ERC20Permit {
+    constructor()
+        ERC20("TokenB", "TKB")
+        Ownable(msg.sender)
+        ERC20Permit("TokenB")
+    {
         _mint(msg.sender, 100000000000 * 10 ** decimals());
     }
 
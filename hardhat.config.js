@@ -1,6 +1,12 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("solidity-coverage");
 
+// Pool operation tasks (swap:*, token:mint)
+require("./tasks/swap");
+require("./tasks/token");
+// ABI export on every compile, abi:export and abi:check
+require("./tasks/abi");
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
@@ -13,4 +19,11 @@ module.exports = {
       },
     },
   },
+  // Generate ethers v6 typings on every compile (the toolbox skips this
+  // for JavaScript projects)
+  typechain: {
+    outDir: "typechain-types",
+    target: "ethers-v6",
+    dontOverrideCompile: false,
+  },
 };
\ No newline at end of file
@@ -0,0 +1,67 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+// Far-future deadline for the seeding deposit (max uint256)
+const NO_DEADLINE = 2n ** 256n - 1n;
+
+/*
+ * Deploys a fresh SimpleSwap system and seeds its first pool:
+ * - tokenA, tokenB, WETH9, SimpleSwapFactory, the SimpleSwap router and
+ *   SimpleSwapLimitOrders
+ * - Optionally mints extra tokens to the deployer
+ * - Adds the initial A/B liquidity and applies the fee settings
+ *
+ * Parameters (module "SimpleSwapModule"):
+ * - initialMint: extra tokenA/tokenB minted to the deployer (default 0;
+ *   both tokens already mint 100 billion to the deployer)
+ * - liquidityA / liquidityB: initial reserves of the A/B pool
+ * - swapFeeBps: swap fee of the A/B pair (default 30)
+ * - feeTo / protocolFeeShareBps: protocol fee switch (default off)
+ */
+module.exports = buildModule("SimpleSwapModule", (m) => {
+  const deployer = m.getAccount(0);
+
+  const initialMint = m.getParameter("initialMint", 0n);
+  const liquidityA = m.getParameter("liquidityA", 1_000n * 10n ** 18n);
+  const liquidityB = m.getParameter("liquidityB", 1_000n * 10n ** 18n);
+  const swapFeeBps = m.getParameter("swapFeeBps", 30);
+  const feeTo = m.getParameter(
+    "feeTo",
+    "0x0000000000000000000000000000000000000000"
+  );
+  const protocolFeeShareBps = m.getParameter("protocolFeeShareBps", 0);
+
+  // Contracts
+  const tokenA = m.contract("tokenA");
+  const tokenB = m.contract("tokenB");
+  const weth = m.contract("WETH9");
+  const factory = m.contract("SimpleSwapFactory");
+  const simpleSwap = m.contract("SimpleSwap", [factory, weth]);
+  const limitOrders = m.contract("SimpleSwapLimitOrders", [simpleSwap]);
+
+  // Extra supply for the deployer
+  const mintA = m.call(tokenA, "mint", [deployer, initialMint]);
+  const mintB = m.call(tokenB, "mint", [deployer, initialMint]);
+
+  // Seed the A/B pool
+  const approveA = m.call(tokenA, "approve", [simpleSwap, liquidityA], {
+    after: [mintA],
+  });
+  const approveB = m.call(tokenB, "approve", [simpleSwap, liquidityB], {
+    after: [mintB],
+  });
+  const seed = m.call(
+    simpleSwap,
+    "addLiquidity",
+    [tokenA, tokenB, liquidityA, liquidityB, 0, 0, deployer, NO_DEADLINE],
+    { after: [approveA, approveB] }
+  );
+
+  // Fee settings (the pair exists once the pool is seeded)
+  m.call(factory, "setSwapFee", [tokenA, tokenB, swapFeeBps], {
+    after: [seed],
+  });
+  m.call(factory, "setFeeTo", [feeTo]);
+  m.call(factory, "setProtocolFeeShare", [protocolFeeShareBps]);
+
+  return { tokenA, tokenB, weth, factory, simpleSwap, limitOrders };
+});
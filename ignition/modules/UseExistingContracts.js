@@ -1,18 +1,41 @@
 const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { getDeployment } = require("../../scripts/deployments");
+const manifest = require("../../abis/deployments/11155111.json");
+
+// Sepolia addresses recorded in deployments.json
+const sepolia = getDeployment(11155111);
+
+/**
+ * Artifact of a Sepolia contract with the ABI recorded in its manifest.
+ * Those contracts predate the current sources, so the compiled artifacts
+ * no longer describe them.
+ */
+function deployedArtifact(name, contractName) {
+  return {
+    contractName,
+    sourceName: "abis/deployments/11155111.json",
+    abi: manifest.contracts[name].abi,
+    bytecode: "0x",
+    linkReferences: {},
+  };
+}
 
 module.exports = buildModule("UseExistingContracts", (m) => {
   // Referencias a contratos ya desplegados
   const tokenA = m.contractAt(
-    "TokenA",
-    "0x18a5321E8D655d846c67A1441bd88FEF3DCDf391"
+    "tokenA",
+    deployedArtifact("tokenA", "tokenA"),
+    sepolia.tokenA
   );
   const tokenB = m.contractAt(
-    "TokenB",
-    "0x26a1E5E72fda2a3F000205B981627cE8aC6205CB"
+    "tokenB",
+    deployedArtifact("tokenB", "tokenB"),
+    sepolia.tokenB
   );
   const simpleSwap = m.contractAt(
     "SimpleSwap",
-    "0xCcD61fC22cd6328596Ba4CA1a7F1d6bF793BF997"
+    deployedArtifact("simpleSwap", "SimpleSwap"),
+    sepolia.simpleSwap
   );
 
   return { tokenA, tokenB, simpleSwap };
@@ -0,0 +1,68 @@
+// indexer/cli.js
+// Indexes the SimpleSwap router of a JSON-RPC endpoint into SQLite:
+//   yarn node              # terminal 1
+//   yarn deploy:local      # terminal 2
+//   yarn indexer --once    # or without --once to keep following the head
+const path = require("path");
+const { parseArgs } = require("util");
+const { JsonRpcProvider } = require("ethers");
+const { getDeployment } = require("../scripts/deployments");
+const { SimpleSwapIndexer } = require("./src");
+
+const { values } = parseArgs({
+  options: {
+    rpc: { type: "string", default: "http://127.0.0.1:8545" },
+    router: { type: "string" },
+    db: {
+      type: "string",
+      default: path.join(__dirname, "..", "simpleswap-index.sqlite"),
+    },
+    "from-block": { type: "string", default: "0" },
+    confirmations: { type: "string", default: "0" },
+    interval: { type: "string", default: "2000" },
+    once: { type: "boolean", default: false },
+  },
+});
+
+async function main() {
+  const provider = new JsonRpcProvider(values.rpc);
+  const { chainId } = await provider.getNetwork();
+  const indexer = new SimpleSwapIndexer({
+    provider,
+    router: values.router ?? getDeployment(chainId).simpleSwap,
+    db: values.db,
+    startBlock: Number(values["from-block"]),
+    confirmations: Number(values.confirmations),
+  });
+
+  if (values.once) {
+    console.log(`Indexed up to block ${await indexer.sync()}`);
+  } else {
+    process.once("SIGINT", () => indexer.stop());
+    let last;
+    await indexer.run({
+      intervalMs: Number(values.interval),
+      onSync: (blockNumber) => {
+        if (blockNumber !== last) {
+          console.log(`Indexed up to block ${blockNumber}`);
+        }
+        last = blockNumber;
+      },
+    });
+  }
+
+  for (const pair of indexer.store.getPairs()) {
+    const stats = indexer.store.getPairStats(pair.address);
+    console.log(
+      `${pair.address}: reserves ${stats.reserve0}/${stats.reserve1}, ` +
+        `${stats.trades} trades`
+    );
+  }
+  indexer.close();
+  provider.destroy();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
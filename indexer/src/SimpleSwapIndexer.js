@@ -0,0 +1,339 @@
+const { Contract, Interface, ZeroAddress, getAddress } = require("ethers");
+const { IndexStore } = require("./store");
+
+// Event ABIs from the generated abis/, which `abi:check` keeps in sync with
+// the contracts. Pairs: Sync carries the reserves, Transfer moves the LP token
+const routerInterface = new Interface(
+  require("../../abis/simpleSwap.json").abi
+);
+const pairInterface = new Interface(require("../../abis/pair.json").abi);
+const factoryInterface = new Interface(require("../../abis/factory.json").abi);
+
+// Router events indexed, by topic
+const ROUTER_TOPICS = [
+  "LiquidityAdded",
+  "LiquidityRemoved",
+  "TokensSwapped",
+].map((name) => routerInterface.getEvent(name).topicHash);
+const PAIR_TOPICS = ["Sync", "Transfer"].map(
+  (name) => pairInterface.getEvent(name).topicHash
+);
+const PAIR_CREATED_TOPIC = factoryInterface.getEvent("PairCreated").topicHash;
+
+/**
+ * Indexes a SimpleSwap router into SQLite:
+ * - LiquidityAdded, LiquidityRemoved and TokensSwapped from the router,
+ *   with per-pair volume and trade counts from the swaps
+ * - Reserve history from the pairs' Sync events and LP balances from
+ *   their Transfer events, so LP tokens moved outside the router count
+ * - Pairs are discovered through the factory's PairCreated events; those
+ *   created before startBlock are read from the factory on start
+ *
+ * Each batch of blocks is written in one transaction together with the
+ * checkpoint, so a restarted indexer resumes after the last full batch.
+ * Before every sync the checkpoint's block hash is compared with the chain;
+ * on a mismatch everything above the newest still-canonical stored block is
+ * deleted and indexed again.
+ */
+class SimpleSwapIndexer {
+  /**
+   * @param {Object} options
+   * @param {import("ethers").Provider} options.provider JSON-RPC provider
+   * @param {string} options.router SimpleSwap router address
+   * @param {string|IndexStore} options.db Database file, or an open store
+   * @param {number} [options.startBlock] First block to index (default 0)
+   * @param {number} [options.confirmations] Blocks behind the head to stay
+   *        (default 0)
+   * @param {number} [options.batchSize] Blocks per getLogs call (default 2000)
+   */
+  constructor({
+    provider,
+    router,
+    db,
+    startBlock = 0,
+    confirmations = 0,
+    batchSize = 2000,
+  }) {
+    this.provider = provider;
+    this.router = getAddress(router);
+    this.store = typeof db === "string" ? new IndexStore(db) : db;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.running = false;
+  }
+
+  /**
+   * Indexes every block up to the head minus the confirmations
+   * @returns {Promise<number|undefined>} Last indexed block
+   */
+  async sync() {
+    await this._init();
+    await this._rollbackReorg();
+
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    let from =
+      (this.store.getCheckpoint()?.blockNumber ?? this.startBlock - 1) + 1;
+    while (from <= head) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      // A reorg while the batch was read is picked up by the next sync
+      if (!(await this._indexRange(from, to))) break;
+      from = to + 1;
+    }
+    return this.store.getCheckpoint()?.blockNumber;
+  }
+
+  /**
+   * Syncs every intervalMs until stop() is called
+   * @param {{intervalMs?: number, onSync?: (blockNumber: number) => void}} [options]
+   */
+  async run({ intervalMs = 2000, onSync } = {}) {
+    this.running = true;
+    while (this.running) {
+      const blockNumber = await this.sync();
+      if (onSync) onSync(blockNumber);
+      if (!this.running) break;
+      await new Promise((resolve) => {
+        this._wake = resolve;
+        this._timer = setTimeout(resolve, intervalMs);
+      });
+    }
+  }
+
+  /** Stops run() after the current sync */
+  stop() {
+    this.running = false;
+    clearTimeout(this._timer);
+    if (this._wake) this._wake();
+  }
+
+  close() {
+    this.stop();
+    this.store.close();
+  }
+
+  /**
+   * Resolves the factory, pins the database to this router and chain and
+   * loads the pairs created before startBlock
+   */
+  async _init() {
+    if (this.factory) return;
+    const { chainId } = await this.provider.getNetwork();
+    for (const [key, value] of [
+      ["router", this.router],
+      ["chainId", chainId.toString()],
+    ]) {
+      const stored = this.store.getMeta(key);
+      if (stored !== undefined && stored !== value) {
+        throw new Error(`Database indexes ${key} ${stored}, not ${value}`);
+      }
+      this.store.setMeta(key, value);
+    }
+    this.factory = getAddress(
+      await new Contract(this.router, routerInterface, this.provider).factory()
+    );
+    await this._loadExistingPairs();
+  }
+
+  /**
+   * Stores the pairs the factory held at startBlock - 1, as their
+   * PairCreated events are not indexed. They are recorded at that block,
+   * so a rollback to the start keeps them.
+   */
+  async _loadExistingPairs() {
+    const blockTag = this.startBlock - 1;
+    if (
+      blockTag < 0 ||
+      (await this.provider.getCode(this.factory, blockTag)) === "0x"
+    ) {
+      return;
+    }
+    const factory = new Contract(this.factory, factoryInterface, this.provider);
+    const length = await factory.allPairsLength({ blockTag });
+    const pairs = [];
+    for (let i = 0n; i < length; i++) {
+      const address = getAddress(await factory.allPairs(i, { blockTag }));
+      const pair = new Contract(address, pairInterface, this.provider);
+      pairs.push([
+        address,
+        getAddress(await pair.token0()),
+        getAddress(await pair.token1()),
+      ]);
+    }
+    this.store.transaction(() => {
+      for (const [address, token0, token1] of pairs) {
+        this.store.addPair(address, token0, token1, blockTag);
+      }
+    });
+  }
+
+  async _isCanonical(blockNumber, blockHash) {
+    const block = await this.provider.getBlock(blockNumber);
+    return block?.hash === blockHash;
+  }
+
+  /**
+   * Rolls back to the newest stored block still on the chain if the
+   * checkpoint was reorged out
+   */
+  async _rollbackReorg() {
+    const checkpoint = this.store.getCheckpoint();
+    if (
+      !checkpoint ||
+      (await this._isCanonical(checkpoint.blockNumber, checkpoint.blockHash))
+    ) {
+      return;
+    }
+    for (const { number, hash } of this.store.getBlocksDescending()) {
+      if (
+        number < checkpoint.blockNumber &&
+        (await this._isCanonical(number, hash))
+      ) {
+        this.store.rollback(number, hash);
+        return;
+      }
+    }
+    this.store.rollback(this.startBlock - 1, null);
+  }
+
+  /**
+   * Indexes blocks from..to in one transaction
+   * @returns {Promise<boolean>} False if the logs and block hashes
+   *          disagree, i.e. the range was reorged while it was read
+   */
+  async _indexRange(from, to) {
+    const created = (
+      await this.provider.getLogs({
+        address: this.factory,
+        topics: [PAIR_CREATED_TOPIC],
+        fromBlock: from,
+        toBlock: to,
+      })
+    ).map((log) => ({ log, args: factoryInterface.parseLog(log).args }));
+
+    const pairs = [
+      ...this.store.getPairs().map((pair) => pair.address),
+      ...created.map(({ args }) => getAddress(args.pair)),
+    ];
+    const logs = (
+      await this.provider.getLogs({
+        address: [this.router, ...pairs],
+        topics: [[...ROUTER_TOPICS, ...PAIR_TOPICS]],
+        fromBlock: from,
+        toBlock: to,
+      })
+    ).filter((log) => !log.removed);
+
+    const blocks = new Map();
+    for (const blockNumber of new Set([
+      ...created.map(({ log }) => log.blockNumber),
+      ...logs.map((log) => log.blockNumber),
+      to,
+    ])) {
+      const block = await this.provider.getBlock(blockNumber);
+      if (!block) return false;
+      blocks.set(blockNumber, block);
+    }
+    if (
+      [...created.map(({ log }) => log), ...logs].some(
+        (log) => blocks.get(log.blockNumber).hash !== log.blockHash
+      )
+    ) {
+      return false;
+    }
+
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+    this.store.transaction(() => {
+      for (const { number, hash, timestamp } of blocks.values()) {
+        this.store.addBlock(number, hash, timestamp);
+      }
+      for (const { log, args } of created) {
+        this.store.addPair(
+          getAddress(args.pair),
+          getAddress(args.token0),
+          getAddress(args.token1),
+          log.blockNumber
+        );
+      }
+      for (const log of logs) {
+        if (getAddress(log.address) === this.router) this._indexRouterLog(log);
+        else this._indexPairLog(log);
+      }
+      this.store.setCheckpoint(to, blocks.get(to).hash);
+    });
+    return true;
+  }
+
+  _indexRouterLog(log) {
+    const { name, fragment, args } = routerInterface.parseLog(log);
+    const decoded = {};
+    fragment.inputs.forEach((input, i) => {
+      decoded[input.name] = args[i];
+    });
+    const swap = name === "TokensSwapped";
+    const pair = this.store.findPair(
+      swap ? decoded.tokenIn : decoded.tokenA,
+      swap ? decoded.tokenOut : decoded.tokenB
+    );
+    // Pairs always exist by the time the router emits for them
+    if (!pair)
+      throw new Error(`Unknown pair for ${name} at ${log.transactionHash}`);
+
+    this.store.addEvent({
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      transactionHash: log.transactionHash,
+      name,
+      pair: pair.address,
+      args: decoded,
+    });
+    if (swap) {
+      const [amount0, amount1] =
+        decoded.tokenIn === pair.token0
+          ? [decoded.amountIn, decoded.amountOut]
+          : [decoded.amountOut, decoded.amountIn];
+      this.store.addSwap(
+        pair.address,
+        log.blockNumber,
+        log.index,
+        amount0,
+        amount1
+      );
+    }
+  }
+
+  _indexPairLog(log) {
+    const pair = getAddress(log.address);
+    const { name, args } = pairInterface.parseLog(log);
+    if (name === "Sync") {
+      this.store.addReserves(
+        pair,
+        log.blockNumber,
+        log.index,
+        args.reserve0,
+        args.reserve1
+      );
+      return;
+    }
+    if (args.from !== ZeroAddress) {
+      this.store.addPositionChange(
+        pair,
+        args.from,
+        log.blockNumber,
+        log.index,
+        -args.value
+      );
+    }
+    if (args.to !== ZeroAddress) {
+      this.store.addPositionChange(
+        pair,
+        args.to,
+        log.blockNumber,
+        log.index,
+        args.value
+      );
+    }
+  }
+}
+
+module.exports = { SimpleSwapIndexer };
@@ -0,0 +1,4 @@
+const { SimpleSwapIndexer } = require("./SimpleSwapIndexer");
+const { IndexStore } = require("./store");
+
+module.exports = { SimpleSwapIndexer, IndexStore };
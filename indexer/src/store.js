@@ -0,0 +1,422 @@
+const Database = require("better-sqlite3");
+
+/*
+ * Every row is keyed by the block it came from, so rolling back a reorg is
+ * a DELETE above the common ancestor. Running totals (cumulative volume,
+ * trade counts, LP balances) are stored on each row instead of in mutable
+ * aggregates for the same reason. uint256 amounts are decimal TEXT, as they
+ * do not fit SQLite integers.
+ */
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS checkpoint (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS pairs (
+    address TEXT PRIMARY KEY,
+    token0 TEXT NOT NULL,
+    token1 TEXT NOT NULL,
+    block_number INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    pair TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE TABLE IF NOT EXISTS reserves (
+    pair TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    reserve0 TEXT NOT NULL,
+    reserve1 TEXT NOT NULL,
+    PRIMARY KEY (pair, block_number, log_index)
+  );
+  CREATE TABLE IF NOT EXISTS swaps (
+    pair TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    volume0 TEXT NOT NULL,
+    volume1 TEXT NOT NULL,
+    trade_count INTEGER NOT NULL,
+    PRIMARY KEY (pair, block_number, log_index)
+  );
+  CREATE TABLE IF NOT EXISTS positions (
+    pair TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    balance TEXT NOT NULL,
+    PRIMARY KEY (pair, provider, block_number, log_index)
+  );
+`;
+
+// Tables rolled back on a reorg, with their block number column
+const BLOCK_TABLES = {
+  blocks: "number",
+  pairs: "block_number",
+  events: "block_number",
+  reserves: "block_number",
+  swaps: "block_number",
+  positions: "block_number",
+};
+
+/**
+ * Pair snapshot returned by getPairStats
+ * @typedef {Object} PairStats
+ * @property {string} pair Pair / LP token address
+ * @property {string} token0
+ * @property {string} token1
+ * @property {bigint} reserve0 Latest reserves
+ * @property {bigint} reserve1
+ * @property {bigint} volume0 token0 bought and sold through the router
+ * @property {bigint} volume1 token1 bought and sold through the router
+ * @property {number} trades Router swaps (one per hop)
+ */
+
+/**
+ * SQLite storage and query API of the indexer
+ */
+class IndexStore {
+  /**
+   * @param {string} file Database file, or ":memory:"
+   */
+  constructor(file) {
+    this.db = new Database(file);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(SCHEMA);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  /**
+   * Runs fn in a transaction, committing only if it returns normally
+   * @template T
+   * @param {() => T} fn
+   * @returns {T}
+   */
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  getMeta(key) {
+    return this.db.prepare("SELECT value FROM meta WHERE key = ?").get(key)
+      ?.value;
+  }
+
+  setMeta(key, value) {
+    this.db
+      .prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)")
+      .run(key, String(value));
+  }
+
+  /**
+   * Returns the last fully indexed block, or undefined before the first sync
+   * @returns {{blockNumber: number, blockHash: string}|undefined}
+   */
+  getCheckpoint() {
+    const row = this.db
+      .prepare("SELECT block_number, block_hash FROM checkpoint WHERE id = 1")
+      .get();
+    return row && { blockNumber: row.block_number, blockHash: row.block_hash };
+  }
+
+  setCheckpoint(blockNumber, blockHash) {
+    this.db
+      .prepare(
+        "INSERT OR REPLACE INTO checkpoint (id, block_number, block_hash) VALUES (1, ?, ?)"
+      )
+      .run(blockNumber, blockHash);
+  }
+
+  /**
+   * Stored blocks from the newest down, used to find a reorg's ancestor
+   * @returns {{number: number, hash: string}[]}
+   */
+  getBlocksDescending() {
+    return this.db
+      .prepare("SELECT number, hash FROM blocks ORDER BY number DESC")
+      .all();
+  }
+
+  addBlock(number, hash, timestamp) {
+    this.db
+      .prepare(
+        "INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)"
+      )
+      .run(number, hash, timestamp);
+  }
+
+  /**
+   * Deletes everything above blockNumber and moves the checkpoint there
+   * @param {number} blockNumber Last block kept
+   * @param {string|null} blockHash Its hash, null to clear the checkpoint
+   */
+  rollback(blockNumber, blockHash) {
+    this.transaction(() => {
+      for (const [table, column] of Object.entries(BLOCK_TABLES)) {
+        this.db
+          .prepare(`DELETE FROM ${table} WHERE ${column} > ?`)
+          .run(blockNumber);
+      }
+      if (blockHash === null) {
+        this.db.prepare("DELETE FROM checkpoint").run();
+      } else {
+        this.setCheckpoint(blockNumber, blockHash);
+      }
+    });
+  }
+
+  addPair(address, token0, token1, blockNumber) {
+    this.db
+      .prepare(
+        "INSERT OR REPLACE INTO pairs (address, token0, token1, block_number) VALUES (?, ?, ?, ?)"
+      )
+      .run(address, token0, token1, blockNumber);
+  }
+
+  /**
+   * @returns {{address: string, token0: string, token1: string, blockNumber: number}[]}
+   */
+  getPairs() {
+    return this.db
+      .prepare(
+        "SELECT address, token0, token1, block_number FROM pairs ORDER BY block_number, address"
+      )
+      .all()
+      .map((row) => ({
+        address: row.address,
+        token0: row.token0,
+        token1: row.token1,
+        blockNumber: row.block_number,
+      }));
+  }
+
+  /**
+   * Returns the pair of two tokens in either order
+   * @returns {{address: string, token0: string, token1: string}|undefined}
+   */
+  findPair(tokenA, tokenB) {
+    return this.db
+      .prepare(
+        "SELECT address, token0, token1 FROM pairs WHERE (token0 = ? AND token1 = ?) OR (token0 = ? AND token1 = ?)"
+      )
+      .get(tokenA, tokenB, tokenB, tokenA);
+  }
+
+  addEvent({ blockNumber, logIndex, transactionHash, name, pair, args }) {
+    this.db
+      .prepare(
+        "INSERT OR REPLACE INTO events (block_number, log_index, tx_hash, name, pair, args) VALUES (?, ?, ?, ?, ?, ?)"
+      )
+      .run(
+        blockNumber,
+        logIndex,
+        transactionHash,
+        name,
+        pair,
+        JSON.stringify(args, (_, value) =>
+          typeof value === "bigint" ? value.toString() : value
+        )
+      );
+  }
+
+  addReserves(pair, blockNumber, logIndex, reserve0, reserve1) {
+    this.db
+      .prepare(
+        "INSERT OR REPLACE INTO reserves (pair, block_number, log_index, reserve0, reserve1) VALUES (?, ?, ?, ?, ?)"
+      )
+      .run(pair, blockNumber, logIndex, String(reserve0), String(reserve1));
+  }
+
+  /**
+   * Adds a swap to the pair's running volume and trade count
+   * @param {string} pair
+   * @param {number} blockNumber
+   * @param {number} logIndex
+   * @param {bigint} amount0 token0 bought or sold
+   * @param {bigint} amount1 token1 bought or sold
+   */
+  addSwap(pair, blockNumber, logIndex, amount0, amount1) {
+    const last = this.db
+      .prepare(
+        "SELECT volume0, volume1, trade_count FROM swaps WHERE pair = ? ORDER BY block_number DESC, log_index DESC LIMIT 1"
+      )
+      .get(pair);
+    this.db
+      .prepare(
+        "INSERT OR REPLACE INTO swaps (pair, block_number, log_index, volume0, volume1, trade_count) VALUES (?, ?, ?, ?, ?, ?)"
+      )
+      .run(
+        pair,
+        blockNumber,
+        logIndex,
+        String(BigInt(last?.volume0 ?? 0) + amount0),
+        String(BigInt(last?.volume1 ?? 0) + amount1),
+        (last?.trade_count ?? 0) + 1
+      );
+  }
+
+  /**
+   * Applies an LP token balance change and records the new balance
+   * @param {string} pair
+   * @param {string} provider
+   * @param {number} blockNumber
+   * @param {number} logIndex
+   * @param {bigint} delta Signed change of the balance
+   */
+  addPositionChange(pair, provider, blockNumber, logIndex, delta) {
+    const balance = this.getPosition(pair, provider) + delta;
+    this.db
+      .prepare(
+        "INSERT OR REPLACE INTO positions (pair, provider, block_number, log_index, balance) VALUES (?, ?, ?, ?, ?)"
+      )
+      .run(pair, provider, blockNumber, logIndex, String(balance));
+  }
+
+  /**
+   * Returns the latest reserves, volume and trade count of a pair
+   * @param {string} pair
+   * @returns {PairStats|undefined}
+   */
+  getPairStats(pair) {
+    const row = this.db
+      .prepare("SELECT address, token0, token1 FROM pairs WHERE address = ?")
+      .get(pair);
+    if (!row) return undefined;
+    const reserves = this.db
+      .prepare(
+        "SELECT reserve0, reserve1 FROM reserves WHERE pair = ? ORDER BY block_number DESC, log_index DESC LIMIT 1"
+      )
+      .get(pair);
+    const swaps = this.db
+      .prepare(
+        "SELECT volume0, volume1, trade_count FROM swaps WHERE pair = ? ORDER BY block_number DESC, log_index DESC LIMIT 1"
+      )
+      .get(pair);
+    return {
+      pair: row.address,
+      token0: row.token0,
+      token1: row.token1,
+      reserve0: BigInt(reserves?.reserve0 ?? 0),
+      reserve1: BigInt(reserves?.reserve1 ?? 0),
+      volume0: BigInt(swaps?.volume0 ?? 0),
+      volume1: BigInt(swaps?.volume1 ?? 0),
+      trades: swaps?.trade_count ?? 0,
+    };
+  }
+
+  /**
+   * Returns the reserves of a pair after every change, oldest first
+   * @param {string} pair
+   * @param {{fromBlock?: number, toBlock?: number}} [range] Inclusive
+   * @returns {{blockNumber: number, logIndex: number, timestamp: number, reserve0: bigint, reserve1: bigint}[]}
+   */
+  getReserveHistory(
+    pair,
+    { fromBlock = 0, toBlock = Number.MAX_SAFE_INTEGER } = {}
+  ) {
+    return this.db
+      .prepare(
+        `SELECT r.block_number, r.log_index, b.timestamp, r.reserve0, r.reserve1
+         FROM reserves r JOIN blocks b ON b.number = r.block_number
+         WHERE r.pair = ? AND r.block_number BETWEEN ? AND ?
+         ORDER BY r.block_number, r.log_index`
+      )
+      .all(pair, fromBlock, toBlock)
+      .map((row) => ({
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+        timestamp: row.timestamp,
+        reserve0: BigInt(row.reserve0),
+        reserve1: BigInt(row.reserve1),
+      }));
+  }
+
+  /**
+   * Returns the LP balance of a provider, at the latest block or at
+   * the end of blockNumber
+   * @param {string} pair
+   * @param {string} provider
+   * @param {number} [blockNumber]
+   * @returns {bigint}
+   */
+  getPosition(pair, provider, blockNumber = Number.MAX_SAFE_INTEGER) {
+    const row = this.db
+      .prepare(
+        `SELECT balance FROM positions
+         WHERE pair = ? AND provider = ? AND block_number <= ?
+         ORDER BY block_number DESC, log_index DESC LIMIT 1`
+      )
+      .get(pair, provider, blockNumber);
+    return BigInt(row?.balance ?? 0);
+  }
+
+  /**
+   * Returns the non-zero LP positions, optionally of one pair or provider
+   * @param {{pair?: string, provider?: string}} [filter]
+   * @returns {{pair: string, provider: string, balance: bigint}[]}
+   */
+  getPositions({ pair, provider } = {}) {
+    return this.db
+      .prepare(
+        `SELECT p.pair, p.provider, p.balance FROM positions p
+         WHERE (? IS NULL OR p.pair = ?) AND (? IS NULL OR p.provider = ?)
+           AND NOT EXISTS (
+             SELECT 1 FROM positions q
+             WHERE q.pair = p.pair AND q.provider = p.provider
+               AND (q.block_number > p.block_number
+                 OR (q.block_number = p.block_number AND q.log_index > p.log_index))
+           )
+         ORDER BY p.pair, p.provider`
+      )
+      .all(pair ?? null, pair ?? null, provider ?? null, provider ?? null)
+      .map((row) => ({
+        pair: row.pair,
+        provider: row.provider,
+        balance: BigInt(row.balance),
+      }))
+      .filter((position) => position.balance !== 0n);
+  }
+
+  /**
+   * Returns the indexed router events, oldest first
+   * @param {{name?: string, pair?: string, fromBlock?: number}} [filter]
+   * @returns {{blockNumber: number, logIndex: number, transactionHash: string, name: string, pair: string, args: Object<string, string>}[]}
+   */
+  getEvents({ name, pair, fromBlock = 0 } = {}) {
+    return this.db
+      .prepare(
+        `SELECT * FROM events
+         WHERE (? IS NULL OR name = ?) AND (? IS NULL OR pair = ?)
+           AND block_number >= ?
+         ORDER BY block_number, log_index`
+      )
+      .all(name ?? null, name ?? null, pair ?? null, pair ?? null, fromBlock)
+      .map((row) => ({
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+        transactionHash: row.tx_hash,
+        name: row.name,
+        pair: row.pair,
+        args: JSON.parse(row.args),
+      }));
+  }
+}
+
+module.exports = { IndexStore };
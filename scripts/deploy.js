@@ -0,0 +1,74 @@
+// scripts/deploy.js
+// Deploys a fresh SimpleSwap system with Ignition and records its addresses:
+//   npx hardhat node
+//   npx hardhat run scripts/deploy.js --network localhost
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const SimpleSwapModule = require("../ignition/modules/SimpleSwap");
+const { LOCAL_CHAIN_ID, saveDeployment } = require("./deployments");
+const { writeManifest } = require("../tasks/abi");
+
+// Module parameters, shared with `npx hardhat ignition deploy --parameters`
+const PARAMETERS_FILE = path.join(
+  __dirname,
+  "..",
+  "ignition",
+  "parameters.json"
+);
+
+/**
+ * Loads the Ignition parameters, turning "123n" strings into bigints as
+ * the Ignition CLI does
+ */
+function loadParameters() {
+  if (!fs.existsSync(PARAMETERS_FILE)) return {};
+  return JSON.parse(fs.readFileSync(PARAMETERS_FILE, "utf8"), (_, value) =>
+    typeof value === "string" && /^\d+n$/.test(value)
+      ? BigInt(value.slice(0, -1))
+      : value
+  );
+}
+
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  // Ignition would otherwise trust its journal from a previous node run and
+  // skip the deployment, so local chains always start from scratch
+  if (chainId === LOCAL_CHAIN_ID) {
+    fs.rmSync(
+      path.join(hre.config.paths.ignition, "deployments", `chain-${chainId}`),
+      {
+        recursive: true,
+        force: true,
+      }
+    );
+  }
+
+  const contracts = await hre.ignition.deploy(SimpleSwapModule, {
+    parameters: loadParameters(),
+  });
+
+  const addresses = {};
+  for (const [name, contract] of Object.entries(contracts)) {
+    addresses[name] = await contract.getAddress();
+  }
+  console.table(addresses);
+
+  // The in-process network is gone once the script exits
+  if (hre.network.name === "hardhat") {
+    console.log("Ephemeral hardhat network: addresses not recorded");
+    return;
+  }
+  // Local node addresses go to the untracked deployments.local.json
+  const file = saveDeployment(chainId, addresses);
+  console.log(`Recorded chain ${chainId} in ${file}`);
+  // Snapshot the ABIs this deployment was built from
+  const manifest = await writeManifest(hre, chainId, addresses);
+  console.log(`Wrote ${path.relative(hre.config.paths.root, manifest)}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,79 @@
+const fs = require("fs");
+const path = require("path");
+
+// Addresses of every deployment, keyed by chain ID
+const DEPLOYMENTS_FILE = path.join(__dirname, "..", "deployments.json");
+
+// Chain ID of `npx hardhat node`, whose state is lost on every restart
+const LOCAL_CHAIN_ID = 31337n;
+
+// Addresses on the local node, kept out of git as they die with the node
+const LOCAL_DEPLOYMENTS_FILE = path.join(
+  __dirname,
+  "..",
+  "deployments.local.json"
+);
+
+/**
+ * Returns the file recording a chain's deployment: deployments.local.json
+ * for the local node, deployments.json otherwise
+ * @param {bigint|number|string} chainId Chain ID of the network
+ * @returns {string} Path of the deployments file
+ */
+function deploymentsFileFor(chainId) {
+  return BigInt(chainId) === LOCAL_CHAIN_ID
+    ? LOCAL_DEPLOYMENTS_FILE
+    : DEPLOYMENTS_FILE;
+}
+
+/**
+ * Reads every recorded deployment
+ * @param {string} [file] Deployments file, defaults to deployments.json
+ * @returns {Object<string, Object<string, string>>} Addresses by chain ID
+ */
+function readDeployments(file = DEPLOYMENTS_FILE) {
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Returns the contract addresses recorded for a chain
+ * @param {bigint|number|string} chainId Chain ID of the network
+ * @param {string} [file] Deployments file, defaults to the chain's
+ * @returns {Object<string, string>} Addresses by contract name
+ */
+function getDeployment(chainId, file = deploymentsFileFor(chainId)) {
+  const deployment = readDeployments(file)[String(chainId)];
+  if (!deployment) {
+    throw new Error(`No deployment recorded for chain ${chainId} in ${file}`);
+  }
+  return deployment;
+}
+
+/**
+ * Records the contract addresses of a chain, replacing any previous entry
+ * @param {bigint|number|string} chainId Chain ID of the network
+ * @param {Object<string, string>} addresses Addresses by contract name
+ * @param {string} [file] Deployments file, defaults to the chain's
+ * @returns {string} Path of the file written
+ */
+function saveDeployment(
+  chainId,
+  addresses,
+  file = deploymentsFileFor(chainId)
+) {
+  const deployments = readDeployments(file);
+  deployments[String(chainId)] = addresses;
+  fs.writeFileSync(file, JSON.stringify(deployments, null, 2) + "\n");
+  return file;
+}
+
+module.exports = {
+  DEPLOYMENTS_FILE,
+  LOCAL_CHAIN_ID,
+  LOCAL_DEPLOYMENTS_FILE,
+  deploymentsFileFor,
+  readDeployments,
+  getDeployment,
+  saveDeployment,
+};
@@ -0,0 +1,421 @@
+const { Contract, MaxUint256, ZeroAddress } = require("ethers");
+const { SIMPLE_SWAP_ABI, FACTORY_ABI, PAIR_ABI, ERC20_ABI } = require("./abi");
+const math = require("./math");
+
+// Slippage tolerance used when a call does not pass one (0.5%)
+const DEFAULT_SLIPPAGE_BPS = 50n;
+
+// Validity of built transactions, counted from the latest block (20 minutes)
+const DEFAULT_TTL_SECONDS = 1200n;
+
+/**
+ * Reserves, fee and LP supply of a pool, in (tokenA, tokenB) order
+ * @typedef {Object} Pool
+ * @property {string} lpToken Pair / LP token address (zero if not created)
+ * @property {bigint} reserveA
+ * @property {bigint} reserveB
+ * @property {bigint} feeBps Swap fee in basis points
+ * @property {bigint} totalSupply LP supply, not counting a pending protocol fee
+ */
+
+/**
+ * Options shared by the transaction builders
+ * @typedef {Object} TxOptions
+ * @property {bigint|number} [slippageBps] Tolerance in basis points
+ * @property {string} [to] Recipient, defaults to the signer
+ * @property {bigint} [deadline] Expiry timestamp, overrides ttlSeconds
+ * @property {bigint|number} [ttlSeconds] Validity from the latest block
+ */
+
+/**
+ * A decoded router event; `name` tells which of the fields are present
+ * @typedef {Object} SimpleSwapEvent
+ * @property {"LiquidityAdded"|"LiquidityRemoved"|"TokensSwapped"} name
+ * @property {string} [tokenA] LiquidityAdded / LiquidityRemoved
+ * @property {string} [tokenB] LiquidityAdded / LiquidityRemoved
+ * @property {string} [provider] LiquidityAdded / LiquidityRemoved
+ * @property {bigint} [amountA] LiquidityAdded / LiquidityRemoved
+ * @property {bigint} [amountB] LiquidityAdded / LiquidityRemoved
+ * @property {bigint} [liquidity] LiquidityAdded / LiquidityRemoved
+ * @property {string} [tokenIn] TokensSwapped
+ * @property {string} [tokenOut] TokensSwapped
+ * @property {string} [trader] TokensSwapped
+ * @property {bigint} [amountIn] TokensSwapped
+ * @property {bigint} [amountOut] TokensSwapped
+ * @property {bigint} [fee] TokensSwapped
+ * @property {string} address Emitting router
+ * @property {number} blockNumber
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ */
+
+/**
+ * Client for the SimpleSwap router, for frontends and bots:
+ * - Quotes off-chain from live reserves with the contract's exact math
+ * - Builds slippage-bounded addLiquidity, removeLiquidity and
+ *   swapExactTokensForTokens transactions
+ * - Checks and raises allowances before sending them
+ * - Decodes the router's events into plain objects
+ */
+class SimpleSwapClient {
+  /**
+   * @param {string} routerAddress SimpleSwap router address
+   * @param {import("ethers").ContractRunner} runner Signer to send
+   *        transactions, or a provider for read-only use
+   */
+  constructor(routerAddress, runner) {
+    this.address = routerAddress;
+    this.runner = runner;
+    this.router = new Contract(routerAddress, SIMPLE_SWAP_ABI, runner);
+  }
+
+  /**
+   * Returns the pool of a pair in (tokenA, tokenB) order
+   * @param {string} tokenA
+   * @param {string} tokenB
+   * @returns {Promise<Pool>}
+   */
+  async getPool(tokenA, tokenB) {
+    const [[totalSupply, reserves, feeBps], lpToken] = await Promise.all([
+      this.router.pairs(tokenA, tokenB),
+      this.router.getLPToken(tokenA, tokenB),
+    ]);
+    return {
+      lpToken,
+      reserveA: reserves.reserveA,
+      reserveB: reserves.reserveB,
+      feeBps,
+      totalSupply,
+    };
+  }
+
+  /**
+   * Reads the reserves and fee of every hop of a route
+   * @param {string[]} path Token route, at least two entries
+   * @returns {Promise<import("./math").Hop[]>}
+   */
+  async getHops(path) {
+    if (path.length < 2) throw new Error("invalid_path");
+    return Promise.all(
+      path.slice(1).map(async (tokenOut, i) => {
+        const [, reserves, feeBps] = await this.router.pairs(path[i], tokenOut);
+        return {
+          reserveIn: reserves.reserveA,
+          reserveOut: reserves.reserveB,
+          feeBps,
+        };
+      })
+    );
+  }
+
+  /**
+   * Quotes an exact-input swap off-chain, like getAmountsOut
+   * @param {bigint} amountIn
+   * @param {string[]} path
+   * @returns {Promise<{amounts: bigint[], amountOut: bigint, priceImpactBps: bigint}>}
+   */
+  async quoteExactIn(amountIn, path) {
+    const { amounts, priceImpactBps } = math.getAmountsOut(
+      amountIn,
+      await this.getHops(path)
+    );
+    return { amounts, amountOut: amounts[amounts.length - 1], priceImpactBps };
+  }
+
+  /**
+   * Quotes an exact-output swap off-chain, like getAmountsIn
+   * @param {bigint} amountOut
+   * @param {string[]} path
+   * @returns {Promise<{amounts: bigint[], amountIn: bigint, priceImpactBps: bigint}>}
+   */
+  async quoteExactOut(amountOut, path) {
+    const { amounts, priceImpactBps } = math.getAmountsIn(
+      amountOut,
+      await this.getHops(path)
+    );
+    return { amounts, amountIn: amounts[0], priceImpactBps };
+  }
+
+  /**
+   * Quotes the deposit and LP tokens of addLiquidity, including the
+   * protocol fee the pair mints first
+   * @param {string} tokenA
+   * @param {string} tokenB
+   * @param {bigint} amountADesired
+   * @param {bigint} amountBDesired
+   * @returns {Promise<{amountA: bigint, amountB: bigint, liquidity: bigint}>}
+   */
+  async quoteAddLiquidity(tokenA, tokenB, amountADesired, amountBDesired) {
+    const pool = await this.getPool(tokenA, tokenB);
+    const { amountA, amountB } = math.getOptimalDeposit(
+      amountADesired,
+      amountBDesired,
+      pool.reserveA,
+      pool.reserveB
+    );
+    const liquidity = math.getLiquidityMinted(
+      amountA,
+      amountB,
+      pool.reserveA,
+      pool.reserveB,
+      await this._supplyAfterProtocolFee(pool)
+    );
+    return { amountA, amountB, liquidity };
+  }
+
+  /**
+   * Quotes the tokens removeLiquidity pays out for `liquidity`
+   * @param {string} tokenA
+   * @param {string} tokenB
+   * @param {bigint} liquidity LP tokens to burn
+   * @returns {Promise<{amountA: bigint, amountB: bigint}>}
+   */
+  async quoteRemoveLiquidity(tokenA, tokenB, liquidity) {
+    const pool = await this.getPool(tokenA, tokenB);
+    if (pool.lpToken === ZeroAddress) throw new Error("insuff_bal");
+    return math.getLiquidityValue(
+      liquidity,
+      pool.reserveA,
+      pool.reserveB,
+      await this._supplyAfterProtocolFee(pool)
+    );
+  }
+
+  /**
+   * Builds addLiquidity with minimums `slippageBps` below the quote
+   * @param {{tokenA: string, tokenB: string, amountADesired: bigint, amountBDesired: bigint} & TxOptions} params
+   * @returns {Promise<{tx: import("ethers").ContractTransaction, amountA: bigint, amountB: bigint, liquidity: bigint, amountAMin: bigint, amountBMin: bigint}>}
+   */
+  async buildAddLiquidity(params) {
+    const { tokenA, tokenB, amountADesired, amountBDesired } = params;
+    const quoted = await this.quoteAddLiquidity(
+      tokenA,
+      tokenB,
+      amountADesired,
+      amountBDesired
+    );
+    const slippageBps = params.slippageBps ?? DEFAULT_SLIPPAGE_BPS;
+    const amountAMin = math.applySlippage(quoted.amountA, slippageBps);
+    const amountBMin = math.applySlippage(quoted.amountB, slippageBps);
+    const tx = await this.router.addLiquidity.populateTransaction(
+      tokenA,
+      tokenB,
+      amountADesired,
+      amountBDesired,
+      amountAMin,
+      amountBMin,
+      await this._recipient(params),
+      await this._deadline(params)
+    );
+    return { tx, ...quoted, amountAMin, amountBMin };
+  }
+
+  /**
+   * Builds removeLiquidity with minimums `slippageBps` below the quote
+   * @param {{tokenA: string, tokenB: string, liquidity: bigint} & TxOptions} params
+   * @returns {Promise<{tx: import("ethers").ContractTransaction, amountA: bigint, amountB: bigint, amountAMin: bigint, amountBMin: bigint}>}
+   */
+  async buildRemoveLiquidity(params) {
+    const { tokenA, tokenB, liquidity } = params;
+    const quoted = await this.quoteRemoveLiquidity(tokenA, tokenB, liquidity);
+    const slippageBps = params.slippageBps ?? DEFAULT_SLIPPAGE_BPS;
+    const amountAMin = math.applySlippage(quoted.amountA, slippageBps);
+    const amountBMin = math.applySlippage(quoted.amountB, slippageBps);
+    const tx = await this.router.removeLiquidity.populateTransaction(
+      tokenA,
+      tokenB,
+      liquidity,
+      amountAMin,
+      amountBMin,
+      await this._recipient(params),
+      await this._deadline(params)
+    );
+    return { tx, ...quoted, amountAMin, amountBMin };
+  }
+
+  /**
+   * Builds swapExactTokensForTokens with amountOutMin `slippageBps` below
+   * the quote
+   * @param {{amountIn: bigint, path: string[]} & TxOptions} params
+   * @returns {Promise<{tx: import("ethers").ContractTransaction, amounts: bigint[], amountOut: bigint, priceImpactBps: bigint, amountOutMin: bigint}>}
+   */
+  async buildSwapExactTokensForTokens(params) {
+    const { amountIn, path } = params;
+    const quoted = await this.quoteExactIn(amountIn, path);
+    const amountOutMin = math.applySlippage(
+      quoted.amountOut,
+      params.slippageBps ?? DEFAULT_SLIPPAGE_BPS
+    );
+    const tx = await this.router.swapExactTokensForTokens.populateTransaction(
+      amountIn,
+      amountOutMin,
+      path,
+      await this._recipient(params),
+      await this._deadline(params)
+    );
+    return { tx, ...quoted, amountOutMin };
+  }
+
+  /**
+   * Returns how much of `token` the spender may pull from `owner`
+   * @param {string} token ERC-20 or LP token address
+   * @param {string} owner Token holder
+   * @param {string} [spender] Defaults to the router
+   * @returns {Promise<bigint>}
+   */
+  async getAllowance(token, owner, spender = this.address) {
+    return new Contract(token, ERC20_ABI, this.runner).allowance(
+      owner,
+      spender
+    );
+  }
+
+  /**
+   * Approves the spender unless the signer's allowance already covers
+   * `amount`
+   * @param {string} token ERC-20 or LP token address
+   * @param {bigint} amount Amount the spender needs
+   * @param {{spender?: string, infinite?: boolean}} [options] Spender
+   *        (router by default) and whether to approve MaxUint256
+   * @returns {Promise<import("ethers").TransactionReceipt|null>} The approve
+   *          receipt, or null if no transaction was needed
+   */
+  async ensureAllowance(token, amount, options = {}) {
+    const signer = this._signer();
+    const spender = options.spender ?? this.address;
+    const owner = await signer.getAddress();
+    if ((await this.getAllowance(token, owner, spender)) >= amount) return null;
+    const erc20 = new Contract(token, ERC20_ABI, signer);
+    const tx = await erc20.approve(
+      spender,
+      options.infinite ? MaxUint256 : amount
+    );
+    return tx.wait();
+  }
+
+  /**
+   * Approves both tokens if needed, then sends a built addLiquidity
+   * @param {Parameters<SimpleSwapClient["buildAddLiquidity"]>[0]} params
+   * @returns {Promise<{receipt: import("ethers").TransactionReceipt, events: SimpleSwapEvent[]}>}
+   */
+  async addLiquidity(params) {
+    const { tx, amountA, amountB } = await this.buildAddLiquidity(params);
+    await this.ensureAllowance(params.tokenA, amountA);
+    await this.ensureAllowance(params.tokenB, amountB);
+    return this._send(tx);
+  }
+
+  /**
+   * Approves the LP token if needed, then sends a built removeLiquidity
+   * @param {Parameters<SimpleSwapClient["buildRemoveLiquidity"]>[0]} params
+   * @returns {Promise<{receipt: import("ethers").TransactionReceipt, events: SimpleSwapEvent[]}>}
+   */
+  async removeLiquidity(params) {
+    const { tx } = await this.buildRemoveLiquidity(params);
+    const lpToken = await this.router.getLPToken(params.tokenA, params.tokenB);
+    await this.ensureAllowance(lpToken, params.liquidity);
+    return this._send(tx);
+  }
+
+  /**
+   * Approves the input token if needed, then sends a built
+   * swapExactTokensForTokens
+   * @param {Parameters<SimpleSwapClient["buildSwapExactTokensForTokens"]>[0]} params
+   * @returns {Promise<{receipt: import("ethers").TransactionReceipt, events: SimpleSwapEvent[]}>}
+   */
+  async swapExactTokensForTokens(params) {
+    const { tx } = await this.buildSwapExactTokensForTokens(params);
+    await this.ensureAllowance(params.path[0], params.amountIn);
+    return this._send(tx);
+  }
+
+  /**
+   * Decodes one log of the router; null for other contracts or events
+   * @param {import("ethers").Log} log
+   * @returns {SimpleSwapEvent|null}
+   */
+  decodeEvent(log) {
+    if (log.address.toLowerCase() !== this.address.toLowerCase()) return null;
+    const parsed = this.router.interface.parseLog(log);
+    if (!parsed) return null;
+    const event = { name: parsed.name };
+    parsed.fragment.inputs.forEach((input, i) => {
+      event[input.name] = parsed.args[i];
+    });
+    return /** @type {SimpleSwapEvent} */ ({
+      ...event,
+      address: log.address,
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+    });
+  }
+
+  /**
+   * Decodes every router event of a receipt, in log order
+   * @param {import("ethers").TransactionReceipt} receipt
+   * @returns {SimpleSwapEvent[]}
+   */
+  parseEvents(receipt) {
+    return receipt.logs.map((log) => this.decodeEvent(log)).filter(Boolean);
+  }
+
+  /**
+   * LP supply once the pair has minted its pending protocol fee, which
+   * happens before every mint and burn
+   * @param {Pool} pool
+   */
+  async _supplyAfterProtocolFee(pool) {
+    if (pool.totalSupply === 0n) return 0n;
+    const factory = new Contract(
+      await this.router.factory(),
+      FACTORY_ABI,
+      this.runner
+    );
+    const [feeTo, shareBps, kLast] = await Promise.all([
+      factory.feeTo(),
+      factory.protocolFeeShareBps(),
+      new Contract(pool.lpToken, PAIR_ABI, this.runner).kLast(),
+    ]);
+    if (feeTo === ZeroAddress) return pool.totalSupply;
+    return (
+      pool.totalSupply +
+      math.getProtocolFeeLiquidity(
+        pool.totalSupply,
+        pool.reserveA,
+        pool.reserveB,
+        kLast,
+        shareBps
+      )
+    );
+  }
+
+  _signer() {
+    if (typeof this.runner?.sendTransaction !== "function") {
+      throw new Error("SimpleSwapClient: a signer is required to send");
+    }
+    return /** @type {import("ethers").Signer} */ (this.runner);
+  }
+
+  async _recipient({ to }) {
+    return to ?? this._signer().getAddress();
+  }
+
+  async _deadline({ deadline, ttlSeconds }) {
+    if (deadline !== undefined) return BigInt(deadline);
+    const block = await this.runner.provider.getBlock("latest");
+    return BigInt(block.timestamp) + BigInt(ttlSeconds ?? DEFAULT_TTL_SECONDS);
+  }
+
+  async _send(tx) {
+    const response = await this._signer().sendTransaction(tx);
+    const receipt = await response.wait();
+    return { receipt, events: this.parseEvents(receipt) };
+  }
+}
+
+module.exports = {
+  SimpleSwapClient,
+  DEFAULT_SLIPPAGE_BPS,
+  DEFAULT_TTL_SECONDS,
+};
@@ -0,0 +1,14 @@
+/**
+ * ABIs of the contracts the SDK talks to, generated into sdk/abis/ by the
+ * compile hook in tasks/abi.js and packed with the SDK
+ */
+
+const SIMPLE_SWAP_ABI = require("../abis/simpleSwap.json").abi;
+
+const FACTORY_ABI = require("../abis/factory.json").abi;
+
+const PAIR_ABI = require("../abis/pair.json").abi;
+
+const ERC20_ABI = require("../abis/erc20.json").abi;
+
+module.exports = { SIMPLE_SWAP_ABI, FACTORY_ABI, PAIR_ABI, ERC20_ABI };
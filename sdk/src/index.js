@@ -0,0 +1,15 @@
+const {
+  SimpleSwapClient,
+  DEFAULT_SLIPPAGE_BPS,
+  DEFAULT_TTL_SECONDS,
+} = require("./SimpleSwapClient");
+const math = require("./math");
+const abi = require("./abi");
+
+module.exports = {
+  SimpleSwapClient,
+  DEFAULT_SLIPPAGE_BPS,
+  DEFAULT_TTL_SECONDS,
+  math,
+  ...abi,
+};
@@ -0,0 +1,298 @@
+/**
+ * Off-chain SimpleSwap math on bigints. Every function mirrors the
+ * contract code it names, including the order of multiplications and the
+ * truncating divisions, so results match the chain bit for bit. Invalid
+ * inputs throw an Error carrying the contract's revert reason.
+ */
+
+// Basis points denominator of the fee math (SimpleSwap.FEE_DENOMINATOR)
+const FEE_DENOMINATOR = 10_000n;
+
+// Fee of pairs that do not exist yet (SimpleSwap.DEFAULT_SWAP_FEE_BPS)
+const DEFAULT_SWAP_FEE_BPS = 30n;
+
+// LP tokens locked on the first deposit (SimpleSwapPair.MINIMUM_LIQUIDITY)
+const MINIMUM_LIQUIDITY = 1000n;
+
+/**
+ * One hop of a route, with reserves in trade direction
+ * @typedef {Object} Hop
+ * @property {bigint} reserveIn Reserve of the token sold
+ * @property {bigint} reserveOut Reserve of the token bought
+ * @property {bigint} feeBps Swap fee of the hop's pair in basis points
+ */
+
+function check(condition, reason) {
+  if (!condition) throw new Error(reason);
+}
+
+/**
+ * Floor of the square root, like OpenZeppelin's Math.sqrt
+ * @param {bigint} x
+ * @returns {bigint}
+ */
+function sqrt(x) {
+  check(x >= 0n, "negative");
+  if (x < 2n) return x;
+  let z = x;
+  let y = (x >> 1n) + 1n;
+  while (y < z) {
+    z = y;
+    y = (x / y + y) >> 1n;
+  }
+  return z;
+}
+
+/**
+ * Orders two token addresses like SimpleSwap.sortTokens
+ * @param {string} tokenA
+ * @param {string} tokenB
+ * @returns {[string, string]} [token0, token1]
+ */
+function sortTokens(tokenA, tokenB) {
+  const a = BigInt(tokenA);
+  const b = BigInt(tokenB);
+  check(a !== b, "identical");
+  const sorted = a < b ? [tokenA, tokenB] : [tokenB, tokenA];
+  check(BigInt(sorted[0]) !== 0n, "zero_addr");
+  return sorted;
+}
+
+/**
+ * SimpleSwap.quote: amountA valued at the pool ratio, without fee
+ * @param {bigint} amountA
+ * @param {bigint} reserveA
+ * @param {bigint} reserveB
+ * @returns {bigint} amountB
+ */
+function quote(amountA, reserveA, reserveB) {
+  check(amountA > 0n, "invalid_amt");
+  check(reserveA > 0n && reserveB > 0n, "bad_resv");
+  return (amountA * reserveB) / reserveA;
+}
+
+/**
+ * SimpleSwap.getAmountOutWithFee
+ * @param {bigint} amountIn
+ * @param {bigint} reserveIn
+ * @param {bigint} reserveOut
+ * @param {bigint} [feeBps] Defaults to DEFAULT_SWAP_FEE_BPS
+ * @returns {bigint} amountOut
+ */
+function getAmountOut(
+  amountIn,
+  reserveIn,
+  reserveOut,
+  feeBps = DEFAULT_SWAP_FEE_BPS
+) {
+  check(amountIn > 0n, "zero_input");
+  check(reserveIn > 0n && reserveOut > 0n, "bad_resv");
+  check(feeBps < FEE_DENOMINATOR, "bad_fee");
+  const amountInWithFee = amountIn * (FEE_DENOMINATOR - feeBps);
+  return (
+    (amountInWithFee * reserveOut) /
+    (reserveIn * FEE_DENOMINATOR + amountInWithFee)
+  );
+}
+
+/**
+ * SimpleSwap.getAmountInWithFee
+ * @param {bigint} amountOut
+ * @param {bigint} reserveIn
+ * @param {bigint} reserveOut
+ * @param {bigint} [feeBps] Defaults to DEFAULT_SWAP_FEE_BPS
+ * @returns {bigint} amountIn
+ */
+function getAmountIn(
+  amountOut,
+  reserveIn,
+  reserveOut,
+  feeBps = DEFAULT_SWAP_FEE_BPS
+) {
+  check(amountOut > 0n, "zero_output");
+  check(reserveIn > 0n && reserveOut > 0n, "bad_resv");
+  check(amountOut < reserveOut, "insuff_liq");
+  check(feeBps < FEE_DENOMINATOR, "bad_fee");
+  return (
+    (reserveIn * amountOut * FEE_DENOMINATOR) /
+      ((reserveOut - amountOut) * (FEE_DENOMINATOR - feeBps)) +
+    1n
+  );
+}
+
+/**
+ * SimpleSwap.getAmountsOut over pre-fetched hops
+ * @param {bigint} amountIn
+ * @param {Hop[]} hops One entry per pair on the route
+ * @returns {{amounts: bigint[], priceImpactBps: bigint}}
+ */
+function getAmountsOut(amountIn, hops) {
+  check(hops.length >= 1, "invalid_path");
+  const amounts = [amountIn];
+  for (const { reserveIn, reserveOut, feeBps } of hops) {
+    amounts.push(
+      getAmountOut(amounts[amounts.length - 1], reserveIn, reserveOut, feeBps)
+    );
+  }
+
+  let spotOut = amountIn;
+  for (const { reserveIn, reserveOut, feeBps } of hops) {
+    spotOut =
+      (spotOut * (FEE_DENOMINATOR - feeBps) * reserveOut) /
+      (reserveIn * FEE_DENOMINATOR);
+  }
+  const amountOut = amounts[amounts.length - 1];
+  const priceImpactBps =
+    spotOut > amountOut
+      ? ((spotOut - amountOut) * FEE_DENOMINATOR) / spotOut
+      : 0n;
+  return { amounts, priceImpactBps };
+}
+
+/**
+ * SimpleSwap.getAmountsIn over pre-fetched hops
+ * @param {bigint} amountOut
+ * @param {Hop[]} hops One entry per pair on the route
+ * @returns {{amounts: bigint[], priceImpactBps: bigint}}
+ */
+function getAmountsIn(amountOut, hops) {
+  check(hops.length >= 1, "invalid_path");
+  const amounts = new Array(hops.length + 1);
+  amounts[hops.length] = amountOut;
+  for (let i = hops.length; i > 0; i--) {
+    const { reserveIn, reserveOut, feeBps } = hops[i - 1];
+    amounts[i - 1] = getAmountIn(amounts[i], reserveIn, reserveOut, feeBps);
+  }
+
+  let spotIn = amountOut;
+  for (let i = hops.length; i > 0; i--) {
+    const { reserveIn, reserveOut, feeBps } = hops[i - 1];
+    spotIn =
+      (spotIn * reserveIn * FEE_DENOMINATOR) /
+      (reserveOut * (FEE_DENOMINATOR - feeBps));
+  }
+  const amountIn = amounts[0];
+  const priceImpactBps =
+    amountIn > spotIn ? ((amountIn - spotIn) * FEE_DENOMINATOR) / amountIn : 0n;
+  return { amounts, priceImpactBps };
+}
+
+/**
+ * The deposit SimpleSwap._addLiquidity takes for the desired amounts
+ * @param {bigint} amountADesired
+ * @param {bigint} amountBDesired
+ * @param {bigint} reserveA
+ * @param {bigint} reserveB
+ * @returns {{amountA: bigint, amountB: bigint}}
+ */
+function getOptimalDeposit(amountADesired, amountBDesired, reserveA, reserveB) {
+  check(amountADesired > 0n && amountBDesired > 0n, "invalid_amt");
+  if (reserveA === 0n && reserveB === 0n) {
+    return { amountA: amountADesired, amountB: amountBDesired };
+  }
+  const amountBOptimal = quote(amountADesired, reserveA, reserveB);
+  if (amountBOptimal <= amountBDesired) {
+    return { amountA: amountADesired, amountB: amountBOptimal };
+  }
+  return {
+    amountA: quote(amountBDesired, reserveB, reserveA),
+    amountB: amountBDesired,
+  };
+}
+
+/**
+ * LP tokens SimpleSwapPair._mintFee mints to feeTo before a mint or burn
+ * @param {bigint} totalSupply LP supply before the protocol fee
+ * @param {bigint} reserveA
+ * @param {bigint} reserveB
+ * @param {bigint} kLast The pair's kLast
+ * @param {bigint} shareBps Factory protocolFeeShareBps (0 when feeTo is unset)
+ * @returns {bigint}
+ */
+function getProtocolFeeLiquidity(
+  totalSupply,
+  reserveA,
+  reserveB,
+  kLast,
+  shareBps
+) {
+  if (shareBps === 0n || kLast === 0n) return 0n;
+  const rootK = sqrt(reserveA * reserveB);
+  const rootKLast = sqrt(kLast);
+  if (rootK <= rootKLast) return 0n;
+  const denominator =
+    rootK * (FEE_DENOMINATOR - shareBps) + rootKLast * shareBps;
+  return (totalSupply * ((rootK - rootKLast) * shareBps)) / denominator;
+}
+
+/**
+ * LP tokens SimpleSwapPair.mint gives for a deposit
+ * @param {bigint} amountA Deposited tokenA
+ * @param {bigint} amountB Deposited tokenB
+ * @param {bigint} reserveA
+ * @param {bigint} reserveB
+ * @param {bigint} totalSupply LP supply after the protocol fee
+ * @returns {bigint}
+ */
+function getLiquidityMinted(amountA, amountB, reserveA, reserveB, totalSupply) {
+  let liquidity;
+  if (totalSupply === 0n) {
+    const rootK = sqrt(amountA * amountB);
+    check(rootK > MINIMUM_LIQUIDITY, "insuff_liq_minted");
+    liquidity = rootK - MINIMUM_LIQUIDITY;
+  } else {
+    const liquidityA = (amountA * totalSupply) / reserveA;
+    const liquidityB = (amountB * totalSupply) / reserveB;
+    liquidity = liquidityA < liquidityB ? liquidityA : liquidityB;
+  }
+  check(liquidity > 0n, "insuff_liq_minted");
+  return liquidity;
+}
+
+/**
+ * Tokens SimpleSwapPair.burn pays out for liquidity, assuming the pair
+ * holds exactly its reserves
+ * @param {bigint} liquidity LP tokens burned
+ * @param {bigint} reserveA
+ * @param {bigint} reserveB
+ * @param {bigint} totalSupply LP supply after the protocol fee
+ * @returns {{amountA: bigint, amountB: bigint}}
+ */
+function getLiquidityValue(liquidity, reserveA, reserveB, totalSupply) {
+  check(liquidity > 0n, "zero_liq");
+  check(liquidity <= totalSupply, "insuff_bal");
+  const amountA = (liquidity * reserveA) / totalSupply;
+  const amountB = (liquidity * reserveB) / totalSupply;
+  check(amountA > 0n && amountB > 0n, "insuff_liq_burned");
+  return { amountA, amountB };
+}
+
+/**
+ * Lowers an amount by a slippage tolerance
+ * @param {bigint} amount Expected amount
+ * @param {bigint|number} slippageBps Tolerance in basis points (50 = 0.5%)
+ * @returns {bigint} Minimum acceptable amount
+ */
+function applySlippage(amount, slippageBps) {
+  const bps = BigInt(slippageBps);
+  check(bps >= 0n && bps <= FEE_DENOMINATOR, "bad_slippage");
+  return (amount * (FEE_DENOMINATOR - bps)) / FEE_DENOMINATOR;
+}
+
+module.exports = {
+  FEE_DENOMINATOR,
+  DEFAULT_SWAP_FEE_BPS,
+  MINIMUM_LIQUIDITY,
+  sqrt,
+  sortTokens,
+  quote,
+  getAmountOut,
+  getAmountIn,
+  getAmountsOut,
+  getAmountsIn,
+  getOptimalDeposit,
+  getProtocolFeeLiquidity,
+  getLiquidityMinted,
+  getLiquidityValue,
+  applySlippage,
+};
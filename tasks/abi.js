@@ -0,0 +1,302 @@
+const fs = require("fs");
+const path = require("path");
+const { extendConfig, task } = require("hardhat/config");
+const { TASK_COMPILE } = require("hardhat/builtin-tasks/task-names");
+const {
+  DEPLOYMENTS_FILE,
+  LOCAL_DEPLOYMENTS_FILE,
+  readDeployments,
+} = require("../scripts/deployments");
+
+// File name in abis/ (also the deployments.json key) by contract name
+const ABI_EXPORTS = {
+  tokenA: "tokenA",
+  tokenB: "tokenB",
+  weth: "WETH9",
+  factory: "SimpleSwapFactory",
+  pair: "SimpleSwapPair",
+  simpleSwap: "SimpleSwap",
+  limitOrders: "SimpleSwapLimitOrders",
+  // Any ERC-20, as used by the SDK; only compiled through OZ imports
+  erc20:
+    "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata",
+};
+
+// ABIs the SDK package ships with, in sdk/abis/
+const SDK_ABIS = ["simpleSwap", "factory", "pair", "erc20"];
+
+// Cleared while abi:check compiles, so the files it checks are not rewritten
+let exportOnCompile = true;
+
+// Where the compile hook writes: paths.abis (abis/) and paths.sdkAbis
+// (sdk/abis/) unless configured
+extendConfig((config, userConfig) => {
+  config.paths.abis = path.resolve(
+    config.paths.root,
+    userConfig.paths?.abis ?? "abis"
+  );
+  config.paths.sdkAbis = path.resolve(
+    config.paths.root,
+    userConfig.paths?.sdkAbis ?? path.join("sdk", "abis")
+  );
+});
+
+function toJson(value) {
+  return JSON.stringify(value, null, 2) + "\n";
+}
+
+/** Reads a JSON file, or returns undefined if it does not exist */
+function readJson(file) {
+  if (!fs.existsSync(file)) return undefined;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Pairs the addresses of a deployment with their ABIs, for the contracts
+ * in ABI_EXPORTS. A contract still at the address of the previous manifest
+ * keeps the ABI recorded there, as that is what was deployed; any other
+ * takes the ABI of its artifact.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {Object<string, string>} addresses Addresses by contract name
+ * @param {Object} [previous] Manifest being replaced
+ * @returns {Promise<Object<string, {address: string, abi: Object[]}>>}
+ */
+async function renderContracts(hre, addresses, previous) {
+  const contracts = {};
+  for (const [name, address] of Object.entries(addresses)) {
+    if (!ABI_EXPORTS[name]) continue;
+    const recorded = previous?.contracts?.[name];
+    const abi =
+      recorded?.address === address
+        ? recorded.abi
+        : (await hre.artifacts.readArtifact(ABI_EXPORTS[name])).abi;
+    contracts[name] = { address, abi };
+  }
+  return contracts;
+}
+
+/**
+ * Renders the contents of an ABI directory from the compiled artifacts:
+ * - <name>.json: { abi } of every contract in `names`
+ * - deployments/<chainId>.json: address and ABI of every contract
+ *   recorded for the chain in `deploymentsFiles` (see renderContracts)
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} dir Directory holding the previous manifests
+ * @param {Object} [options]
+ * @param {string[]} [options.names] Defaults to every ABI_EXPORTS name
+ * @param {string[]} [options.deploymentsFiles] Defaults to none
+ * @returns {Promise<Object<string, string>>} File contents by path
+ *          relative to dir, with "/" separators
+ */
+async function renderAbis(
+  hre,
+  dir,
+  { names = Object.keys(ABI_EXPORTS), deploymentsFiles = [] } = {}
+) {
+  const files = {};
+  for (const name of names) {
+    const { abi } = await hre.artifacts.readArtifact(ABI_EXPORTS[name]);
+    files[`${name}.json`] = toJson({ abi });
+  }
+
+  for (const deploymentsFile of deploymentsFiles) {
+    for (const [chainId, addresses] of Object.entries(
+      readDeployments(deploymentsFile)
+    )) {
+      const file = `deployments/${chainId}.json`;
+      const previous = readJson(path.join(dir, file));
+      files[file] = toJson({
+        chainId: Number(chainId),
+        contracts: await renderContracts(hre, addresses, previous),
+      });
+    }
+  }
+  return files;
+}
+
+/** Lists the .json files under dir, relative and with "/" separators */
+function listJson(dir, prefix = "") {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const relative = prefix + entry.name;
+    if (entry.isDirectory()) {
+      return listJson(path.join(dir, entry.name), relative + "/");
+    }
+    return entry.name.endsWith(".json") ? [relative] : [];
+  });
+}
+
+/**
+ * Compares a directory with the rendered ABI files
+ * @param {Object<string, string>} files From renderAbis
+ * @param {string} dir Directory holding the committed files
+ * @returns {{missing: string[], stale: string[], extra: string[]}}
+ */
+function diffAbis(files, dir) {
+  const existing = listJson(dir);
+  const missing = [];
+  const stale = [];
+  for (const [file, content] of Object.entries(files)) {
+    if (!existing.includes(file)) missing.push(file);
+    else if (fs.readFileSync(path.join(dir, file), "utf8") !== content) {
+      stale.push(file);
+    }
+  }
+  const extra = existing.filter((file) => !(file in files));
+  return { missing, stale, extra };
+}
+
+/**
+ * Writes the rendered ABI files to dir and removes any other .json file
+ * there, as the whole directory is generated
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} dir Output directory
+ * @param {Object} [options] See renderAbis
+ * @returns {Promise<string[]>} Paths written or removed, relative to dir
+ */
+async function exportAbis(hre, dir, options) {
+  const files = await renderAbis(hre, dir, options);
+  const { missing, stale, extra } = diffAbis(files, dir);
+  for (const file of [...missing, ...stale]) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), files[file]);
+  }
+  for (const file of extra) fs.rmSync(path.join(dir, file));
+  return [...missing, ...stale, ...extra];
+}
+
+/**
+ * Throws if dir does not match the compiled artifacts and deployments
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} dir Directory holding the committed files
+ * @param {Object} [options] See renderAbis
+ */
+async function checkAbis(hre, dir, options) {
+  const { missing, stale, extra } = diffAbis(
+    await renderAbis(hre, dir, options),
+    dir
+  );
+  const problems = [
+    ...missing.map((file) => `missing ${file}`),
+    ...stale.map((file) => `stale ${file}`),
+    ...extra.map((file) => `unexpected ${file}`),
+  ];
+  if (problems.length > 0) {
+    throw new Error(
+      `ABI files in ${dir} are out of date (run \`npx hardhat compile\`):\n` +
+        problems.map((problem) => `  - ${problem}`).join("\n")
+    );
+  }
+}
+
+/**
+ * Records the manifest of a new deployment, deployments/<chainId>.json
+ * under dir, with the address and current ABI of every contract in
+ * ABI_EXPORTS
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {bigint|number|string} chainId Chain ID of the deployment
+ * @param {Object<string, string>} addresses Addresses by contract name
+ * @param {string} [dir] Defaults to paths.abis
+ * @returns {Promise<string>} Path of the manifest
+ */
+async function writeManifest(
+  hre,
+  chainId,
+  addresses,
+  dir = hre.config.paths.abis
+) {
+  const file = path.join(dir, "deployments", `${chainId}.json`);
+  const contracts = await renderContracts(hre, addresses);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, toJson({ chainId: Number(chainId), contracts }));
+  return file;
+}
+
+/**
+ * The generated directories, with the renderAbis options of each:
+ * - paths.abis: every ABI and a manifest per recorded deployment
+ * - paths.sdkAbis: the SDK_ABIS, packed with the SDK
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ */
+function abiOutputs(hre) {
+  return [
+    {
+      dir: hre.config.paths.abis,
+      deploymentsFiles: [DEPLOYMENTS_FILE, LOCAL_DEPLOYMENTS_FILE],
+    },
+    { dir: hre.config.paths.sdkAbis, names: SDK_ABIS },
+  ];
+}
+
+/**
+ * Exports every generated directory
+ * @returns {Promise<string[]>} Paths written or removed, relative to root
+ */
+async function exportAllAbis(hre) {
+  const changed = [];
+  for (const { dir, ...options } of abiOutputs(hre)) {
+    for (const file of await exportAbis(hre, dir, options)) {
+      changed.push(path.relative(hre.config.paths.root, path.join(dir, file)));
+    }
+  }
+  return changed;
+}
+
+/** Compiles without the export hook, leaving the generated files alone */
+async function compileWithoutExport(hre) {
+  exportOnCompile = false;
+  try {
+    await hre.run(TASK_COMPILE, { quiet: true });
+  } finally {
+    exportOnCompile = true;
+  }
+}
+
+task(TASK_COMPILE).setAction(async (args, hre, runSuper) => {
+  const result = await runSuper(args);
+  if (exportOnCompile) {
+    const changed = await exportAllAbis(hre);
+    if (changed.length > 0 && !args.quiet) {
+      console.log(`Updated ${changed.join(", ")}`);
+    }
+  }
+  return result;
+});
+
+task("abi:export", "Writes abis/ and sdk/abis/ from the artifacts")
+  .addOptionalParam("dir", "Write only the ABI files, to this directory")
+  .setAction(async (args, hre) => {
+    await compileWithoutExport(hre);
+    const changed = args.dir
+      ? await exportAbis(hre, args.dir)
+      : await exportAllAbis(hre);
+    console.log(
+      changed.length > 0
+        ? `Updated ${changed.join(", ")}`
+        : "ABI files are up to date"
+    );
+    return changed;
+  });
+
+task("abi:check", "Fails if the committed abis/ or sdk/abis/ are stale")
+  .addOptionalParam("dir", "Check only the ABI files, in this directory")
+  .setAction(async (args, hre) => {
+    await compileWithoutExport(hre);
+    if (args.dir) await checkAbis(hre, args.dir);
+    else {
+      for (const { dir, ...options } of abiOutputs(hre)) {
+        await checkAbis(hre, dir, options);
+      }
+    }
+    console.log("ABI files are up to date");
+  });
+
+module.exports = {
+  ABI_EXPORTS,
+  SDK_ABIS,
+  renderAbis,
+  exportAbis,
+  checkAbis,
+  writeManifest,
+  abiOutputs,
+};
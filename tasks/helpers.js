@@ -0,0 +1,247 @@
+const fs = require("fs");
+const path = require("path");
+const SimpleSwapModule = require("../ignition/modules/SimpleSwap");
+const { ABI_EXPORTS } = require("./abi");
+const {
+  deploymentsFileFor,
+  readDeployments,
+} = require("../scripts/deployments");
+
+// Fully qualified name, as IERC20Metadata is only compiled through OZ imports
+const ERC20_METADATA =
+  "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata";
+
+// Names used in deployments.json by Ignition future ID in SimpleSwapModule
+const IGNITION_FUTURES = {
+  tokenA: "SimpleSwapModule#tokenA",
+  tokenB: "SimpleSwapModule#tokenB",
+  weth: "SimpleSwapModule#WETH9",
+  factory: "SimpleSwapModule#SimpleSwapFactory",
+  simpleSwap: "SimpleSwapModule#SimpleSwap",
+  limitOrders: "SimpleSwapModule#SimpleSwapLimitOrders",
+};
+
+// Addresses deployed on the in-process hardhat network by this process
+let hardhatDeployment;
+
+/**
+ * Resolves the contract addresses of the selected network:
+ * - hardhat (in-process): deploys SimpleSwapModule once per process
+ * - otherwise: deployments.json (deployments.local.json for the local
+ *   node), then the network's Ignition journal. A recorded deployment
+ *   must match the current artifacts (see checkDeployedAbis).
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @returns {Promise<Object<string, string>>} Addresses by contract name
+ */
+async function loadDeployment(hre) {
+  if (hre.network.name === "hardhat") {
+    const code =
+      hardhatDeployment &&
+      (await hre.ethers.provider.getCode(hardhatDeployment.simpleSwap));
+    if (!code || code === "0x") {
+      await hre.run("compile", { quiet: true });
+      const contracts = await hre.ignition.deploy(SimpleSwapModule);
+      hardhatDeployment = {};
+      for (const [name, contract] of Object.entries(contracts)) {
+        hardhatDeployment[name] = await contract.getAddress();
+      }
+    }
+    return hardhatDeployment;
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const recorded = readDeployments(deploymentsFileFor(chainId))[
+    String(chainId)
+  ];
+  if (recorded) {
+    await checkDeployedAbis(hre, chainId, recorded);
+    return recorded;
+  }
+
+  const journal = path.join(
+    hre.config.paths.ignition,
+    "deployments",
+    `chain-${chainId}`,
+    "deployed_addresses.json"
+  );
+  if (fs.existsSync(journal)) {
+    const deployed = JSON.parse(fs.readFileSync(journal, "utf8"));
+    const addresses = {};
+    for (const [name, futureId] of Object.entries(IGNITION_FUTURES)) {
+      if (deployed[futureId]) addresses[name] = deployed[futureId];
+    }
+    return addresses;
+  }
+
+  throw new Error(
+    `No SimpleSwap deployment for chain ${chainId}; run scripts/deploy.js first`
+  );
+}
+
+/**
+ * Throws unless the chain's manifest records the ABI of the current
+ * artifact for every contract of a deployment, as the tasks call the
+ * contracts through those artifacts
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {bigint} chainId Chain ID of the deployment
+ * @param {Object<string, string>} addresses Addresses by contract name
+ */
+async function checkDeployedAbis(hre, chainId, addresses) {
+  const file = path.join(
+    hre.config.paths.abis,
+    "deployments",
+    `${chainId}.json`
+  );
+  const relative = path.relative(hre.config.paths.root, file);
+  const contracts = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, "utf8")).contracts
+    : {};
+  const outdated = [];
+  for (const [name, address] of Object.entries(addresses)) {
+    if (!ABI_EXPORTS[name]) continue;
+    if (contracts[name]?.address !== address) {
+      throw new Error(
+        `${relative} does not record ${name} at ${address}; run \`npx hardhat compile\``
+      );
+    }
+    const { abi } = await hre.artifacts.readArtifact(ABI_EXPORTS[name]);
+    if (JSON.stringify(contracts[name].abi) !== JSON.stringify(abi)) {
+      outdated.push(name);
+    }
+  }
+  if (outdated.length > 0) {
+    throw new Error(
+      `Chain ${chainId} runs older versions of ${outdated.join(", ")} than ` +
+        `the current sources (their ABIs are in ${relative}); redeploy with ` +
+        "scripts/deploy.js"
+    );
+  }
+}
+
+/**
+ * Returns the router of the selected network and its deployment
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ */
+async function getSimpleSwap(hre) {
+  const deployment = await loadDeployment(hre);
+  const simpleSwap = await hre.ethers.getContractAt(
+    "SimpleSwap",
+    deployment.simpleSwap
+  );
+  return { deployment, simpleSwap };
+}
+
+/**
+ * Returns an ERC-20 by deployment name (tokenA, tokenB, weth) or address
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {Object<string, string>} deployment Addresses by contract name
+ * @param {string} nameOrAddress Deployment name or token address
+ * @returns {Promise<{contract, address: string, symbol: string, decimals: bigint}>}
+ */
+async function getToken(hre, deployment, nameOrAddress) {
+  const address = deployment[nameOrAddress] ?? nameOrAddress;
+  if (!hre.ethers.isAddress(address)) {
+    throw new Error(`Unknown token "${nameOrAddress}"`);
+  }
+  const contract = await hre.ethers.getContractAt(ERC20_METADATA, address);
+  return {
+    contract,
+    address,
+    symbol: await contract.symbol(),
+    decimals: await contract.decimals(),
+  };
+}
+
+/**
+ * Returns a deadline `minutes` after the latest block
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {number} minutes Validity of the transaction
+ */
+async function deadlineIn(hre, minutes) {
+  const block = await hre.ethers.provider.getBlock("latest");
+  return BigInt(block.timestamp) + BigInt(Math.round(minutes * 60));
+}
+
+/**
+ * Lowers an amount by a slippage tolerance
+ * @param {bigint} amount Expected amount
+ * @param {number} slippage Tolerance in percent (0.5 = 0.5%)
+ */
+function withSlippage(amount, slippage) {
+  const bps = BigInt(Math.round(slippage * 100));
+  if (bps < 0n || bps > 10_000n) throw new Error("Slippage must be 0-100%");
+  return (amount * (10_000n - bps)) / 10_000n;
+}
+
+/**
+ * Approves `spender` for `amount` unless the allowance already covers it
+ * @param token ERC-20 contract
+ * @param signer Token holder
+ * @param {string} spender Address to approve
+ * @param {bigint} amount Amount the spender needs
+ * @returns {Promise<boolean>} True if an approve transaction was sent
+ */
+async function ensureAllowance(token, signer, spender, amount) {
+  if ((await token.allowance(signer.address, spender)) >= amount) return false;
+  console.log(`Approving ${spender} for ${amount}`);
+  await (await token.connect(signer).approve(spender, amount)).wait();
+  return true;
+}
+
+/**
+ * Prints the reserves, price, fee and LP supply of a pool, plus the
+ * LP balance of `account`
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param simpleSwap Router contract
+ * @param tokenA Token from getToken
+ * @param tokenB Token from getToken
+ * @param {string} account Holder whose LP balance is shown
+ * @param {string} label Heading, e.g. "Before"
+ * @returns {Promise<Object>} The printed values, unformatted
+ */
+async function printPool(hre, simpleSwap, tokenA, tokenB, account, label) {
+  const [totalSupply, reserves, feeBps] = await simpleSwap.pairs(
+    tokenA.address,
+    tokenB.address
+  );
+  const lpAddress = await simpleSwap.getLPToken(tokenA.address, tokenB.address);
+  const lpBalance =
+    lpAddress === hre.ethers.ZeroAddress
+      ? 0n
+      : await (
+          await hre.ethers.getContractAt(ERC20_METADATA, lpAddress)
+        ).balanceOf(account);
+  const { formatUnits } = hre.ethers;
+  const reserveA = formatUnits(reserves.reserveA, tokenA.decimals);
+  const reserveB = formatUnits(reserves.reserveB, tokenB.decimals);
+
+  console.log(`\n${label}: ${tokenA.symbol}/${tokenB.symbol} pool`);
+  console.table({
+    [`reserve ${tokenA.symbol}`]: reserveA,
+    [`reserve ${tokenB.symbol}`]: reserveB,
+    [`1 ${tokenA.symbol} in ${tokenB.symbol}`]:
+      reserves.reserveA > 0n ? Number(reserveB) / Number(reserveA) : "-",
+    "swap fee (bps)": feeBps.toString(),
+    "LP total supply": formatUnits(totalSupply, 18),
+    "LP balance": formatUnits(lpBalance, 18),
+  });
+
+  return {
+    reserveA: reserves.reserveA,
+    reserveB: reserves.reserveB,
+    feeBps,
+    totalSupply,
+    lpBalance,
+  };
+}
+
+module.exports = {
+  ERC20_METADATA,
+  loadDeployment,
+  getSimpleSwap,
+  getToken,
+  deadlineIn,
+  withSlippage,
+  ensureAllowance,
+  printPool,
+};
@@ -0,0 +1,254 @@
+const { task, types } = require("hardhat/config");
+const {
+  getSimpleSwap,
+  getToken,
+  deadlineIn,
+  withSlippage,
+  ensureAllowance,
+  printPool,
+  ERC20_METADATA,
+} = require("./helpers");
+
+/*
+ * Pool operations against the SimpleSwap router of the selected network.
+ * Token arguments accept a deployment name (tokenA, tokenB, weth) or an
+ * address; amounts are human-readable and scaled by the token's decimals.
+ */
+
+/**
+ * @dev SDK client for quotes. Required here rather than at the top, as the
+ * SDK reads sdk/abis/ and the config must load for `abi:export` to write it.
+ */
+function sdkClient(router, signer) {
+  const { SimpleSwapClient } = require("../sdk/src");
+  return new SimpleSwapClient(router, signer);
+}
+
+/** @dev Returns the arguments of the first `name` event of a receipt */
+function findEvent(receipt, contract, name) {
+  for (const log of receipt.logs) {
+    const parsed = contract.interface.parseLog(log);
+    if (parsed && parsed.name === name) return parsed.args;
+  }
+  throw new Error(`${name} not emitted`);
+}
+
+/** @dev Adds the slippage / deadline / to options shared by write tasks */
+function withTxOptions(definition) {
+  return definition
+    .addOptionalParam(
+      "slippage",
+      "Slippage tolerance in percent",
+      0.5,
+      types.float
+    )
+    .addOptionalParam(
+      "deadline",
+      "Minutes until the transaction expires",
+      20,
+      types.int
+    )
+    .addOptionalParam("to", "Recipient (defaults to the signer)");
+}
+
+task("swap:pool-info", "Prints the reserves, price and fee of a pool")
+  .addOptionalParam("tokenA", "First token", "tokenA")
+  .addOptionalParam("tokenB", "Second token", "tokenB")
+  .setAction(async (args, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const { deployment, simpleSwap } = await getSimpleSwap(hre);
+    const tokenA = await getToken(hre, deployment, args.tokenA);
+    const tokenB = await getToken(hre, deployment, args.tokenB);
+    return printPool(hre, simpleSwap, tokenA, tokenB, signer.address, "Pool");
+  });
+
+task("swap:quote", "Quotes the output and price impact of a swap")
+  .addOptionalParam("tokenIn", "Token sold", "tokenA")
+  .addOptionalParam("tokenOut", "Token bought", "tokenB")
+  .addParam("amount", "Amount of tokenIn to sell")
+  .setAction(async (args, hre) => {
+    const { deployment, simpleSwap } = await getSimpleSwap(hre);
+    const tokenIn = await getToken(hre, deployment, args.tokenIn);
+    const tokenOut = await getToken(hre, deployment, args.tokenOut);
+    const amountIn = hre.ethers.parseUnits(args.amount, tokenIn.decimals);
+
+    const [amounts, priceImpactBps] = await simpleSwap.getAmountsOut(amountIn, [
+      tokenIn.address,
+      tokenOut.address,
+    ]);
+    const amountOut = amounts[amounts.length - 1];
+    console.log(
+      `${args.amount} ${tokenIn.symbol} -> ` +
+        `${hre.ethers.formatUnits(amountOut, tokenOut.decimals)} ` +
+        `${tokenOut.symbol} (price impact ${Number(priceImpactBps) / 100}%)`
+    );
+    return { amountIn, amountOut, priceImpactBps };
+  });
+
+withTxOptions(
+  task(
+    "swap:add-liquidity",
+    "Approves and deposits both tokens, printing the pool before and after"
+  )
+    .addOptionalParam("tokenA", "First token", "tokenA")
+    .addOptionalParam("tokenB", "Second token", "tokenB")
+    .addParam("amountA", "Max amount of tokenA to deposit")
+    .addParam("amountB", "Max amount of tokenB to deposit")
+).setAction(async (args, hre) => {
+  const [signer] = await hre.ethers.getSigners();
+  const { deployment, simpleSwap } = await getSimpleSwap(hre);
+  const tokenA = await getToken(hre, deployment, args.tokenA);
+  const tokenB = await getToken(hre, deployment, args.tokenB);
+  const amountA = hre.ethers.parseUnits(args.amountA, tokenA.decimals);
+  const amountB = hre.ethers.parseUnits(args.amountB, tokenB.decimals);
+  const router = await simpleSwap.getAddress();
+
+  await printPool(hre, simpleSwap, tokenA, tokenB, signer.address, "Before");
+  await ensureAllowance(tokenA.contract, signer, router, amountA);
+  await ensureAllowance(tokenB.contract, signer, router, amountB);
+
+  // The router only takes the optimal deposit for the live reserves, so
+  // the minimums are set below that rather than below the desired amounts
+  const quoted = await sdkClient(router, signer).quoteAddLiquidity(
+    tokenA.address,
+    tokenB.address,
+    amountA,
+    amountB
+  );
+
+  const receipt = await (
+    await simpleSwap
+      .connect(signer)
+      .addLiquidity(
+        tokenA.address,
+        tokenB.address,
+        amountA,
+        amountB,
+        withSlippage(quoted.amountA, args.slippage),
+        withSlippage(quoted.amountB, args.slippage),
+        args.to ?? signer.address,
+        await deadlineIn(hre, args.deadline)
+      )
+  ).wait();
+  const added = findEvent(receipt, simpleSwap, "LiquidityAdded");
+  console.log(
+    `Deposited ${hre.ethers.formatUnits(added.amountA, tokenA.decimals)} ` +
+      `${tokenA.symbol} + ` +
+      `${hre.ethers.formatUnits(added.amountB, tokenB.decimals)} ` +
+      `${tokenB.symbol} for ${hre.ethers.formatUnits(added.liquidity, 18)} LP`
+  );
+
+  await printPool(hre, simpleSwap, tokenA, tokenB, signer.address, "After");
+  return {
+    amountA: added.amountA,
+    amountB: added.amountB,
+    liquidity: added.liquidity,
+  };
+});
+
+withTxOptions(
+  task(
+    "swap:remove-liquidity",
+    "Approves and burns LP tokens, printing the pool before and after"
+  )
+    .addOptionalParam("tokenA", "First token", "tokenA")
+    .addOptionalParam("tokenB", "Second token", "tokenB")
+    .addParam("liquidity", 'Amount of LP tokens to burn, or "all"')
+).setAction(async (args, hre) => {
+  const [signer] = await hre.ethers.getSigners();
+  const { deployment, simpleSwap } = await getSimpleSwap(hre);
+  const tokenA = await getToken(hre, deployment, args.tokenA);
+  const tokenB = await getToken(hre, deployment, args.tokenB);
+  const router = await simpleSwap.getAddress();
+
+  const lpAddress = await simpleSwap.getLPToken(tokenA.address, tokenB.address);
+  if (lpAddress === hre.ethers.ZeroAddress) throw new Error("No such pool");
+  const lpToken = await hre.ethers.getContractAt(ERC20_METADATA, lpAddress);
+  const liquidity =
+    args.liquidity === "all"
+      ? await lpToken.balanceOf(signer.address)
+      : hre.ethers.parseUnits(args.liquidity, 18);
+
+  const before = await printPool(
+    hre,
+    simpleSwap,
+    tokenA,
+    tokenB,
+    signer.address,
+    "Before"
+  );
+  if (before.totalSupply === 0n) throw new Error("Pool has no liquidity");
+  await ensureAllowance(lpToken, signer, router, liquidity);
+
+  // Expected payout is the LP share of each reserve, counting the LP
+  // tokens the pair mints to feeTo before burning
+  const expected = await sdkClient(router, signer).quoteRemoveLiquidity(
+    tokenA.address,
+    tokenB.address,
+    liquidity
+  );
+  const receipt = await (
+    await simpleSwap
+      .connect(signer)
+      .removeLiquidity(
+        tokenA.address,
+        tokenB.address,
+        liquidity,
+        withSlippage(expected.amountA, args.slippage),
+        withSlippage(expected.amountB, args.slippage),
+        args.to ?? signer.address,
+        await deadlineIn(hre, args.deadline)
+      )
+  ).wait();
+  const removed = findEvent(receipt, simpleSwap, "LiquidityRemoved");
+  console.log(
+    `Withdrew ${hre.ethers.formatUnits(removed.amountA, tokenA.decimals)} ` +
+      `${tokenA.symbol} + ` +
+      `${hre.ethers.formatUnits(removed.amountB, tokenB.decimals)} ` +
+      `${tokenB.symbol}`
+  );
+
+  await printPool(hre, simpleSwap, tokenA, tokenB, signer.address, "After");
+  return { amountA: removed.amountA, amountB: removed.amountB, liquidity };
+});
+
+withTxOptions(
+  task("swap:swap", "Approves and swaps, printing the pool before and after")
+    .addOptionalParam("tokenIn", "Token sold", "tokenA")
+    .addOptionalParam("tokenOut", "Token bought", "tokenB")
+    .addParam("amount", "Exact amount of tokenIn to sell")
+).setAction(async (args, hre) => {
+  const [signer] = await hre.ethers.getSigners();
+  const { deployment, simpleSwap } = await getSimpleSwap(hre);
+  const tokenIn = await getToken(hre, deployment, args.tokenIn);
+  const tokenOut = await getToken(hre, deployment, args.tokenOut);
+  const amountIn = hre.ethers.parseUnits(args.amount, tokenIn.decimals);
+  const path = [tokenIn.address, tokenOut.address];
+  const router = await simpleSwap.getAddress();
+
+  await printPool(hre, simpleSwap, tokenIn, tokenOut, signer.address, "Before");
+  const [amounts] = await simpleSwap.getAmountsOut(amountIn, path);
+  const amountOutMin = withSlippage(amounts[amounts.length - 1], args.slippage);
+  await ensureAllowance(tokenIn.contract, signer, router, amountIn);
+
+  const receipt = await (
+    await simpleSwap
+      .connect(signer)
+      .swapExactTokensForTokens(
+        amountIn,
+        amountOutMin,
+        path,
+        args.to ?? signer.address,
+        await deadlineIn(hre, args.deadline)
+      )
+  ).wait();
+  const swapped = findEvent(receipt, simpleSwap, "TokensSwapped");
+  console.log(
+    `Swapped ${args.amount} ${tokenIn.symbol} for ` +
+      `${hre.ethers.formatUnits(swapped.amountOut, tokenOut.decimals)} ` +
+      `${tokenOut.symbol}`
+  );
+
+  await printPool(hre, simpleSwap, tokenIn, tokenOut, signer.address, "After");
+  return { amountIn, amountOut: swapped.amountOut };
+});
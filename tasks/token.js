@@ -0,0 +1,28 @@
+const { task } = require("hardhat/config");
+const { loadDeployment, getToken } = require("./helpers");
+
+task("token:mint", "Mints tokenA or tokenB (signer must be the token owner)")
+  .addOptionalParam(
+    "token",
+    "Token to mint (tokenA, tokenB or address)",
+    "tokenA"
+  )
+  .addParam("amount", "Amount to mint")
+  .addOptionalParam("to", "Recipient (defaults to the signer)")
+  .setAction(async (args, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const deployment = await loadDeployment(hre);
+    const token = await getToken(hre, deployment, args.token);
+    // tokenA and tokenB share the Ownable mint(to, amount) entry point
+    const mintable = await hre.ethers.getContractAt("tokenA", token.address);
+    const to = args.to ?? signer.address;
+    const amount = hre.ethers.parseUnits(args.amount, token.decimals);
+
+    await (await mintable.connect(signer).mint(to, amount)).wait();
+    const balance = await token.contract.balanceOf(to);
+    console.log(
+      `Minted ${args.amount} ${token.symbol} to ${to}; balance ` +
+        `${hre.ethers.formatUnits(balance, token.decimals)}`
+    );
+    return { amount, balance };
+  });
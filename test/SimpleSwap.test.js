@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyUint } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 /*
  * Comprehensive test suite for SimpleSwap DEX contract
@@ -19,6 +21,9 @@ describe("SimpleSwap (high coverage)", function () {
   const amountB = ethers.parseUnits("500", DECIMALS);
   const minAmount = ethers.parseUnits("100", DECIMALS);
 
+  // LP tokens locked at the dead address on the first deposit
+  const MINIMUM_LIQUIDITY = 1000n;
+
   /** Helper: Gets current block timestamp */
   async function blockTimestamp() {
     const blk = await ethers.provider.getBlock("latest");
@@ -35,6 +40,58 @@ describe("SimpleSwap (high coverage)", function () {
     return (await blockTimestamp()) - 1n;
   }
 
+  /**
+   * Helper: Signs an EIP-2612 permit with the token's own EIP-712 domain and
+   * returns the split signature
+   */
+  async function signPermit(token, signer, spender, value, deadline) {
+    const [, name, version, chainId, verifyingContract] =
+      await token.eip712Domain();
+    const signature = await signer.signTypedData(
+      { name, version, chainId, verifyingContract },
+      {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      },
+      {
+        owner: signer.address,
+        spender,
+        value,
+        nonce: await token.nonces(signer.address),
+        deadline,
+      }
+    );
+    return ethers.Signature.from(signature);
+  }
+
+  /**
+   * Deployment helper:
+   * - Deploys SimpleSwapFactory, a WETH9 mock and the SimpleSwap router
+   */
+  async function deploySimpleSwap() {
+    const Factory = await ethers.getContractFactory("SimpleSwapFactory");
+    const factory = await Factory.deploy();
+    await factory.waitForDeployment();
+
+    const WETH9 = await ethers.getContractFactory("WETH9");
+    const weth = await WETH9.deploy();
+    await weth.waitForDeployment();
+
+    const SimpleSwap = await ethers.getContractFactory("SimpleSwap");
+    const simpleSwap = await SimpleSwap.deploy(
+      await factory.getAddress(),
+      await weth.getAddress()
+    );
+    await simpleSwap.waitForDeployment();
+
+    return { factory, weth, simpleSwap };
+  }
+
   /**
    * Deployment helper:
    * - Deploys tokenA, tokenB and SimpleSwap contracts
@@ -53,10 +110,8 @@ describe("SimpleSwap (high coverage)", function () {
     const tokenB = await TokenB.deploy();
     await tokenB.waitForDeployment();
 
-    // Deploy SimpleSwap contract
-    const SimpleSwap = await ethers.getContractFactory("SimpleSwap");
-    const simpleSwap = await SimpleSwap.deploy();
-    await simpleSwap.waitForDeployment();
+    // Deploy factory + SimpleSwap router
+    const { factory, weth, simpleSwap } = await deploySimpleSwap();
 
     // Get contract addresses
     const tokenAAddr = await tokenA.getAddress();
@@ -81,12 +136,22 @@ describe("SimpleSwap (high coverage)", function () {
     );
     const receipt = await tx.wait();
 
+    // The pair is its own LP token; let the router burn the owner's shares
+    const lpToken = await ethers.getContractAt(
+      "SimpleSwapPair",
+      await factory.getPair(tokenAAddr, tokenBAddr)
+    );
+    await lpToken.approve(simpleSwapAddr, ethers.MaxUint256);
+
     return {
       owner,
       user1,
       user2,
       tokenA,
       tokenB,
+      factory,
+      weth,
+      lpToken,
       simpleSwap,
       tokenAAddr,
       tokenBAddr,
@@ -110,7 +175,8 @@ describe("SimpleSwap (high coverage)", function () {
       await deployTokensAndSwap();
 
     const pair = await simpleSwap.pairs(tokenAAddr, tokenBAddr);
-    expect(pair.totalSupply).to.equal(amountA); // First LP gets amountA in LP tokens
+    // sqrt(amountA * amountB) is minted, MINIMUM_LIQUIDITY of it locked
+    expect(pair.totalSupply).to.equal(amountA);
     expect(pair.reserves.reserveA).to.equal(amountA);
     expect(pair.reserves.reserveB).to.equal(amountB);
 
@@ -119,7 +185,7 @@ describe("SimpleSwap (high coverage)", function () {
       (l) => l.fragment && l.fragment.name === "LiquidityAdded"
     );
     expect(evt).to.not.be.undefined;
-    expect(evt.args.liquidity).to.equal(amountA);
+    expect(evt.args.liquidity).to.equal(amountA - MINIMUM_LIQUIDITY);
   });
 
   /**
@@ -178,6 +244,198 @@ describe("SimpleSwap (high coverage)", function () {
     expect(evt).to.not.be.undefined;
   });
 
+  /**
+   * Tests that only the optimal amounts are pulled from the provider:
+   * - tokenA limiting: surplus tokenB stays with the caller
+   * - Pair balances match the credited reserves
+   */
+  it("addLiquidity pulls only the optimal tokenB when tokenA is limiting", async function () {
+    const {
+      owner,
+      tokenA,
+      tokenB,
+      tokenAAddr,
+      tokenBAddr,
+      simpleSwap,
+      simpleSwapAddr,
+    } = await deployTokensAndSwap();
+
+    const addAmtA = ethers.parseUnits("50", DECIMALS);
+    const addAmtBDesired = ethers.parseUnits("1000", DECIMALS);
+    await tokenA.approve(simpleSwapAddr, addAmtA);
+    await tokenB.approve(simpleSwapAddr, addAmtBDesired);
+
+    const balBeforeB = await tokenB.balanceOf(owner.address);
+    const deadline = await futureDeadline();
+    await expect(
+      simpleSwap.addLiquidity(
+        tokenAAddr,
+        tokenBAddr,
+        addAmtA,
+        addAmtBDesired,
+        0,
+        0,
+        owner.address,
+        deadline
+      )
+    )
+      .to.emit(simpleSwap, "LiquidityAdded")
+      .withArgs(
+        tokenAAddr,
+        tokenBAddr,
+        owner.address,
+        addAmtA,
+        addAmtA,
+        addAmtA
+      );
+
+    // 1:1 pool, so only 50 tokenB are pulled
+    expect(await tokenB.balanceOf(owner.address)).to.equal(
+      balBeforeB - addAmtA
+    );
+    const pair = await simpleSwap.pairs(tokenAAddr, tokenBAddr);
+    const pairAddr = await simpleSwap.getLPToken(tokenAAddr, tokenBAddr);
+    expect(await tokenA.balanceOf(pairAddr)).to.equal(pair.reserves.reserveA);
+    expect(await tokenB.balanceOf(pairAddr)).to.equal(pair.reserves.reserveB);
+  });
+
+  /**
+   * Tests the tokenB-limiting branch:
+   * - tokenA is reduced to the optimal amount
+   * - amountAMin is enforced on that final amount
+   */
+  it("addLiquidity pulls only the optimal tokenA when tokenB is limiting", async function () {
+    const {
+      owner,
+      tokenA,
+      tokenB,
+      tokenAAddr,
+      tokenBAddr,
+      simpleSwap,
+      simpleSwapAddr,
+    } = await deployTokensAndSwap();
+
+    const addAmtADesired = ethers.parseUnits("1000", DECIMALS);
+    const addAmtB = ethers.parseUnits("20", DECIMALS);
+    await tokenA.approve(simpleSwapAddr, addAmtADesired);
+    await tokenB.approve(simpleSwapAddr, addAmtB);
+    const deadline = await futureDeadline();
+
+    // Final tokenA amount (20) is below amountAMin
+    await expect(
+      simpleSwap.addLiquidity(
+        tokenAAddr,
+        tokenBAddr,
+        addAmtADesired,
+        addAmtB,
+        addAmtB + 1n,
+        0,
+        owner.address,
+        deadline
+      )
+    ).to.be.revertedWith("slippage");
+
+    const balBeforeA = await tokenA.balanceOf(owner.address);
+    await simpleSwap.addLiquidity(
+      tokenAAddr,
+      tokenBAddr,
+      addAmtADesired,
+      addAmtB,
+      addAmtB,
+      addAmtB,
+      owner.address,
+      deadline
+    );
+    expect(await tokenA.balanceOf(owner.address)).to.equal(
+      balBeforeA - addAmtB
+    );
+    const pair = await simpleSwap.pairs(tokenAAddr, tokenBAddr);
+    expect(pair.reserves.reserveA).to.equal(amountA + addAmtB);
+    expect(pair.reserves.reserveB).to.equal(amountB + addAmtB);
+  });
+
+  /**
+   * Tests the first deposit of a pool:
+   * - Mints the geometric mean of both amounts, whatever the argument order
+   * - Locks MINIMUM_LIQUIDITY at the dead address
+   */
+  it("first addLiquidity mints sqrt(amountA * amountB) in either order", async function () {
+    const [owner] = await ethers.getSigners();
+    const TokenA = await ethers.getContractFactory("tokenA");
+    const tokenA = await TokenA.deploy();
+    const TokenB = await ethers.getContractFactory("tokenB");
+    const tokenB = await TokenB.deploy();
+    const tokenAAddr = await tokenA.getAddress();
+    const tokenBAddr = await tokenB.getAddress();
+
+    const amtA = ethers.parseUnits("400", DECIMALS);
+    const amtB = ethers.parseUnits("900", DECIMALS);
+    const rootK = ethers.parseUnits("600", DECIMALS);
+
+    const liquidity = [];
+    for (const [first, second, amtFirst, amtSecond] of [
+      [tokenA, tokenB, amtA, amtB],
+      [tokenB, tokenA, amtB, amtA],
+    ]) {
+      const { simpleSwap, factory } = await deploySimpleSwap();
+      const simpleSwapAddr = await simpleSwap.getAddress();
+      await first.approve(simpleSwapAddr, amtFirst);
+      await second.approve(simpleSwapAddr, amtSecond);
+      await simpleSwap.addLiquidity(
+        await first.getAddress(),
+        await second.getAddress(),
+        amtFirst,
+        amtSecond,
+        0,
+        0,
+        owner.address,
+        await futureDeadline()
+      );
+
+      const lp = await ethers.getContractAt(
+        "SimpleSwapPair",
+        await factory.getPair(tokenAAddr, tokenBAddr)
+      );
+      expect(await lp.totalSupply()).to.equal(rootK);
+      expect(await lp.balanceOf(await lp.DEAD_ADDRESS())).to.equal(
+        MINIMUM_LIQUIDITY
+      );
+      liquidity.push(await lp.balanceOf(owner.address));
+    }
+    expect(liquidity).to.deep.equal([
+      rootK - MINIMUM_LIQUIDITY,
+      rootK - MINIMUM_LIQUIDITY,
+    ]);
+  });
+
+  /**
+   * Tests that a first deposit must exceed the locked minimum
+   */
+  it("first addLiquidity reverts insuff_liq_minted below the minimum", async function () {
+    const [owner] = await ethers.getSigners();
+    const TokenA = await ethers.getContractFactory("tokenA");
+    const tokenA = await TokenA.deploy();
+    const TokenB = await ethers.getContractFactory("tokenB");
+    const tokenB = await TokenB.deploy();
+    const { simpleSwap } = await deploySimpleSwap();
+    const simpleSwapAddr = await simpleSwap.getAddress();
+
+    await tokenA.approve(simpleSwapAddr, MINIMUM_LIQUIDITY);
+    await tokenB.approve(simpleSwapAddr, MINIMUM_LIQUIDITY);
+    await expect(
+      simpleSwap.addLiquidity(
+        await tokenA.getAddress(),
+        await tokenB.getAddress(),
+        MINIMUM_LIQUIDITY,
+        MINIMUM_LIQUIDITY,
+        0,
+        0,
+        owner.address,
+        await futureDeadline()
+      )
+    ).to.be.revertedWith("insuff_liq_minted");
+  });
+
   /**
    * Tests token swapping functionality:
    * - Verifies token transfers
@@ -255,8 +513,10 @@ describe("SimpleSwap (high coverage)", function () {
 
     // Calculate expected output using contract's formula
     const pair = await simpleSwap.pairs(tokenAAddr, tokenBAddr);
+    const amtInWithFee = amtIn * (10000n - pair.feeBps);
     const expectedOut =
-      (amtIn * pair.reserves.reserveB) / (pair.reserves.reserveA + amtIn);
+      (amtInWithFee * pair.reserves.reserveB) /
+      (pair.reserves.reserveA * 10000n + amtInWithFee);
 
     const deadline = await futureDeadline();
     await simpleSwap.connect(user1).swapExactTokensForTokens(
@@ -323,21 +583,20 @@ describe("SimpleSwap (high coverage)", function () {
 
   /**
    * Tests complete liquidity removal:
-   * - Verifies pool is drained completely
-   * - Checks all state is reset to zero
+   * - Verifies the provider's whole position can be withdrawn
+   * - Checks only the locked minimum liquidity stays in the pool
    */
-  it("removeLiquidity total (burn all) leaves totalSupply=0", async function () {
-    const { owner, tokenAAddr, tokenBAddr, simpleSwap } =
+  it("removeLiquidity total (burn all) leaves only the locked minimum", async function () {
+    const { owner, tokenAAddr, tokenBAddr, simpleSwap, lpToken } =
       await deployTokensAndSwap();
 
-    // Withdraw entire liquidity
-    const pair = await simpleSwap.pairs(tokenAAddr, tokenBAddr);
-    const total = pair.totalSupply;
+    // Withdraw entire position
+    const position = await lpToken.balanceOf(owner.address);
     const deadline = await futureDeadline();
     await simpleSwap.removeLiquidity(
       tokenAAddr,
       tokenBAddr,
-      total,
+      position,
       0,
       0,
       owner.address,
@@ -346,9 +605,9 @@ describe("SimpleSwap (high coverage)", function () {
 
     // Verify complete removal
     const after = await simpleSwap.pairs(tokenAAddr, tokenBAddr);
-    expect(after.totalSupply).to.equal(0);
-    expect(after.reserves.reserveA).to.equal(0);
-    expect(after.reserves.reserveB).to.equal(0);
+    expect(after.totalSupply).to.equal(MINIMUM_LIQUIDITY);
+    expect(after.reserves.reserveA).to.equal(MINIMUM_LIQUIDITY);
+    expect(after.reserves.reserveB).to.equal(MINIMUM_LIQUIDITY);
   });
 
   // ---------------------------------------------------------------------------
@@ -571,39 +830,24 @@ describe("SimpleSwap (high coverage)", function () {
   /**
    * Tests invalid path length rejection
    */
-  it("swap reverts due to invalid_path (len !=2)", async function () {
-    const {
-      user1,
-      tokenA,
-      tokenB,
-      tokenAAddr,
-      tokenBAddr,
-      simpleSwap,
-      simpleSwapAddr,
-    } = await deployTokensAndSwap();
+  it("swap reverts due to invalid_path (len < 2)", async function () {
+    const { user1, tokenA, tokenAAddr, simpleSwap, simpleSwapAddr } =
+      await deployTokensAndSwap();
     const amt = 1n;
     await tokenA.transfer(user1.address, amt);
-    await tokenB.transfer(user1.address, amt);
     await tokenA.connect(user1).approve(simpleSwapAddr, amt);
-    await tokenB.connect(user1).approve(simpleSwapAddr, amt);
     const deadline = await futureDeadline();
     await expect(
       simpleSwap
         .connect(user1)
-        .swapExactTokensForTokens(
-          amt,
-          0,
-          [tokenAAddr, tokenBAddr, tokenAAddr],
-          user1.address,
-          deadline
-        )
+        .swapExactTokensForTokens(amt, 0, [tokenAAddr], user1.address, deadline)
     ).to.be.revertedWith("invalid_path");
   });
 
   /**
-   * Tests identical token rejection (modified to expect 'bad_resv')
+   * Tests identical token rejection
    */
-  it("swap reverts due to identical tokens in path (now with bad_resv)", async function () {
+  it("swap reverts due to identical tokens in path", async function () {
     const { user1, tokenA, tokenAAddr, simpleSwap, simpleSwapAddr } =
       await deployTokensAndSwap();
     const amt = 1n;
@@ -620,7 +864,7 @@ describe("SimpleSwap (high coverage)", function () {
           user1.address,
           deadline
         )
-    ).to.be.revertedWith("bad_resv"); // Modified expectation
+    ).to.be.revertedWith("identical");
   });
 
   /**
@@ -674,71 +918,2238 @@ describe("SimpleSwap (high coverage)", function () {
   });
 
   // ---------------------------------------------------------------------------
-  // getPrice() paths
+  // Exact-output swaps
   // ---------------------------------------------------------------------------
+  describe("swapTokensForExactTokens", function () {
+    /**
+     * Tests buying an exact amount:
+     * - Spends exactly the getAmountIn quote
+     * - Delivers exactly amountOut
+     */
+    it("delivers the exact output and spends the quoted input", async function () {
+      const {
+        user1,
+        tokenA,
+        tokenB,
+        tokenAAddr,
+        tokenBAddr,
+        simpleSwap,
+        simpleSwapAddr,
+      } = await deployTokensAndSwap();
+
+      const budget = ethers.parseUnits("100", DECIMALS);
+      await tokenA.transfer(user1.address, budget);
+      await tokenA.connect(user1).approve(simpleSwapAddr, budget);
+
+      const wantB = ethers.parseUnits("40", DECIMALS);
+      const pair = await simpleSwap.pairs(tokenAAddr, tokenBAddr);
+      const needA = await simpleSwap.getAmountIn(
+        wantB,
+        pair.reserves.reserveA,
+        pair.reserves.reserveB
+      );
+
+      const deadline = await futureDeadline();
+      const path = [tokenAAddr, tokenBAddr];
+      const amounts = await simpleSwap
+        .connect(user1)
+        .swapTokensForExactTokens.staticCall(
+          wantB,
+          budget,
+          path,
+          user1.address,
+          deadline
+        );
+      expect(amounts).to.deep.equal([needA, wantB]);
 
-  /**
-   * Tests price calculation with existing reserves
-   */
-  it("getPrice returns price when reserves exist", async function () {
-    const { tokenAAddr, tokenBAddr, simpleSwap } = await deployTokensAndSwap();
-    const price = await simpleSwap.getPrice(tokenAAddr, tokenBAddr);
-    expect(price).to.be.gt(0n);
-  });
+      await expect(
+        simpleSwap
+          .connect(user1)
+          .swapTokensForExactTokens(wantB, needA, path, user1.address, deadline)
+      )
+        .to.emit(simpleSwap, "TokensSwapped")
+        .withArgs(
+          tokenAAddr,
+          tokenBAddr,
+          user1.address,
+          needA,
+          wantB,
+          (needA * 30n) / 10000n
+        );
 
-  /**
-   * Tests price calculation rejection when no reserves exist
-   */
-  it("getPrice reverts zero_resv when inverse pair has no liquidity", async function () {
-    const { tokenAAddr, tokenBAddr, simpleSwap } = await deployTokensAndSwap();
-    await expect(
-      simpleSwap.getPrice(tokenBAddr, tokenAAddr)
-    ).to.be.revertedWith("zero_resv");
+      expect(await tokenB.balanceOf(user1.address)).to.equal(wantB);
+      expect(await tokenA.balanceOf(user1.address)).to.equal(budget - needA);
+    });
+
+    /**
+     * Tests the maximum-spend protection
+     */
+    it("reverts slippage when the required input exceeds amountInMax", async function () {
+      const {
+        user1,
+        tokenA,
+        tokenAAddr,
+        tokenBAddr,
+        simpleSwap,
+        simpleSwapAddr,
+      } = await deployTokensAndSwap();
+
+      const budget = ethers.parseUnits("100", DECIMALS);
+      await tokenA.transfer(user1.address, budget);
+      await tokenA.connect(user1).approve(simpleSwapAddr, budget);
+
+      const wantB = ethers.parseUnits("40", DECIMALS);
+      const pair = await simpleSwap.pairs(tokenAAddr, tokenBAddr);
+      const needA = await simpleSwap.getAmountIn(
+        wantB,
+        pair.reserves.reserveA,
+        pair.reserves.reserveB
+      );
+
+      const deadline = await futureDeadline();
+      await expect(
+        simpleSwap
+          .connect(user1)
+          .swapTokensForExactTokens(
+            wantB,
+            needA - 1n,
+            [tokenAAddr, tokenBAddr],
+            user1.address,
+            deadline
+          )
+      ).to.be.revertedWith("slippage");
+    });
+
+    /**
+     * Tests expired / invalid_path / zero_output / insuff_liq rejections
+     */
+    it("reverts expired / invalid_path / zero_output / insuff_liq", async function () {
+      const { user1, tokenAAddr, tokenBAddr, simpleSwap } =
+        await deployTokensAndSwap();
+
+      const path = [tokenAAddr, tokenBAddr];
+      await expect(
+        simpleSwap.swapTokensForExactTokens(
+          1,
+          1,
+          path,
+          user1.address,
+          await pastDeadline()
+        )
+      ).to.be.revertedWith("expired");
+
+      const deadline = await futureDeadline();
+      await expect(
+        simpleSwap.swapTokensForExactTokens(
+          1,
+          1,
+          [tokenAAddr],
+          user1.address,
+          deadline
+        )
+      ).to.be.revertedWith("invalid_path");
+      await expect(
+        simpleSwap.swapTokensForExactTokens(0, 1, path, user1.address, deadline)
+      ).to.be.revertedWith("zero_output");
+      await expect(
+        simpleSwap.swapTokensForExactTokens(
+          amountB,
+          ethers.MaxUint256,
+          path,
+          user1.address,
+          deadline
+        )
+      ).to.be.revertedWith("insuff_liq");
+    });
   });
 
   // ---------------------------------------------------------------------------
-  // getAmountOut() paths (pure)
+  // Multi-hop swaps
   // ---------------------------------------------------------------------------
-  describe("getAmountOut (pure) revert paths", function () {
+  describe("multi-hop swaps", function () {
     /**
-     * Tests zero input rejection
+     * Deployment helper:
+     * - Adds a third token C and seeds a B/C pool next to the A/B pool
      */
-    it("zero_input", async function () {
-      const SimpleSwap = await ethers.getContractFactory("SimpleSwap");
-      const lib = await SimpleSwap.deploy();
-      await lib.waitForDeployment();
-      await expect(lib.getAmountOut(0, 1, 1)).to.be.revertedWith("zero_input");
+    async function deployWithThirdPool() {
+      const ctx = await deployTokensAndSwap();
+      const { owner, tokenB, tokenBAddr, simpleSwap, simpleSwapAddr } = ctx;
+
+      const TokenB = await ethers.getContractFactory("tokenB");
+      const tokenC = await TokenB.deploy();
+      const tokenCAddr = await tokenC.getAddress();
+
+      const amountC = ethers.parseUnits("1000", DECIMALS);
+      await tokenB.approve(simpleSwapAddr, amountB);
+      await tokenC.approve(simpleSwapAddr, amountC);
+      await simpleSwap.addLiquidity(
+        tokenBAddr,
+        tokenCAddr,
+        amountB,
+        amountC,
+        0,
+        0,
+        owner.address,
+        await futureDeadline()
+      );
+
+      return { ...ctx, tokenC, tokenCAddr };
+    }
+
+    /**
+     * Tests an A→B→C route:
+     * - Returns the amount of every hop
+     * - Emits one TokensSwapped per hop
+     * - Leaves no intermediate tokens with the router or the trader
+     */
+    it("chains A→B→C through both pools", async function () {
+      const {
+        user1,
+        tokenA,
+        tokenB,
+        tokenC,
+        tokenAAddr,
+        tokenBAddr,
+        tokenCAddr,
+        simpleSwap,
+        simpleSwapAddr,
+      } = await deployWithThirdPool();
+
+      const amtIn = ethers.parseUnits("10", DECIMALS);
+      await tokenA.transfer(user1.address, amtIn);
+      await tokenA.connect(user1).approve(simpleSwapAddr, amtIn);
+
+      const ab = await simpleSwap.pairs(tokenAAddr, tokenBAddr);
+      const bc = await simpleSwap.pairs(tokenBAddr, tokenCAddr);
+      const outB = await simpleSwap.getAmountOut(
+        amtIn,
+        ab.reserves.reserveA,
+        ab.reserves.reserveB
+      );
+      const outC = await simpleSwap.getAmountOut(
+        outB,
+        bc.reserves.reserveA,
+        bc.reserves.reserveB
+      );
+
+      const path = [tokenAAddr, tokenBAddr, tokenCAddr];
+      const deadline = await futureDeadline();
+      const amounts = await simpleSwap
+        .connect(user1)
+        .swapExactTokensForTokens.staticCall(
+          amtIn,
+          0,
+          path,
+          user1.address,
+          deadline
+        );
+      expect(amounts).to.deep.equal([amtIn, outB, outC]);
+
+      const tx = simpleSwap
+        .connect(user1)
+        .swapExactTokensForTokens(amtIn, outC, path, user1.address, deadline);
+      await expect(tx)
+        .to.emit(simpleSwap, "TokensSwapped")
+        .withArgs(
+          tokenAAddr,
+          tokenBAddr,
+          user1.address,
+          amtIn,
+          outB,
+          (amtIn * 30n) / 10000n
+        );
+      await expect(tx)
+        .to.emit(simpleSwap, "TokensSwapped")
+        .withArgs(
+          tokenBAddr,
+          tokenCAddr,
+          user1.address,
+          outB,
+          outC,
+          (outB * 30n) / 10000n
+        );
+
+      expect(await tokenC.balanceOf(user1.address)).to.equal(outC);
+      expect(await tokenB.balanceOf(user1.address)).to.equal(0);
+      expect(await tokenB.balanceOf(simpleSwapAddr)).to.equal(0);
     });
-    
+
     /**
-     * Tests zero input reserve rejection
+     * Tests that amountOutMin only applies to the final hop
      */
-    it("bad_resv if reserveIn == 0", async function () {
-      const SimpleSwap = await ethers.getContractFactory("SimpleSwap");
-      const lib = await SimpleSwap.deploy();
-      await lib.waitForDeployment();
-      await expect(lib.getAmountOut(1, 0, 1)).to.be.revertedWith("bad_resv");
+    it("enforces amountOutMin on the final output only", async function () {
+      const {
+        user1,
+        tokenA,
+        tokenAAddr,
+        tokenBAddr,
+        tokenCAddr,
+        simpleSwap,
+        simpleSwapAddr,
+      } = await deployWithThirdPool();
+
+      const amtIn = ethers.parseUnits("10", DECIMALS);
+      await tokenA.transfer(user1.address, amtIn);
+      await tokenA.connect(user1).approve(simpleSwapAddr, amtIn);
+
+      const path = [tokenAAddr, tokenBAddr, tokenCAddr];
+      const deadline = await futureDeadline();
+      const amounts = await simpleSwap
+        .connect(user1)
+        .swapExactTokensForTokens.staticCall(
+          amtIn,
+          0,
+          path,
+          user1.address,
+          deadline
+        );
+
+      // The first hop's output (B) is below this min, the final one (C) is not
+      const finalOut = amounts[2];
+      expect(amounts[1]).to.be.lt(finalOut);
+      await expect(
+        simpleSwap
+          .connect(user1)
+          .swapExactTokensForTokens(
+            amtIn,
+            finalOut + 1n,
+            path,
+            user1.address,
+            deadline
+          )
+      ).to.be.revertedWith("slippage");
+      await simpleSwap
+        .connect(user1)
+        .swapExactTokensForTokens(
+          amtIn,
+          finalOut,
+          path,
+          user1.address,
+          deadline
+        );
     });
-    
+
     /**
-     * Tests zero output reserve rejection
+     * Tests an exact-output A→B→C route
      */
-    it("bad_resv if reserveOut == 0", async function () {
-      const SimpleSwap = await ethers.getContractFactory("SimpleSwap");
-      const lib = await SimpleSwap.deploy();
-      await lib.waitForDeployment();
-      await expect(lib.getAmountOut(1, 1, 0)).to.be.revertedWith("bad_resv");
+    it("swapTokensForExactTokens chains A→B→C for an exact final output", async function () {
+      const {
+        user1,
+        tokenA,
+        tokenC,
+        tokenAAddr,
+        tokenBAddr,
+        tokenCAddr,
+        simpleSwap,
+        simpleSwapAddr,
+      } = await deployWithThirdPool();
+
+      const budget = ethers.parseUnits("50", DECIMALS);
+      await tokenA.transfer(user1.address, budget);
+      await tokenA.connect(user1).approve(simpleSwapAddr, budget);
+
+      const wantC = ethers.parseUnits("15", DECIMALS);
+      const ab = await simpleSwap.pairs(tokenAAddr, tokenBAddr);
+      const bc = await simpleSwap.pairs(tokenBAddr, tokenCAddr);
+      const needB = await simpleSwap.getAmountIn(
+        wantC,
+        bc.reserves.reserveA,
+        bc.reserves.reserveB
+      );
+      const needA = await simpleSwap.getAmountIn(
+        needB,
+        ab.reserves.reserveA,
+        ab.reserves.reserveB
+      );
+
+      const path = [tokenAAddr, tokenBAddr, tokenCAddr];
+      const deadline = await futureDeadline();
+      await expect(
+        simpleSwap
+          .connect(user1)
+          .swapTokensForExactTokens(
+            wantC,
+            budget,
+            path,
+            user1.address,
+            deadline
+          )
+      )
+        .to.emit(simpleSwap, "TokensSwapped")
+        .withArgs(
+          tokenBAddr,
+          tokenCAddr,
+          user1.address,
+          needB,
+          wantC,
+          (needB * 30n) / 10000n
+        );
+
+      expect(await tokenC.balanceOf(user1.address)).to.equal(wantC);
+      expect(await tokenA.balanceOf(user1.address)).to.equal(budget - needA);
     });
-    
+
     /**
-     * Tests correct calculation with valid inputs
+     * Tests a route through a hop without a pool
      */
-    it("calculates correctly with reserves >0", async function () {
-      const SimpleSwap = await ethers.getContractFactory("SimpleSwap");
-      const lib = await SimpleSwap.deploy();
-      await lib.waitForDeployment();
-      const out = await lib.getAmountOut(1000, 5000, 5000);
-      expect(out).to.equal(833); // (1000*5000)/(5000+1000)=5e6/6000=833
+    it("reverts bad_resv when an intermediate pool does not exist", async function () {
+      const {
+        user1,
+        tokenA,
+        tokenAAddr,
+        tokenBAddr,
+        tokenCAddr,
+        simpleSwap,
+        simpleSwapAddr,
+      } = await deployWithThirdPool();
+
+      const amtIn = ethers.parseUnits("10", DECIMALS);
+      await tokenA.transfer(user1.address, amtIn);
+      await tokenA.connect(user1).approve(simpleSwapAddr, amtIn);
+
+      const deadline = await futureDeadline();
+      await expect(
+        simpleSwap
+          .connect(user1)
+          .swapExactTokensForTokens(
+            amtIn,
+            0,
+            [tokenAAddr, tokenCAddr, tokenBAddr],
+            user1.address,
+            deadline
+          )
+      ).to.be.revertedWith("bad_resv");
+    });
+
+    /**
+     * Tests that the path quoting views return what the swaps execute
+     */
+    it("getAmountsOut / getAmountsIn match the executed amounts", async function () {
+      const {
+        user1,
+        tokenA,
+        tokenAAddr,
+        tokenBAddr,
+        tokenCAddr,
+        simpleSwap,
+        simpleSwapAddr,
+      } = await deployWithThirdPool();
+
+      const budget = ethers.parseUnits("50", DECIMALS);
+      await tokenA.transfer(user1.address, budget);
+      await tokenA.connect(user1).approve(simpleSwapAddr, budget);
+
+      const path = [tokenAAddr, tokenBAddr, tokenCAddr];
+      const deadline = await futureDeadline();
+      const amtIn = ethers.parseUnits("10", DECIMALS);
+      const [amountsOut] = await simpleSwap.getAmountsOut(amtIn, path);
+      expect(
+        await simpleSwap
+          .connect(user1)
+          .swapExactTokensForTokens.staticCall(
+            amtIn,
+            0,
+            path,
+            user1.address,
+            deadline
+          )
+      ).to.deep.equal(amountsOut);
+
+      const wantC = ethers.parseUnits("5", DECIMALS);
+      const [amountsIn] = await simpleSwap.getAmountsIn(wantC, path);
+      expect(
+        await simpleSwap
+          .connect(user1)
+          .swapTokensForExactTokens.staticCall(
+            wantC,
+            budget,
+            path,
+            user1.address,
+            deadline
+          )
+      ).to.deep.equal(amountsIn);
+    });
+
+    /**
+     * Tests the price impact figure:
+     * - Loss against the fee-adjusted spot price, in basis points
+     * - Grows with the trade size
+     */
+    it("reports the price impact of the route", async function () {
+      const { tokenAAddr, tokenBAddr, simpleSwap } =
+        await deployWithThirdPool();
+      const path = [tokenAAddr, tokenBAddr];
+
+      const amtIn = ethers.parseUnits("50", DECIMALS);
+      const [amounts, impactOut] = await simpleSwap.getAmountsOut(amtIn, path);
+      const spotOut = (amtIn * 9970n * amountB) / (amountA * 10000n);
+      expect(impactOut).to.equal(((spotOut - amounts[1]) * 10000n) / spotOut);
+      // 50 into 500/500 moves the price by roughly 50 / (500 + 50)
+      expect(impactOut).to.be.closeTo(907n, 2n);
+
+      const [, bigImpact] = await simpleSwap.getAmountsOut(amtIn * 4n, path);
+      expect(bigImpact).to.be.gt(impactOut);
+
+      const [amountsIn, impactIn] = await simpleSwap.getAmountsIn(
+        amounts[1],
+        path
+      );
+      const spotIn = (amounts[1] * amountA * 10000n) / (amountB * 9970n);
+      expect(impactIn).to.equal(
+        ((amountsIn[0] - spotIn) * 10000n) / amountsIn[0]
+      );
+    });
+
+    /**
+     * Tests path quoting revert paths
+     */
+    it("getAmountsOut / getAmountsIn revert invalid_path / bad_resv", async function () {
+      const { tokenAAddr, tokenBAddr, tokenCAddr, simpleSwap } =
+        await deployWithThirdPool();
+
+      await expect(
+        simpleSwap.getAmountsOut(1000, [tokenAAddr])
+      ).to.be.revertedWith("invalid_path");
+      await expect(
+        simpleSwap.getAmountsIn(1000, [tokenAAddr])
+      ).to.be.revertedWith("invalid_path");
+      await expect(
+        simpleSwap.getAmountsOut(1000, [tokenAAddr, tokenCAddr])
+      ).to.be.revertedWith("bad_resv");
+      await expect(
+        simpleSwap.getAmountsIn(1000, [tokenCAddr, tokenAAddr, tokenBAddr])
+      ).to.be.revertedWith("bad_resv");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // getPrice() paths
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Tests price calculation with existing reserves
+   */
+  it("getPrice returns price when reserves exist", async function () {
+    const { tokenAAddr, tokenBAddr, simpleSwap } = await deployTokensAndSwap();
+    const price = await simpleSwap.getPrice(tokenAAddr, tokenBAddr);
+    expect(price).to.be.gt(0n);
+  });
+
+  /**
+   * Tests price calculation on the inverse argument order
+   */
+  it("getPrice resolves the inverse order to the same pool", async function () {
+    const { tokenAAddr, tokenBAddr, simpleSwap } = await deployTokensAndSwap();
+    const price = await simpleSwap.getPrice(tokenBAddr, tokenAAddr);
+    expect(price).to.equal(ethers.parseUnits("1", DECIMALS));
+  });
+
+  /**
+   * Tests price calculation rejection when no reserves exist
+   */
+  it("getPrice reverts zero_resv when pair has no liquidity", async function () {
+    const { tokenAAddr, tokenBAddr } = await deployTokensAndSwap();
+    const { simpleSwap: emptySwap } = await deploySimpleSwap();
+    await expect(emptySwap.getPrice(tokenAAddr, tokenBAddr)).to.be.revertedWith(
+      "zero_resv"
+    );
+  });
+
+  // ---------------------------------------------------------------------------
+  // Fee-on-transfer tokens
+  // ---------------------------------------------------------------------------
+  describe("fee-on-transfer tokens", function () {
+    /**
+     * Deployment helper:
+     * - Deploys a 1% transfer-tax token and seeds a TAX/B pool with it
+     */
+    async function deployTaxedPool() {
+      const ctx = await deployTokensAndSwap();
+      const { owner, tokenB, tokenBAddr, factory, simpleSwap, simpleSwapAddr } =
+        ctx;
+
+      const Taxed = await ethers.getContractFactory("FeeOnTransferToken");
+      const taxed = await Taxed.deploy();
+      const taxedAddr = await taxed.getAddress();
+
+      await taxed.approve(simpleSwapAddr, amountA);
+      await tokenB.approve(simpleSwapAddr, amountB);
+      await simpleSwap.addLiquidity(
+        taxedAddr,
+        tokenBAddr,
+        amountA,
+        amountB,
+        0,
+        0,
+        owner.address,
+        await futureDeadline()
+      );
+      const taxedPairAddr = await factory.getPair(taxedAddr, tokenBAddr);
+
+      return { ...ctx, taxed, taxedAddr, taxedPairAddr };
+    }
+
+    /** Helper: Amount left after the 1% transfer tax */
+    const afterTax = (amount) => amount - amount / 100n;
+
+    /**
+     * Tests that deposits are credited with what the pair received
+     */
+    it("addLiquidity credits the amounts the pair actually received", async function () {
+      const { taxed, taxedAddr, tokenBAddr, simpleSwap, taxedPairAddr } =
+        await deployTaxedPool();
+
+      const pool = await simpleSwap.pairs(taxedAddr, tokenBAddr);
+      expect(pool.reserves.reserveA).to.equal(afterTax(amountA));
+      expect(pool.reserves.reserveB).to.equal(amountB);
+      expect(await taxed.balanceOf(taxedPairAddr)).to.equal(afterTax(amountA));
+    });
+
+    /**
+     * Tests that a taxed deposit is checked and reported as received:
+     * - amountAMin applies to the amount left after the tax
+     * - LiquidityAdded emits the after-tax amount
+     */
+    it("addLiquidity checks the minimums and emits the amounts received", async function () {
+      const { owner, taxed, tokenB, taxedAddr, tokenBAddr, simpleSwap } =
+        await deployTaxedPool();
+      const simpleSwapAddr = await simpleSwap.getAddress();
+
+      const amtA = ethers.parseUnits("99", DECIMALS);
+      const amtB = ethers.parseUnits("200", DECIMALS);
+      await taxed.approve(simpleSwapAddr, amtA);
+      await tokenB.approve(simpleSwapAddr, amtB);
+      const pool = await simpleSwap.pairs(taxedAddr, tokenBAddr);
+      const optimalB = await simpleSwap.quote(
+        amtA,
+        pool.reserves.reserveA,
+        pool.reserves.reserveB
+      );
+      const add = (amtAMin) =>
+        simpleSwap.addLiquidity(
+          taxedAddr,
+          tokenBAddr,
+          amtA,
+          amtB,
+          amtAMin,
+          0,
+          owner.address,
+          futureDeadline()
+        );
+
+      await expect(add(amtA)).to.be.revertedWith("slippage");
+      await expect(add(afterTax(amtA)))
+        .to.emit(simpleSwap, "LiquidityAdded")
+        .withArgs(
+          taxedAddr,
+          tokenBAddr,
+          owner.address,
+          afterTax(amtA),
+          optimalB,
+          anyUint
+        );
+    });
+
+    /**
+     * Tests a taxed input token:
+     * - The quoting swap reverts k since the pair receives less than quoted
+     * - The supporting variant swaps what the pair actually received
+     */
+    it("swaps a taxed input token by measuring the pair's balance", async function () {
+      const { user1, taxed, tokenB, taxedAddr, tokenBAddr, simpleSwap } =
+        await deployTaxedPool();
+      const simpleSwapAddr = await simpleSwap.getAddress();
+
+      const amtIn = ethers.parseUnits("10", DECIMALS);
+      await taxed.transfer(user1.address, amtIn * 2n);
+      await taxed.connect(user1).approve(simpleSwapAddr, amtIn);
+      const path = [taxedAddr, tokenBAddr];
+      const deadline = await futureDeadline();
+
+      await expect(
+        simpleSwap
+          .connect(user1)
+          .swapExactTokensForTokens(amtIn, 0, path, user1.address, deadline)
+      ).to.be.revertedWith("k");
+
+      const pool = await simpleSwap.pairs(taxedAddr, tokenBAddr);
+      const expectedOut = await simpleSwap.getAmountOut(
+        afterTax(amtIn),
+        pool.reserves.reserveA,
+        pool.reserves.reserveB
+      );
+      await expect(
+        simpleSwap
+          .connect(user1)
+          .swapExactTokensForTokensSupportingFeeOnTransferTokens(
+            amtIn,
+            expectedOut,
+            path,
+            user1.address,
+            deadline
+          )
+      )
+        .to.emit(simpleSwap, "TokensSwapped")
+        .withArgs(
+          taxedAddr,
+          tokenBAddr,
+          user1.address,
+          afterTax(amtIn),
+          expectedOut,
+          (afterTax(amtIn) * 30n) / 10000n
+        );
+      expect(await tokenB.balanceOf(user1.address)).to.equal(expectedOut);
+    });
+
+    /**
+     * Tests a taxed output token:
+     * - amountOutMin applies to what the recipient received after the tax
+     */
+    it("checks amountOutMin against the taxed output actually received", async function () {
+      const { user1, taxed, tokenB, taxedAddr, tokenBAddr, simpleSwap } =
+        await deployTaxedPool();
+      const simpleSwapAddr = await simpleSwap.getAddress();
+
+      const amtIn = ethers.parseUnits("10", DECIMALS);
+      await tokenB.transfer(user1.address, amtIn);
+      await tokenB.connect(user1).approve(simpleSwapAddr, amtIn);
+      const path = [tokenBAddr, taxedAddr];
+      const deadline = await futureDeadline();
+
+      const [[, quotedOut]] = await simpleSwap.getAmountsOut(amtIn, path);
+      await expect(
+        simpleSwap
+          .connect(user1)
+          .swapExactTokensForTokensSupportingFeeOnTransferTokens(
+            amtIn,
+            quotedOut,
+            path,
+            user1.address,
+            deadline
+          )
+      ).to.be.revertedWith("slippage");
+
+      await simpleSwap
+        .connect(user1)
+        .swapExactTokensForTokensSupportingFeeOnTransferTokens(
+          amtIn,
+          afterTax(quotedOut),
+          path,
+          user1.address,
+          deadline
+        );
+      expect(await taxed.balanceOf(user1.address)).to.equal(
+        afterTax(quotedOut)
+      );
+    });
+
+    /**
+     * Tests the supporting variant's revert paths
+     */
+    it("supporting variant reverts expired / invalid_path / zero_input / no_pair", async function () {
+      const { user1, tokenAAddr, taxedAddr, tokenBAddr, simpleSwap } =
+        await deployTaxedPool();
+      const swap = (amt, path, deadline) =>
+        simpleSwap
+          .connect(user1)
+          .swapExactTokensForTokensSupportingFeeOnTransferTokens(
+            amt,
+            0,
+            path,
+            user1.address,
+            deadline
+          );
+      const deadline = await futureDeadline();
+
+      await expect(
+        swap(1000, [taxedAddr, tokenBAddr], await pastDeadline())
+      ).to.be.revertedWith("expired");
+      await expect(swap(1000, [taxedAddr], deadline)).to.be.revertedWith(
+        "invalid_path"
+      );
+      await expect(
+        swap(0, [taxedAddr, tokenBAddr], deadline)
+      ).to.be.revertedWith("zero_input");
+      await expect(
+        swap(1000, [taxedAddr, tokenAAddr], deadline)
+      ).to.be.revertedWith("no_pair");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Non-standard ERC-20 tokens
+  // ---------------------------------------------------------------------------
+  describe("non-standard tokens", function () {
+    /**
+     * Deployment helper:
+     * - Seeds a pool of a mock token against tokenB
+     */
+    async function deployMockPool(mockName) {
+      const ctx = await deployTokensAndSwap();
+      const { owner, tokenB, tokenBAddr, factory, simpleSwap, simpleSwapAddr } =
+        ctx;
+
+      const Mock = await ethers.getContractFactory(mockName);
+      const mock = await Mock.deploy();
+      const mockAddr = await mock.getAddress();
+
+      await mock.approve(simpleSwapAddr, amountA);
+      await tokenB.approve(simpleSwapAddr, amountB);
+      await simpleSwap.addLiquidity(
+        mockAddr,
+        tokenBAddr,
+        amountA,
+        amountB,
+        0,
+        0,
+        owner.address,
+        await futureDeadline()
+      );
+      const mockLp = await ethers.getContractAt(
+        "SimpleSwapPair",
+        await factory.getPair(mockAddr, tokenBAddr)
+      );
+      await mockLp.approve(simpleSwapAddr, ethers.MaxUint256);
+
+      return { ...ctx, mock, mockAddr, mockLp };
+    }
+
+    /**
+     * Tests a USDT-style token that returns nothing from transfers:
+     * - Deposits, swaps in both directions and withdrawals all go through
+     */
+    it("supports tokens that return no value", async function () {
+      const {
+        owner,
+        user1,
+        tokenB,
+        tokenBAddr,
+        simpleSwap,
+        simpleSwapAddr,
+        mock,
+        mockAddr,
+        mockLp,
+      } = await deployMockPool("NoReturnToken");
+      const deadline = await futureDeadline();
+
+      const pool = await simpleSwap.pairs(mockAddr, tokenBAddr);
+      expect(pool.reserves.reserveA).to.equal(amountA);
+
+      const amtIn = ethers.parseUnits("10", DECIMALS);
+      await mock.transfer(user1.address, amtIn);
+      await mock.connect(user1).approve(simpleSwapAddr, amtIn);
+      await simpleSwap
+        .connect(user1)
+        .swapExactTokensForTokens(
+          amtIn,
+          1,
+          [mockAddr, tokenBAddr],
+          user1.address,
+          deadline
+        );
+      const outB = await tokenB.balanceOf(user1.address);
+      expect(outB).to.be.gt(0);
+
+      await tokenB.connect(user1).approve(simpleSwapAddr, outB);
+      await simpleSwap
+        .connect(user1)
+        .swapExactTokensForTokens(
+          outB,
+          1,
+          [tokenBAddr, mockAddr],
+          user1.address,
+          deadline
+        );
+      expect(await mock.balanceOf(user1.address)).to.be.gt(0);
+
+      const position = await mockLp.balanceOf(owner.address);
+      const balBefore = await mock.balanceOf(owner.address);
+      await simpleSwap.removeLiquidity(
+        mockAddr,
+        tokenBAddr,
+        position,
+        1,
+        1,
+        owner.address,
+        deadline
+      );
+      expect(await mock.balanceOf(owner.address)).to.be.gt(balBefore);
+    });
+
+    /**
+     * Tests a token that returns false instead of reverting:
+     * - A failed pull reverts with SafeERC20FailedOperation(token)
+     */
+    it("reverts SafeERC20FailedOperation when a token returns false", async function () {
+      const {
+        user1,
+        tokenB,
+        tokenBAddr,
+        simpleSwap,
+        simpleSwapAddr,
+        mockAddr,
+      } = await deployMockPool("ReturnsFalseToken");
+      const deadline = await futureDeadline();
+      const amt = ethers.parseUnits("10", DECIMALS);
+
+      // user1 holds no mock tokens, so transferFrom returns false
+      await expect(
+        simpleSwap
+          .connect(user1)
+          .swapExactTokensForTokens(
+            amt,
+            0,
+            [mockAddr, tokenBAddr],
+            user1.address,
+            deadline
+          )
+      )
+        .to.be.revertedWithCustomError(simpleSwap, "SafeERC20FailedOperation")
+        .withArgs(mockAddr);
+
+      await tokenB.transfer(user1.address, amt);
+      await tokenB.connect(user1).approve(simpleSwapAddr, amt);
+      await expect(
+        simpleSwap
+          .connect(user1)
+          .addLiquidity(
+            mockAddr,
+            tokenBAddr,
+            amt,
+            amt,
+            0,
+            0,
+            user1.address,
+            deadline
+          )
+      )
+        .to.be.revertedWithCustomError(simpleSwap, "SafeERC20FailedOperation")
+        .withArgs(mockAddr);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Native ETH (WETH)
+  // ---------------------------------------------------------------------------
+  describe("native ETH", function () {
+    const ethAmount = ethers.parseEther("10");
+
+    /**
+     * Deployment helper:
+     * - Seeds a tokenA/WETH pool with native ETH (500 tokenA : 10 ETH)
+     */
+    async function deployEthPool() {
+      const ctx = await deployTokensAndSwap();
+      const { owner, tokenA, tokenAAddr, factory, weth, simpleSwap } = ctx;
+      const simpleSwapAddr = await simpleSwap.getAddress();
+      const wethAddr = await weth.getAddress();
+
+      await tokenA.approve(simpleSwapAddr, amountA);
+      await simpleSwap.addLiquidityETH(
+        tokenAAddr,
+        amountA,
+        0,
+        0,
+        owner.address,
+        await futureDeadline(),
+        { value: ethAmount }
+      );
+      const ethLp = await ethers.getContractAt(
+        "SimpleSwapPair",
+        await factory.getPair(tokenAAddr, wethAddr)
+      );
+      await ethLp.approve(simpleSwapAddr, ethers.MaxUint256);
+
+      return { ...ctx, wethAddr, ethLp };
+    }
+
+    /**
+     * Tests depositing ETH:
+     * - The pool holds WETH for the ETH sent
+     * - ETH above the optimal amount is refunded
+     */
+    it("addLiquidityETH wraps ETH and refunds the surplus", async function () {
+      const { owner, tokenA, tokenAAddr, weth, wethAddr, simpleSwap, ethLp } =
+        await deployEthPool();
+      const ethLpAddr = await ethLp.getAddress();
+      expect(await weth.balanceOf(ethLpAddr)).to.equal(ethAmount);
+
+      // 50 tokenA only need 1 ETH at 500:10; 4 ETH are sent
+      const addA = ethers.parseUnits("50", DECIMALS);
+      const needEth = ethers.parseEther("1");
+      await tokenA.approve(await simpleSwap.getAddress(), addA);
+      const tx = simpleSwap.addLiquidityETH(
+        tokenAAddr,
+        addA,
+        addA,
+        needEth,
+        owner.address,
+        await futureDeadline(),
+        { value: needEth * 4n }
+      );
+      await expect(tx).to.changeEtherBalance(owner, -needEth);
+      await expect(tx)
+        .to.emit(simpleSwap, "LiquidityAdded")
+        .withArgs(tokenAAddr, wethAddr, owner.address, addA, needEth, anyUint);
+      expect(await weth.balanceOf(ethLpAddr)).to.equal(ethAmount + needEth);
+    });
+
+    /**
+     * Tests withdrawing a token/WETH position as ETH
+     */
+    it("removeLiquidityETH unwraps the WETH share to the recipient", async function () {
+      const { owner, user1, tokenA, tokenAAddr, weth, simpleSwap, ethLp } =
+        await deployEthPool();
+
+      const share = (await ethLp.balanceOf(owner.address)) / 2n;
+      const supply = await ethLp.totalSupply();
+      const expectedEth = (share * ethAmount) / supply;
+      const expectedA = (share * amountA) / supply;
+
+      const tx = simpleSwap.removeLiquidityETH(
+        tokenAAddr,
+        share,
+        expectedA,
+        expectedEth,
+        user1.address,
+        await futureDeadline()
+      );
+      await expect(tx).to.changeEtherBalance(user1, expectedEth);
+      expect(await tokenA.balanceOf(user1.address)).to.equal(expectedA);
+      expect(await weth.balanceOf(await simpleSwap.getAddress())).to.equal(0);
+    });
+
+    /**
+     * Tests swapping ETH for tokens and back
+     */
+    it("swapExactETHForTokens / swapExactTokensForETH route through WETH", async function () {
+      const { user1, tokenA, tokenAAddr, wethAddr, simpleSwap } =
+        await deployEthPool();
+      const simpleSwapAddr = await simpleSwap.getAddress();
+      const deadline = await futureDeadline();
+
+      const ethIn = ethers.parseEther("1");
+      const [[, outA]] = await simpleSwap.getAmountsOut(ethIn, [
+        wethAddr,
+        tokenAAddr,
+      ]);
+      const buy = simpleSwap
+        .connect(user1)
+        .swapExactETHForTokens(
+          outA,
+          [wethAddr, tokenAAddr],
+          user1.address,
+          deadline,
+          { value: ethIn }
+        );
+      await expect(buy).to.changeEtherBalance(user1, -ethIn);
+      expect(await tokenA.balanceOf(user1.address)).to.equal(outA);
+
+      await tokenA.connect(user1).approve(simpleSwapAddr, outA);
+      const [[, outEth]] = await simpleSwap.getAmountsOut(outA, [
+        tokenAAddr,
+        wethAddr,
+      ]);
+      const sell = simpleSwap
+        .connect(user1)
+        .swapExactTokensForETH(
+          outA,
+          outEth,
+          [tokenAAddr, wethAddr],
+          user1.address,
+          deadline
+        );
+      await expect(sell).to.changeEtherBalance(user1, outEth);
+      expect(await tokenA.balanceOf(user1.address)).to.equal(0);
+    });
+
+    /**
+     * Tests ETH entry point revert paths
+     */
+    it("ETH swaps revert invalid_path / zero_input and direct ETH is refused", async function () {
+      const { owner, user1, tokenAAddr, tokenBAddr, wethAddr, simpleSwap } =
+        await deployEthPool();
+      const deadline = await futureDeadline();
+
+      await expect(
+        simpleSwap.swapExactETHForTokens(
+          0,
+          [tokenAAddr, tokenBAddr],
+          user1.address,
+          deadline,
+          { value: 1000 }
+        )
+      ).to.be.revertedWith("invalid_path");
+      await expect(
+        simpleSwap.swapExactETHForTokens(
+          0,
+          [wethAddr, tokenAAddr],
+          user1.address,
+          deadline
+        )
+      ).to.be.revertedWith("zero_input");
+      await expect(
+        simpleSwap.swapExactTokensForETH(
+          1000,
+          0,
+          [wethAddr, tokenAAddr],
+          user1.address,
+          deadline
+        )
+      ).to.be.revertedWith("invalid_path");
+      await expect(
+        owner.sendTransaction({
+          to: await simpleSwap.getAddress(),
+          value: 1000,
+        })
+      ).to.be.revertedWith("not_weth");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Single-sided zap
+  // ---------------------------------------------------------------------------
+  describe("zapIn", function () {
+    // Rounding leftovers tolerated after a zap, in wei
+    const DUST = 10n;
+
+    /**
+     * Tests a one-token deposit:
+     * - Part of the input is swapped, the rest deposited with the output
+     * - Virtually all of the input is used and the router keeps nothing
+     */
+    it("swaps the optimal share and deposits a balanced remainder", async function () {
+      const {
+        user1,
+        tokenA,
+        tokenB,
+        lpToken,
+        simpleSwap,
+        simpleSwapAddr,
+        tokenAAddr,
+        tokenBAddr,
+      } = await deployTokensAndSwap();
+
+      const amtIn = ethers.parseUnits("100", DECIMALS);
+      await tokenA.transfer(user1.address, amtIn);
+      await tokenA.connect(user1).approve(simpleSwapAddr, amtIn);
+
+      const deadline = await futureDeadline();
+      const args = [tokenAAddr, tokenBAddr, amtIn, 1, user1.address, deadline];
+      const [amountSwapped] = await simpleSwap
+        .connect(user1)
+        .zapIn.staticCall(...args);
+      await expect(simpleSwap.connect(user1).zapIn(...args))
+        .to.emit(simpleSwap, "TokensSwapped")
+        .and.to.emit(simpleSwap, "LiquidityAdded");
+
+      // The swap grows reserveA, so less than half of the input is swapped
+      expect(amountSwapped).to.be.gt((amtIn * 45n) / 100n);
+      expect(amountSwapped).to.be.lt(amtIn / 2n);
+
+      expect(await lpToken.balanceOf(user1.address)).to.be.gt(0);
+      // Only rounding dust of either token stays with the caller
+      expect(await tokenA.balanceOf(user1.address)).to.be.lte(DUST);
+      expect(await tokenB.balanceOf(user1.address)).to.be.lte(DUST);
+      expect(await tokenA.balanceOf(simpleSwapAddr)).to.equal(0);
+      expect(await tokenB.balanceOf(simpleSwapAddr)).to.equal(0);
+    });
+
+    /**
+     * Tests the other direction with a non-default pair fee
+     */
+    it("uses the pair's own fee when zapping the other token", async function () {
+      const {
+        user1,
+        tokenB,
+        factory,
+        lpToken,
+        simpleSwap,
+        simpleSwapAddr,
+        tokenAAddr,
+        tokenBAddr,
+      } = await deployTokensAndSwap();
+      await factory.setSwapFee(tokenAAddr, tokenBAddr, 100);
+
+      const amtIn = ethers.parseUnits("250", DECIMALS);
+      await tokenB.transfer(user1.address, amtIn);
+      await tokenB.connect(user1).approve(simpleSwapAddr, amtIn);
+
+      const deadline = await futureDeadline();
+      await simpleSwap
+        .connect(user1)
+        .zapIn(tokenBAddr, tokenAAddr, amtIn, 1, user1.address, deadline);
+
+      expect(await lpToken.balanceOf(user1.address)).to.be.gt(0);
+      expect(await tokenB.balanceOf(user1.address)).to.be.lte(DUST);
+    });
+
+    /**
+     * Tests a zap into reserves large enough for the discriminant of the
+     * swap share to exceed 256 bits:
+     * - The zap succeeds instead of panicking
+     * - The input is still split and deposited almost entirely
+     */
+    it("zaps into reserves whose discriminant exceeds 256 bits", async function () {
+      const {
+        owner,
+        tokenA,
+        tokenB,
+        lpToken,
+        simpleSwap,
+        simpleSwapAddr,
+        tokenAAddr,
+        tokenBAddr,
+      } = await deployTokensAndSwap();
+
+      // Above ~1.7e34 the discriminant overflows; the pair's own k check
+      // caps reserves at ~3.4e34
+      const big = 2n * 10n ** 34n;
+      await tokenA.mint(owner.address, big * 2n);
+      await tokenB.mint(owner.address, big);
+      await tokenA.approve(simpleSwapAddr, big * 2n);
+      await tokenB.approve(simpleSwapAddr, big);
+      const deadline = await futureDeadline();
+      await simpleSwap.addLiquidity(
+        tokenAAddr,
+        tokenBAddr,
+        big,
+        big,
+        0,
+        0,
+        owner.address,
+        deadline
+      );
+
+      const amtIn = big / 10n;
+      const balanceA = await tokenA.balanceOf(owner.address);
+      const lpBefore = await lpToken.balanceOf(owner.address);
+      const args = [tokenAAddr, tokenBAddr, amtIn, 1, owner.address, deadline];
+      const [amountSwapped] = await simpleSwap.zapIn.staticCall(...args);
+      await simpleSwap.zapIn(...args);
+
+      expect(amountSwapped).to.be.gt((amtIn * 45n) / 100n);
+      expect(amountSwapped).to.be.lt(amtIn / 2n);
+      expect(await lpToken.balanceOf(owner.address)).to.be.gt(lpBefore);
+      expect(balanceA - (await tokenA.balanceOf(owner.address))).to.be.gte(
+        amtIn - amtIn / 10n ** 12n
+      );
+      expect(await tokenA.balanceOf(simpleSwapAddr)).to.equal(0);
+      expect(await tokenB.balanceOf(simpleSwapAddr)).to.equal(0);
+    });
+
+    /**
+     * Tests zapIn revert paths
+     */
+    it("reverts expired / identical / zero_input / overflow / bad_resv / zap_too_small / slippage", async function () {
+      const {
+        owner,
+        tokenA,
+        simpleSwap,
+        simpleSwapAddr,
+        tokenAAddr,
+        tokenBAddr,
+      } = await deployTokensAndSwap();
+      const amtIn = ethers.parseUnits("10", DECIMALS);
+      await tokenA.approve(simpleSwapAddr, amtIn);
+      const deadline = await futureDeadline();
+      const zap = (tokenOther, amount, liquidityMin, dl) =>
+        simpleSwap.zapIn(
+          tokenAAddr,
+          tokenOther,
+          amount,
+          liquidityMin,
+          owner.address,
+          dl
+        );
+
+      await expect(
+        zap(tokenBAddr, amtIn, 0, await pastDeadline())
+      ).to.be.revertedWith("expired");
+      await expect(zap(tokenAAddr, amtIn, 0, deadline)).to.be.revertedWith(
+        "identical"
+      );
+      await expect(zap(tokenBAddr, 0, 0, deadline)).to.be.revertedWith(
+        "zero_input"
+      );
+      await expect(zap(tokenBAddr, 2n ** 128n, 0, deadline)).to.be.revertedWith(
+        "overflow"
+      );
+      await expect(zap(owner.address, amtIn, 0, deadline)).to.be.revertedWith(
+        "bad_resv"
+      );
+      // Dust leaves nothing to swap (1 wei) or a zero swap output (3 wei)
+      await expect(zap(tokenBAddr, 1, 0, deadline)).to.be.revertedWith(
+        "zap_too_small"
+      );
+      await expect(zap(tokenBAddr, 3, 0, deadline)).to.be.revertedWith(
+        "zap_too_small"
+      );
+      await expect(
+        zap(tokenBAddr, amtIn, ethers.MaxUint256, deadline)
+      ).to.be.revertedWith("slippage");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // EIP-2612 permit
+  // ---------------------------------------------------------------------------
+  describe("permit", function () {
+    /**
+     * Tests a swap without a prior approve transaction:
+     * - The permit approves exactly amountIn, which the swap consumes
+     */
+    it("swapExactTokensForTokensWithPermit swaps without a prior approve", async function () {
+      const {
+        user1,
+        tokenA,
+        tokenB,
+        tokenAAddr,
+        tokenBAddr,
+        simpleSwap,
+        simpleSwapAddr,
+      } = await deployTokensAndSwap();
+
+      const amtIn = ethers.parseUnits("10", DECIMALS);
+      await tokenA.transfer(user1.address, amtIn);
+      const path = [tokenAAddr, tokenBAddr];
+      const [[, outB]] = await simpleSwap.getAmountsOut(amtIn, path);
+
+      const deadline = await futureDeadline();
+      const { v, r, s } = await signPermit(
+        tokenA,
+        user1,
+        simpleSwapAddr,
+        amtIn,
+        deadline
+      );
+      await simpleSwap
+        .connect(user1)
+        .swapExactTokensForTokensWithPermit(
+          amtIn,
+          outB,
+          path,
+          user1.address,
+          deadline,
+          false,
+          v,
+          r,
+          s
+        );
+
+      expect(await tokenB.balanceOf(user1.address)).to.equal(outB);
+      expect(await tokenA.allowance(user1.address, simpleSwapAddr)).to.equal(0);
+    });
+
+    /**
+     * Tests withdrawing with a signed LP permit:
+     * - approveMax leaves an unlimited allowance for later removals
+     */
+    it("removeLiquidityWithPermit withdraws without a prior LP approve", async function () {
+      const {
+        owner,
+        user1,
+        tokenA,
+        tokenAAddr,
+        tokenBAddr,
+        simpleSwap,
+        simpleSwapAddr,
+        lpToken,
+      } = await deployTokensAndSwap();
+
+      const position = ethers.parseUnits("100", DECIMALS);
+      await lpToken.connect(owner).transfer(user1.address, position);
+      const deadline = await futureDeadline();
+      const { v, r, s } = await signPermit(
+        lpToken,
+        user1,
+        simpleSwapAddr,
+        ethers.MaxUint256,
+        deadline
+      );
+
+      const half = position / 2n;
+      await simpleSwap
+        .connect(user1)
+        .removeLiquidityWithPermit(
+          tokenAAddr,
+          tokenBAddr,
+          half,
+          0,
+          0,
+          user1.address,
+          deadline,
+          true,
+          v,
+          r,
+          s
+        );
+
+      expect(await lpToken.balanceOf(user1.address)).to.equal(half);
+      expect(await tokenA.balanceOf(user1.address)).to.be.gt(0);
+      expect(await lpToken.allowance(user1.address, simpleSwapAddr)).to.equal(
+        ethers.MaxUint256
+      );
+    });
+
+    /**
+     * Tests permit revert paths
+     */
+    it("WithPermit variants reject bad signatures and expired deadlines", async function () {
+      const {
+        owner,
+        user1,
+        tokenAAddr,
+        tokenBAddr,
+        simpleSwap,
+        simpleSwapAddr,
+        lpToken,
+      } = await deployTokensAndSwap();
+
+      // Signed by the owner, submitted by user1
+      const deadline = await futureDeadline();
+      const { v, r, s } = await signPermit(
+        lpToken,
+        owner,
+        simpleSwapAddr,
+        1000,
+        deadline
+      );
+      await expect(
+        simpleSwap
+          .connect(user1)
+          .removeLiquidityWithPermit(
+            tokenAAddr,
+            tokenBAddr,
+            1000,
+            0,
+            0,
+            user1.address,
+            deadline,
+            false,
+            v,
+            r,
+            s
+          )
+      ).to.be.revertedWithCustomError(lpToken, "ERC2612InvalidSigner");
+
+      await expect(
+        simpleSwap.swapExactTokensForTokensWithPermit(
+          1000,
+          0,
+          [tokenAAddr, tokenBAddr],
+          owner.address,
+          await pastDeadline(),
+          false,
+          v,
+          r,
+          s
+        )
+      ).to.be.revertedWith("expired");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // TWAP oracle (consult)
+  // ---------------------------------------------------------------------------
+  describe("TWAP oracle", function () {
+    /**
+     * Helper: Moves the A/B price with a user1 swap mined `delay` seconds
+     * after the latest block, returning the swap's timestamp
+     */
+    async function swapAfter(ctx, delay, amtIn) {
+      const { user1, tokenA, tokenAAddr, tokenBAddr, simpleSwap } = ctx;
+      await tokenA.transfer(user1.address, amtIn);
+      await tokenA.connect(user1).approve(ctx.simpleSwapAddr, amtIn);
+
+      const deadline = await futureDeadline();
+      const swapTime = (await blockTimestamp()) + delay;
+      await time.setNextBlockTimestamp(swapTime);
+      await simpleSwap
+        .connect(user1)
+        .swapExactTokensForTokens(
+          amtIn,
+          0,
+          [tokenAAddr, tokenBAddr],
+          user1.address,
+          deadline
+        );
+      return swapTime;
+    }
+
+    /**
+     * Tests the time-weighted average:
+     * - Weighs each price by how long it was in effect
+     * - Matches getPrice for a window after the last swap
+     * - Barely moves right after a large swap
+     */
+    it("consult averages getPrice over the window", async function () {
+      const ctx = await deployTokensAndSwap();
+      const { tokenAAddr, tokenBAddr, simpleSwap } = ctx;
+      const priceBefore = await simpleSwap.getPrice(tokenAAddr, tokenBAddr);
+
+      const swapTime = await swapAfter(
+        ctx,
+        100n,
+        ethers.parseUnits("100", DECIMALS)
+      );
+      const priceAfter = await simpleSwap.getPrice(tokenAAddr, tokenBAddr);
+      expect(priceAfter).to.be.gt(priceBefore);
+
+      // Right after the swap the 100s average still sits at the old price
+      await time.increaseTo(swapTime + 1n);
+      const early = await simpleSwap.consult(tokenAAddr, tokenBAddr, 100);
+      expect(early).to.equal((priceBefore * 99n + priceAfter) / 100n);
+
+      await time.increaseTo(swapTime + 100n);
+      expect(await simpleSwap.consult(tokenAAddr, tokenBAddr, 200)).to.equal(
+        (priceBefore * 100n + priceAfter * 100n) / 200n
+      );
+      expect(await simpleSwap.consult(tokenAAddr, tokenBAddr, 50)).to.equal(
+        priceAfter
+      );
+    });
+
+    /**
+     * Tests windows that start between two older observations
+     */
+    it("consult interpolates between past observations", async function () {
+      const ctx = await deployTokensAndSwap();
+      const { tokenAAddr, tokenBAddr, simpleSwap } = ctx;
+      const amtIn = ethers.parseUnits("20", DECIMALS);
+
+      const p0 = await simpleSwap.getPrice(tokenAAddr, tokenBAddr);
+      const t1 = await swapAfter(ctx, 60n, amtIn);
+      const p1 = await simpleSwap.getPrice(tokenAAddr, tokenBAddr);
+      const t2 = await swapAfter(ctx, 60n, amtIn);
+      const p2 = await simpleSwap.getPrice(tokenAAddr, tokenBAddr);
+      const t3 = await swapAfter(ctx, 60n, amtIn);
+      const p3 = await simpleSwap.getPrice(tokenAAddr, tokenBAddr);
+
+      const now = t3 + 60n;
+      await time.increaseTo(now);
+      // Window starts 30s before t1: 30s of p0, then p1, p2 and p3 each in
+      // effect until the next swap (or now)
+      const window = now - (t1 - 30n);
+      const expected =
+        (p0 * 30n + p1 * (t2 - t1) + p2 * (t3 - t2) + p3 * (now - t3)) / window;
+      expect(await simpleSwap.consult(tokenAAddr, tokenBAddr, window)).to.equal(
+        expected
+      );
+    });
+
+    /**
+     * Tests that the inverse order averages the inverse price
+     */
+    it("consult follows the argument order like getPrice", async function () {
+      const ctx = await deployTokensAndSwap();
+      const { tokenAAddr, tokenBAddr, simpleSwap } = ctx;
+
+      const swapTime = await swapAfter(
+        ctx,
+        10n,
+        ethers.parseUnits("50", DECIMALS)
+      );
+      await time.increaseTo(swapTime + 10n);
+      expect(await simpleSwap.consult(tokenBAddr, tokenAAddr, 10)).to.equal(
+        await simpleSwap.getPrice(tokenBAddr, tokenAAddr)
+      );
+    });
+
+    /**
+     * Tests consult revert paths
+     */
+    it("consult reverts zero_window / window_too_long / no_pair", async function () {
+      const { tokenAAddr, tokenBAddr, simpleSwap } =
+        await deployTokensAndSwap();
+      const { simpleSwap: emptySwap } = await deploySimpleSwap();
+
+      await expect(
+        simpleSwap.consult(tokenAAddr, tokenBAddr, 0)
+      ).to.be.revertedWith("zero_window");
+      // Only one observation exists, taken at the first deposit
+      await time.increase(100);
+      await expect(
+        simpleSwap.consult(tokenAAddr, tokenBAddr, 1000)
+      ).to.be.revertedWith("window_too_long");
+      await expect(
+        emptySwap.consult(tokenAAddr, tokenBAddr, 10)
+      ).to.be.revertedWith("no_pair");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Canonical pair ordering
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Tests that the pairs getter maps reserves to the caller's direction
+   */
+  it("pairs returns the same pool for both argument orders", async function () {
+    const {
+      owner,
+      tokenA,
+      tokenB,
+      tokenAAddr,
+      tokenBAddr,
+      simpleSwap,
+      simpleSwapAddr,
+    } = await deployTokensAndSwap();
+
+    // Skew the pool so reserveA != reserveB
+    const extraB = ethers.parseUnits("100", DECIMALS);
+    await tokenA.approve(simpleSwapAddr, amountA);
+    await tokenB.approve(simpleSwapAddr, extraB);
+    const deadline = await futureDeadline();
+    await simpleSwap.addLiquidity(
+      tokenBAddr,
+      tokenAAddr,
+      extraB,
+      amountA,
+      0,
+      0,
+      owner.address,
+      deadline
+    );
+
+    const ab = await simpleSwap.pairs(tokenAAddr, tokenBAddr);
+    const ba = await simpleSwap.pairs(tokenBAddr, tokenAAddr);
+    expect(ab.totalSupply).to.equal(ba.totalSupply);
+    expect(ab.reserves.reserveA).to.equal(ba.reserves.reserveB);
+    expect(ab.reserves.reserveB).to.equal(ba.reserves.reserveA);
+    expect(ab.reserves.reserveB).to.equal(amountB + extraB);
+  });
+
+  /**
+   * Tests a B→A swap against a pool seeded as (A, B)
+   */
+  it("swapExactTokensForTokens B→A hits the pool seeded as A/B", async function () {
+    const {
+      tokenA,
+      tokenB,
+      tokenAAddr,
+      tokenBAddr,
+      simpleSwap,
+      simpleSwapAddr,
+      user1,
+    } = await deployTokensAndSwap();
+
+    const amtIn = ethers.parseUnits("100", DECIMALS);
+    await tokenB.transfer(user1.address, amtIn);
+    await tokenB.connect(user1).approve(simpleSwapAddr, amtIn);
+
+    const before = await simpleSwap.pairs(tokenBAddr, tokenAAddr);
+    const expectedOut = await simpleSwap.getAmountOut(
+      amtIn,
+      before.reserves.reserveA,
+      before.reserves.reserveB
+    );
+
+    const deadline = await futureDeadline();
+    await simpleSwap
+      .connect(user1)
+      .swapExactTokensForTokens(
+        amtIn,
+        expectedOut,
+        [tokenBAddr, tokenAAddr],
+        user1.address,
+        deadline
+      );
+
+    expect(await tokenA.balanceOf(user1.address)).to.equal(expectedOut);
+    const after = await simpleSwap.pairs(tokenAAddr, tokenBAddr);
+    expect(after.reserves.reserveB).to.equal(amountB + amtIn);
+    expect(after.reserves.reserveA).to.equal(amountA - expectedOut);
+  });
+
+  /**
+   * Tests removing liquidity with the arguments reversed
+   */
+  it("removeLiquidity accepts the reversed token order", async function () {
+    const { owner, tokenA, tokenB, tokenAAddr, tokenBAddr, simpleSwap } =
+      await deployTokensAndSwap();
+
+    const liquidity = ethers.parseUnits("100", DECIMALS);
+    const balBeforeA = await tokenA.balanceOf(owner.address);
+    const balBeforeB = await tokenB.balanceOf(owner.address);
+
+    const deadline = await futureDeadline();
+    await simpleSwap.removeLiquidity(
+      tokenBAddr,
+      tokenAAddr,
+      liquidity,
+      0,
+      0,
+      owner.address,
+      deadline
+    );
+
+    expect(await tokenA.balanceOf(owner.address)).to.equal(
+      balBeforeA + liquidity
+    );
+    expect(await tokenB.balanceOf(owner.address)).to.equal(
+      balBeforeB + liquidity
+    );
+    const pair = await simpleSwap.pairs(tokenAAddr, tokenBAddr);
+    expect(pair.totalSupply).to.equal(amountA - liquidity);
+  });
+
+  // ---------------------------------------------------------------------------
+  // LP token
+  // ---------------------------------------------------------------------------
+  describe("LP token", function () {
+    /**
+     * Tests that the pair contract is the LP token, with derived metadata
+     */
+    it("the pair is its own LP token with symbols from the underlying tokens", async function () {
+      const { owner, tokenAAddr, tokenBAddr, factory, simpleSwap, lpToken } =
+        await deployTokensAndSwap();
+
+      const lpAddr = await simpleSwap.getLPToken(tokenAAddr, tokenBAddr);
+      expect(lpAddr).to.equal(await lpToken.getAddress());
+      expect(lpAddr).to.equal(await factory.getPair(tokenAAddr, tokenBAddr));
+      expect(await simpleSwap.getLPToken(tokenBAddr, tokenAAddr)).to.equal(
+        lpAddr
+      );
+
+      const [sym0, sym1] =
+        tokenAAddr.toLowerCase() < tokenBAddr.toLowerCase()
+          ? ["TKA", "TKB"]
+          : ["TKB", "TKA"];
+      expect(await lpToken.name()).to.equal(`SimpleSwap ${sym0}/${sym1} LP`);
+      expect(await lpToken.symbol()).to.equal(`${sym0}-${sym1}-LP`);
+      expect(await lpToken.balanceOf(owner.address)).to.equal(
+        amountA - MINIMUM_LIQUIDITY
+      );
+      expect(await lpToken.totalSupply()).to.equal(amountA);
+    });
+
+    /**
+     * Tests that a transferred position can be withdrawn by its new holder
+     */
+    it("LP tokens are transferable and redeemable by the new holder", async function () {
+      const {
+        owner,
+        user1,
+        tokenA,
+        tokenAAddr,
+        tokenBAddr,
+        simpleSwap,
+        simpleSwapAddr,
+        lpToken,
+      } = await deployTokensAndSwap();
+
+      const moved = ethers.parseUnits("100", DECIMALS);
+      await lpToken.transfer(user1.address, moved);
+      expect(await lpToken.balanceOf(user1.address)).to.equal(moved);
+
+      const deadline = await futureDeadline();
+      await expect(
+        simpleSwap.removeLiquidity(
+          tokenAAddr,
+          tokenBAddr,
+          amountA,
+          0,
+          0,
+          owner.address,
+          deadline
+        )
+      ).to.be.revertedWith("insuff_bal");
+
+      await lpToken.connect(user1).approve(simpleSwapAddr, moved);
+      await simpleSwap
+        .connect(user1)
+        .removeLiquidity(
+          tokenAAddr,
+          tokenBAddr,
+          moved,
+          0,
+          0,
+          user1.address,
+          deadline
+        );
+      expect(await lpToken.balanceOf(user1.address)).to.equal(0);
+      expect(await tokenA.balanceOf(user1.address)).to.equal(moved);
+    });
+
+    /**
+     * Tests that the router needs an LP allowance to burn shares
+     */
+    it("removeLiquidity reverts without an LP allowance", async function () {
+      const {
+        owner,
+        tokenAAddr,
+        tokenBAddr,
+        simpleSwap,
+        simpleSwapAddr,
+        lpToken,
+      } = await deployTokensAndSwap();
+
+      await lpToken.approve(simpleSwapAddr, 0);
+      const deadline = await futureDeadline();
+      await expect(
+        simpleSwap.removeLiquidity(
+          tokenAAddr,
+          tokenBAddr,
+          1,
+          0,
+          0,
+          owner.address,
+          deadline
+        )
+      ).to.be.revertedWithCustomError(lpToken, "ERC20InsufficientAllowance");
+    });
+
+    /**
+     * Tests that pairs without a deposit have no LP token
+     */
+    it("getLPToken returns zero before the first deposit", async function () {
+      const { tokenAAddr } = await deployTokensAndSwap();
+      const { simpleSwap: emptySwap } = await deploySimpleSwap();
+      const TokenB = await ethers.getContractFactory("tokenB");
+      const other = await TokenB.deploy();
+      expect(
+        await emptySwap.getLPToken(tokenAAddr, await other.getAddress())
+      ).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // getAmountOut() paths (pure)
+  // ---------------------------------------------------------------------------
+  describe("quote (pure)", function () {
+    /**
+     * Tests proportional quoting and its revert paths
+     */
+    it("quotes proportionally and rejects empty inputs", async function () {
+      const { simpleSwap: lib } = await deploySimpleSwap();
+      expect(await lib.quote(100, 500, 1000)).to.equal(200);
+      await expect(lib.quote(0, 1, 1)).to.be.revertedWith("invalid_amt");
+      await expect(lib.quote(1, 0, 1)).to.be.revertedWith("bad_resv");
+    });
+  });
+
+  describe("getAmountOut (pure) revert paths", function () {
+    /**
+     * Tests zero input rejection
+     */
+    it("zero_input", async function () {
+      const { simpleSwap: lib } = await deploySimpleSwap();
+      await expect(lib.getAmountOut(0, 1, 1)).to.be.revertedWith("zero_input");
+    });
+    
+    /**
+     * Tests zero input reserve rejection
+     */
+    it("bad_resv if reserveIn == 0", async function () {
+      const { simpleSwap: lib } = await deploySimpleSwap();
+      await expect(lib.getAmountOut(1, 0, 1)).to.be.revertedWith("bad_resv");
+    });
+    
+    /**
+     * Tests zero output reserve rejection
+     */
+    it("bad_resv if reserveOut == 0", async function () {
+      const { simpleSwap: lib } = await deploySimpleSwap();
+      await expect(lib.getAmountOut(1, 1, 0)).to.be.revertedWith("bad_resv");
+    });
+    
+    /**
+     * Tests correct calculation with valid inputs
+     */
+    it("calculates correctly with reserves >0", async function () {
+      const { simpleSwap: lib } = await deploySimpleSwap();
+      const out = await lib.getAmountOut(1000, 5000, 5000);
+      expect(out).to.equal(831); // (997*5000)/(5000+997)=4985000/5997=831
+    });
+
+    /**
+     * Tests the explicit-fee variant
+     */
+    it("applies the given fee (feeBps = 0 is the bare formula)", async function () {
+      const { simpleSwap: lib } = await deploySimpleSwap();
+      expect(await lib.getAmountOutWithFee(1000, 5000, 5000, 0)).to.equal(833);
+      expect(await lib.getAmountOutWithFee(1000, 5000, 5000, 100)).to.equal(
+        826
+      );
+    });
+
+    /**
+     * Tests fee bound rejection
+     */
+    it("bad_fee if feeBps >= 10000", async function () {
+      const { simpleSwap: lib } = await deploySimpleSwap();
+      await expect(
+        lib.getAmountOutWithFee(1000, 5000, 5000, 10000)
+      ).to.be.revertedWith("bad_fee");
+    });
+  });
+
+  describe("getAmountIn (pure)", function () {
+    /**
+     * Tests that getAmountIn inverts getAmountOut with rounding up
+     */
+    it("rounds up so the quoted input covers the output", async function () {
+      const { simpleSwap: lib } = await deploySimpleSwap();
+      const amountIn = await lib.getAmountIn(831, 5000, 5000);
+      expect(amountIn).to.equal(1000);
+      expect(await lib.getAmountOut(amountIn, 5000, 5000)).to.be.gte(831);
+      expect(await lib.getAmountInWithFee(833, 5000, 5000, 0)).to.equal(1000);
+    });
+
+    /**
+     * Tests revert paths
+     */
+    it("zero_output / bad_resv / insuff_liq / bad_fee", async function () {
+      const { simpleSwap: lib } = await deploySimpleSwap();
+      await expect(lib.getAmountIn(0, 1, 1)).to.be.revertedWith("zero_output");
+      await expect(lib.getAmountIn(1, 0, 1)).to.be.revertedWith("bad_resv");
+      await expect(lib.getAmountIn(1, 1, 0)).to.be.revertedWith("bad_resv");
+      await expect(lib.getAmountIn(5, 5, 5)).to.be.revertedWith("insuff_liq");
+      await expect(lib.getAmountInWithFee(1, 5, 5, 10000)).to.be.revertedWith(
+        "bad_fee"
+      );
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Swap fee configuration
+  // ---------------------------------------------------------------------------
+  describe("swap fee", function () {
+    /**
+     * Tests the default fee and its reporting in TokensSwapped
+     */
+    it("charges the default fee and reports it in TokensSwapped", async function () {
+      const {
+        user1,
+        tokenA,
+        tokenAAddr,
+        tokenBAddr,
+        simpleSwap,
+        simpleSwapAddr,
+      } = await deployTokensAndSwap();
+
+      const pair = await simpleSwap.pairs(tokenAAddr, tokenBAddr);
+      expect(pair.feeBps).to.equal(30);
+
+      const amtIn = ethers.parseUnits("100", DECIMALS);
+      await tokenA.transfer(user1.address, amtIn);
+      await tokenA.connect(user1).approve(simpleSwapAddr, amtIn);
+      const expectedOut = await simpleSwap.getAmountOutWithFee(
+        amtIn,
+        pair.reserves.reserveA,
+        pair.reserves.reserveB,
+        30
+      );
+
+      const deadline = await futureDeadline();
+      await expect(
+        simpleSwap
+          .connect(user1)
+          .swapExactTokensForTokens(
+            amtIn,
+            0,
+            [tokenAAddr, tokenBAddr],
+            user1.address,
+            deadline
+          )
+      )
+        .to.emit(simpleSwap, "TokensSwapped")
+        .withArgs(
+          tokenAAddr,
+          tokenBAddr,
+          user1.address,
+          amtIn,
+          expectedOut,
+          (amtIn * 30n) / 10000n
+        );
+    });
+
+    /**
+     * Tests that the fee stays in the pool and accrues to LPs
+     */
+    it("fee stays in the reserves so the constant product grows", async function () {
+      const {
+        user1,
+        tokenA,
+        tokenAAddr,
+        tokenBAddr,
+        simpleSwap,
+        simpleSwapAddr,
+      } = await deployTokensAndSwap();
+
+      const amtIn = ethers.parseUnits("100", DECIMALS);
+      await tokenA.transfer(user1.address, amtIn);
+      await tokenA.connect(user1).approve(simpleSwapAddr, amtIn);
+
+      const before = await simpleSwap.pairs(tokenAAddr, tokenBAddr);
+      const deadline = await futureDeadline();
+      await simpleSwap
+        .connect(user1)
+        .swapExactTokensForTokens(
+          amtIn,
+          0,
+          [tokenAAddr, tokenBAddr],
+          user1.address,
+          deadline
+        );
+      const after = await simpleSwap.pairs(tokenAAddr, tokenBAddr);
+
+      expect(after.reserves.reserveA).to.equal(
+        before.reserves.reserveA + amtIn
+      );
+      expect(after.reserves.reserveA * after.reserves.reserveB).to.be.gt(
+        before.reserves.reserveA * before.reserves.reserveB
+      );
+      expect(after.totalSupply).to.equal(before.totalSupply);
+    });
+
+    /**
+     * Tests per-pair fee override by the fee manager
+     */
+    it("setSwapFee overrides the fee for both argument orders", async function () {
+      const { owner, tokenAAddr, tokenBAddr, factory, simpleSwap } =
+        await deployTokensAndSwap();
+
+      expect(
+        await factory.hasRole(await factory.FEE_MANAGER_ROLE(), owner.address)
+      ).to.equal(true);
+      const [token0, token1] = await simpleSwap.sortTokens(
+        tokenBAddr,
+        tokenAAddr
+      );
+      await expect(factory.setSwapFee(tokenBAddr, tokenAAddr, 0))
+        .to.emit(factory, "SwapFeeUpdated")
+        .withArgs(token0, token1, 0);
+
+      const pair = await simpleSwap.pairs(tokenAAddr, tokenBAddr);
+      expect(pair.feeBps).to.equal(0);
+    });
+
+    /**
+     * Tests fee manager restrictions
+     */
+    it("setSwapFee reverts unauthorized / fee_too_high / no_pair", async function () {
+      const { user1, tokenAAddr, tokenBAddr, factory, lpToken } =
+        await deployTokensAndSwap();
+
+      await expect(
+        factory.connect(user1).setSwapFee(tokenAAddr, tokenBAddr, 10)
+      )
+        .to.be.revertedWithCustomError(
+          factory,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(user1.address, await factory.FEE_MANAGER_ROLE());
+      await expect(
+        factory.setSwapFee(tokenAAddr, tokenBAddr, 1001)
+      ).to.be.revertedWith("fee_too_high");
+      await expect(
+        factory.setSwapFee(tokenAAddr, user1.address, 10)
+      ).to.be.revertedWith("no_pair");
+
+      // The pair only accepts fee changes from its factory
+      await expect(lpToken.setSwapFee(10)).to.be.revertedWith("forbidden");
+    });
+
+    /**
+     * Tests fee manager hand-over:
+     * - Only the admin can grant the role
+     * - The new manager holds it before the old one renounces it
+     */
+    it("the admin hands FEE_MANAGER_ROLE over with grantRole", async function () {
+      const { owner, user1, tokenAAddr, tokenBAddr, factory } =
+        await deployTokensAndSwap();
+      const FEE_MANAGER_ROLE = await factory.FEE_MANAGER_ROLE();
+
+      await expect(
+        factory.connect(user1).grantRole(FEE_MANAGER_ROLE, user1.address)
+      )
+        .to.be.revertedWithCustomError(
+          factory,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(user1.address, await factory.DEFAULT_ADMIN_ROLE());
+      await expect(factory.grantRole(FEE_MANAGER_ROLE, user1.address))
+        .to.emit(factory, "RoleGranted")
+        .withArgs(FEE_MANAGER_ROLE, user1.address, owner.address);
+      await factory.renounceRole(FEE_MANAGER_ROLE, owner.address);
+
+      await expect(
+        factory.setSwapFee(tokenAAddr, tokenBAddr, 10)
+      ).to.be.revertedWithCustomError(
+        factory,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(
+        factory.connect(user1).setSwapFee(tokenAAddr, tokenBAddr, 10)
+      ).to.emit(factory, "SwapFeeUpdated");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Emergency pause
+  // ---------------------------------------------------------------------------
+  describe("pause", function () {
+    /** Helper: Gives user1 some tokenA approved to the router */
+    async function fundUser1(ctx) {
+      const amtIn = ethers.parseUnits("10", DECIMALS);
+      await ctx.tokenA.transfer(ctx.user1.address, amtIn);
+      await ctx.tokenA.connect(ctx.user1).approve(ctx.simpleSwapAddr, amtIn);
+      return amtIn;
+    }
+
+    /**
+     * Tests pausing a single pair:
+     * - addLiquidity and swaps revert with paused
+     * - removeLiquidity still lets LPs exit
+     * - Unpausing restores trading
+     */
+    it("setPairPaused blocks deposits and swaps but not withdrawals", async function () {
+      const ctx = await deployTokensAndSwap();
+      const {
+        owner,
+        user1,
+        tokenA,
+        tokenB,
+        factory,
+        lpToken,
+        simpleSwap,
+        tokenAAddr,
+        tokenBAddr,
+        simpleSwapAddr,
+      } = ctx;
+      const amtIn = await fundUser1(ctx);
+      await tokenA.approve(simpleSwapAddr, amtIn);
+      await tokenB.approve(simpleSwapAddr, amtIn);
+      const lpAddr = await lpToken.getAddress();
+      const path = [tokenAAddr, tokenBAddr];
+      const deadline = await futureDeadline();
+
+      await expect(factory.setPairPaused(tokenBAddr, tokenAAddr, true))
+        .to.emit(factory, "Paused")
+        .withArgs(lpAddr);
+      expect(await lpToken.paused()).to.equal(true);
+
+      await expect(
+        simpleSwap
+          .connect(user1)
+          .swapExactTokensForTokens(amtIn, 0, path, user1.address, deadline)
+      ).to.be.revertedWith("paused");
+      await expect(
+        simpleSwap.addLiquidity(
+          tokenAAddr,
+          tokenBAddr,
+          amtIn,
+          amtIn,
+          0,
+          0,
+          owner.address,
+          deadline
+        )
+      ).to.be.revertedWith("paused");
+
+      const liquidity = ethers.parseUnits("100", DECIMALS);
+      await expect(
+        simpleSwap.removeLiquidity(
+          tokenAAddr,
+          tokenBAddr,
+          liquidity,
+          0,
+          0,
+          owner.address,
+          deadline
+        )
+      ).to.emit(simpleSwap, "LiquidityRemoved");
+
+      await expect(factory.setPairPaused(tokenAAddr, tokenBAddr, false))
+        .to.emit(factory, "Unpaused")
+        .withArgs(lpAddr);
+      await expect(
+        simpleSwap
+          .connect(user1)
+          .swapExactTokensForTokens(amtIn, 0, path, user1.address, deadline)
+      ).to.emit(simpleSwap, "TokensSwapped");
+    });
+
+    /**
+     * Tests the global pause:
+     * - Every pair rejects swaps and deposits, including new pairs
+     */
+    it("setPaused halts every pair until lifted", async function () {
+      const ctx = await deployTokensAndSwap();
+      const { user1, factory, simpleSwap, tokenAAddr, tokenBAddr } = ctx;
+      const amtIn = await fundUser1(ctx);
+      const path = [tokenAAddr, tokenBAddr];
+      const deadline = await futureDeadline();
+
+      await expect(factory.setPaused(true))
+        .to.emit(factory, "Paused")
+        .withArgs(ethers.ZeroAddress);
+      await expect(
+        simpleSwap
+          .connect(user1)
+          .swapExactTokensForTokens(amtIn, 0, path, user1.address, deadline)
+      ).to.be.revertedWith("paused");
+      await expect(
+        simpleSwap
+          .connect(user1)
+          .addLiquidityETH(tokenAAddr, amtIn, 0, 0, user1.address, deadline, {
+            value: amtIn,
+          })
+      ).to.be.revertedWith("paused");
+
+      await expect(factory.setPaused(false))
+        .to.emit(factory, "Unpaused")
+        .withArgs(ethers.ZeroAddress);
+      await expect(
+        simpleSwap
+          .connect(user1)
+          .swapExactTokensForTokens(amtIn, 0, path, user1.address, deadline)
+      ).to.emit(simpleSwap, "TokensSwapped");
+    });
+
+    /**
+     * Tests guardian restrictions and hand-over
+     */
+    it("pause functions need GUARDIAN_ROLE, which the admin can hand over", async function () {
+      const { owner, user1, factory, lpToken, tokenAAddr, tokenBAddr } =
+        await deployTokensAndSwap();
+      const GUARDIAN_ROLE = await factory.GUARDIAN_ROLE();
+
+      expect(await factory.hasRole(GUARDIAN_ROLE, owner.address)).to.equal(
+        true
+      );
+      await expect(factory.connect(user1).setPaused(true))
+        .to.be.revertedWithCustomError(
+          factory,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(user1.address, GUARDIAN_ROLE);
+      await expect(
+        factory.connect(user1).setPairPaused(tokenAAddr, tokenBAddr, true)
+      ).to.be.revertedWithCustomError(
+        factory,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(
+        factory.setPairPaused(tokenAAddr, user1.address, true)
+      ).to.be.revertedWith("no_pair");
+      // The pair only accepts pauses from its factory
+      await expect(lpToken.setPaused(true)).to.be.revertedWith("forbidden");
+
+      await expect(factory.grantRole(GUARDIAN_ROLE, user1.address))
+        .to.emit(factory, "RoleGranted")
+        .withArgs(GUARDIAN_ROLE, user1.address, owner.address);
+      await factory.renounceRole(GUARDIAN_ROLE, owner.address);
+      await expect(factory.setPaused(true)).to.be.revertedWithCustomError(
+        factory,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(factory.connect(user1).setPaused(true)).to.emit(
+        factory,
+        "Paused"
+      );
     });
   });
 });
@@ -0,0 +1,524 @@
+// test/SimpleSwapFactory.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+/*
+ * Tests for SimpleSwapFactory and SimpleSwapPair:
+ * - Pair creation, CREATE2 addresses and enumeration
+ * - Direct (router-less) mint / burn / swap on a pair
+ * - Price accumulators and flash swaps
+ * - Protocol fee switch
+ */
+describe("SimpleSwapFactory", function () {
+  const DECIMALS = 18;
+  const seedAmount = ethers.parseUnits("1000", DECIMALS);
+  const MINIMUM_LIQUIDITY = 1000n;
+
+  /**
+   * Deployment helper:
+   * - Deploys tokenA, tokenB, a third token and the factory
+   */
+  async function deployFactory() {
+    const [owner, user1] = await ethers.getSigners();
+
+    const TokenA = await ethers.getContractFactory("tokenA");
+    const tokenA = await TokenA.deploy();
+    const TokenB = await ethers.getContractFactory("tokenB");
+    const tokenB = await TokenB.deploy();
+    const tokenC = await TokenB.deploy();
+
+    const Factory = await ethers.getContractFactory("SimpleSwapFactory");
+    const factory = await Factory.deploy();
+    await factory.waitForDeployment();
+
+    return {
+      owner,
+      user1,
+      tokenA,
+      tokenB,
+      tokenC,
+      factory,
+      tokenAAddr: await tokenA.getAddress(),
+      tokenBAddr: await tokenB.getAddress(),
+      tokenCAddr: await tokenC.getAddress(),
+    };
+  }
+
+  /** Helper: Integer square root (Newton's method) for bigint */
+  function sqrt(value) {
+    if (value < 2n) return value;
+    let x = value;
+    let y = (x + 1n) / 2n;
+    while (y < x) {
+      x = y;
+      y = (x + value / x) / 2n;
+    }
+    return x;
+  }
+
+  /**
+   * Helper: Creates the A/B pair and seeds it directly through mint
+   * - Reuses an existing deployFactory() context when given one
+   */
+  async function deploySeededPair(ctx) {
+    ctx = ctx ?? (await deployFactory());
+    const { owner, tokenA, tokenB, factory, tokenAAddr, tokenBAddr } = ctx;
+
+    await factory.createPair(tokenAAddr, tokenBAddr);
+    const pairAddr = await factory.getPair(tokenAAddr, tokenBAddr);
+    const pair = await ethers.getContractAt("SimpleSwapPair", pairAddr);
+
+    await tokenA.transfer(pairAddr, seedAmount);
+    await tokenB.transfer(pairAddr, seedAmount);
+    await pair.mint(owner.address);
+
+    return { ...ctx, pair, pairAddr };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Pair creation and enumeration
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Tests pair creation:
+   * - PairCreated event with sorted tokens
+   * - getPair resolves both orders
+   * - allPairs / allPairsLength enumeration
+   */
+  it("createPair registers the pair for both orders and enumerates it", async function () {
+    const { factory, tokenAAddr, tokenBAddr, tokenCAddr } =
+      await deployFactory();
+
+    expect(await factory.allPairsLength()).to.equal(0);
+
+    const [token0, token1] =
+      tokenAAddr.toLowerCase() < tokenBAddr.toLowerCase()
+        ? [tokenAAddr, tokenBAddr]
+        : [tokenBAddr, tokenAAddr];
+    await expect(factory.createPair(tokenBAddr, tokenAAddr))
+      .to.emit(factory, "PairCreated")
+      .withArgs(token0, token1, ethers.isAddress, 1);
+
+    const pairAddr = await factory.getPair(tokenAAddr, tokenBAddr);
+    expect(await factory.getPair(tokenBAddr, tokenAAddr)).to.equal(pairAddr);
+    expect(await factory.allPairs(0)).to.equal(pairAddr);
+
+    const pair = await ethers.getContractAt("SimpleSwapPair", pairAddr);
+    expect(await pair.factory()).to.equal(await factory.getAddress());
+    expect(await pair.token0()).to.equal(token0);
+    expect(await pair.token1()).to.equal(token1);
+    expect(await pair.swapFeeBps()).to.equal(
+      await factory.DEFAULT_SWAP_FEE_BPS()
+    );
+
+    await factory.createPair(tokenAAddr, tokenCAddr);
+    expect(await factory.allPairsLength()).to.equal(2);
+  });
+
+  /**
+   * Tests that pair addresses are deterministic (CREATE2)
+   */
+  it("pair address matches the CREATE2 derivation", async function () {
+    const { factory, tokenAAddr, tokenBAddr } = await deployFactory();
+
+    await factory.createPair(tokenAAddr, tokenBAddr);
+    const [token0, token1] =
+      tokenAAddr.toLowerCase() < tokenBAddr.toLowerCase()
+        ? [tokenAAddr, tokenBAddr]
+        : [tokenBAddr, tokenAAddr];
+    const salt = ethers.solidityPackedKeccak256(
+      ["address", "address"],
+      [token0, token1]
+    );
+    const Pair = await ethers.getContractFactory("SimpleSwapPair");
+    const initCodeHash = ethers.keccak256(Pair.bytecode);
+
+    expect(await factory.PAIR_INIT_CODE_HASH()).to.equal(initCodeHash);
+    expect(await factory.getPair(tokenAAddr, tokenBAddr)).to.equal(
+      ethers.getCreate2Address(await factory.getAddress(), salt, initCodeHash)
+    );
+  });
+
+  /**
+   * Tests createPair revert paths
+   */
+  it("createPair reverts identical / zero_addr / pair_exists", async function () {
+    const { factory, tokenAAddr, tokenBAddr } = await deployFactory();
+
+    await expect(factory.createPair(tokenAAddr, tokenAAddr)).to.be.revertedWith(
+      "identical"
+    );
+    await expect(
+      factory.createPair(tokenAAddr, ethers.ZeroAddress)
+    ).to.be.revertedWith("zero_addr");
+
+    await factory.createPair(tokenAAddr, tokenBAddr);
+    await expect(factory.createPair(tokenBAddr, tokenAAddr)).to.be.revertedWith(
+      "pair_exists"
+    );
+  });
+
+  /**
+   * Tests that only the factory can initialize a pair
+   */
+  it("pair.initialize reverts forbidden for other callers", async function () {
+    const { factory, tokenAAddr, tokenBAddr } = await deployFactory();
+
+    await factory.createPair(tokenAAddr, tokenBAddr);
+    const pair = await ethers.getContractAt(
+      "SimpleSwapPair",
+      await factory.getPair(tokenAAddr, tokenBAddr)
+    );
+    await expect(pair.initialize(tokenAAddr, tokenBAddr, 0)).to.be.revertedWith(
+      "forbidden"
+    );
+  });
+
+  // ---------------------------------------------------------------------------
+  // Direct pair operations
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Tests minting from tokens sent to the pair
+   */
+  it("mint credits the tokens sent to the pair", async function () {
+    const { owner, pair } = await deploySeededPair();
+
+    const [reserve0, reserve1] = await pair.getReserves();
+    expect(reserve0).to.equal(seedAmount);
+    expect(reserve1).to.equal(seedAmount);
+    // sqrt(seed * seed) minted, with the minimum locked at the dead address
+    expect(await pair.totalSupply()).to.equal(seedAmount);
+    expect(await pair.balanceOf(owner.address)).to.equal(
+      seedAmount - MINIMUM_LIQUIDITY
+    );
+    expect(await pair.balanceOf(await pair.DEAD_ADDRESS())).to.equal(
+      MINIMUM_LIQUIDITY
+    );
+
+    // Nothing new was sent
+    await expect(pair.mint(owner.address)).to.be.revertedWith(
+      "insuff_liq_minted"
+    );
+  });
+
+  /**
+   * Tests burning LP tokens sent back to the pair
+   */
+  it("burn pays out the share of LP tokens sent to the pair", async function () {
+    const { owner, user1, tokenA, pair, pairAddr } = await deploySeededPair();
+
+    const share = seedAmount / 4n;
+    await pair.transfer(pairAddr, share);
+    await pair.burn(user1.address);
+
+    expect(await tokenA.balanceOf(user1.address)).to.equal(share);
+    expect(await pair.totalSupply()).to.equal(seedAmount - share);
+    expect(await pair.balanceOf(owner.address)).to.equal(
+      seedAmount - MINIMUM_LIQUIDITY - share
+    );
+  });
+
+  /**
+   * Tests that swaps must respect the fee-adjusted constant product
+   */
+  it("swap enforces the fee-adjusted constant product", async function () {
+    const { user1, tokenA, tokenB, pair, pairAddr, tokenAAddr } =
+      await deploySeededPair();
+
+    const amountIn = ethers.parseUnits("10", DECIMALS);
+    const zeroForOne = (await pair.token0()) === tokenAAddr;
+    const out = (o) => (zeroForOne ? [0n, o] : [o, 0n]);
+
+    await expect(pair.swap(0, 0, user1.address, "0x")).to.be.revertedWith(
+      "insuff_output"
+    );
+    await expect(pair.swap(...out(1n), user1.address, "0x")).to.be.revertedWith(
+      "insuff_input"
+    );
+
+    // Fee-free output breaks k once the 0.30% fee is charged
+    await tokenA.transfer(pairAddr, amountIn);
+    const noFeeOut = (amountIn * seedAmount) / (seedAmount + amountIn);
+    await expect(
+      pair.swap(...out(noFeeOut), user1.address, "0x")
+    ).to.be.revertedWith("k");
+
+    const feeOut =
+      (amountIn * 9970n * seedAmount) /
+      (seedAmount * 10000n + amountIn * 9970n);
+    await pair.swap(...out(feeOut), user1.address, "0x");
+    expect(await tokenB.balanceOf(user1.address)).to.equal(feeOut);
+  });
+
+  /**
+   * Tests the price accumulators:
+   * - Each update adds the previous prices times the seconds elapsed
+   * - One observation is recorded per block with an update
+   */
+  it("updates accumulate prices and record observations", async function () {
+    const { user1, tokenA, pair, pairAddr, tokenAAddr } =
+      await deploySeededPair();
+
+    const mintTime = await pair.blockTimestampLast();
+    expect(await pair.observationCount()).to.equal(1);
+    expect(await pair.price0CumulativeLast()).to.equal(0);
+
+    const amountIn = ethers.parseUnits("10", DECIMALS);
+    await tokenA.transfer(pairAddr, amountIn);
+    const zeroForOne = (await pair.token0()) === tokenAAddr;
+    const swapTime = mintTime + 100n;
+    await time.setNextBlockTimestamp(swapTime);
+    await pair.swap(...(zeroForOne ? [0n, 1n] : [1n, 0n]), user1.address, "0x");
+
+    // Seeded 1:1, so both prices were 1e18 for the 100 seconds
+    const cumulative = ethers.parseUnits("100", DECIMALS);
+    expect(await pair.price0CumulativeLast()).to.equal(cumulative);
+    expect(await pair.price1CumulativeLast()).to.equal(cumulative);
+    expect(await pair.blockTimestampLast()).to.equal(swapTime);
+    expect(await pair.observationCount()).to.equal(2);
+    expect(await pair.observationIndex()).to.equal(1);
+
+    const observation = await pair.observations(1);
+    expect(observation.timestamp).to.equal(swapTime);
+    expect(observation.price0Cumulative).to.equal(cumulative);
+
+    const [reserve0, reserve1] = await pair.getReserves();
+    await time.increaseTo(swapTime + 10n);
+    const [price0Cumulative] = await pair.currentCumulativePrices();
+    expect(price0Cumulative).to.equal(
+      cumulative + ((reserve1 * 10n ** 18n) / reserve0) * 10n
+    );
+  });
+
+  /**
+   * Tests recovering tokens sent to the pair without a mint or swap
+   */
+  it("skim sends the balance above the reserves to the recipient", async function () {
+    const { user1, tokenA, tokenB, pair, pairAddr } = await deploySeededPair();
+
+    const extra = ethers.parseUnits("5", DECIMALS);
+    await tokenA.transfer(pairAddr, extra);
+    await pair.skim(user1.address);
+
+    expect(await tokenA.balanceOf(user1.address)).to.equal(extra);
+    expect(await tokenB.balanceOf(user1.address)).to.equal(0);
+    expect(await tokenA.balanceOf(pairAddr)).to.equal(seedAmount);
+  });
+
+  /**
+   * Tests forcing the reserves to the balances:
+   * - Sync is emitted with the new reserves
+   * - Every reserve write (mint included) emits Sync
+   */
+  it("sync sets the reserves to the balances and emits Sync", async function () {
+    const { owner, tokenA, tokenB, pair, pairAddr, tokenAAddr } =
+      await deploySeededPair();
+
+    const extra = ethers.parseUnits("5", DECIMALS);
+    await tokenA.transfer(pairAddr, extra);
+    // Reserves in token0/token1 order once the extra tokenA is synced
+    const expected =
+      (await pair.token0()) === tokenAAddr
+        ? [seedAmount + extra, seedAmount]
+        : [seedAmount, seedAmount + extra];
+    await expect(pair.sync())
+      .to.emit(pair, "Sync")
+      .withArgs(...expected);
+    expect(await pair.getReserves()).to.deep.equal(expected);
+
+    await tokenA.transfer(pairAddr, extra);
+    await tokenB.transfer(pairAddr, extra);
+    await expect(pair.mint(owner.address)).to.emit(pair, "Sync");
+  });
+
+  // ---------------------------------------------------------------------------
+  // Flash swaps
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Deployment helper:
+   * - Seeded A/B pair plus a FlashBorrower holding some tokenA for fees
+   */
+  async function deployFlashBorrower() {
+    const ctx = await deploySeededPair();
+    const Borrower = await ethers.getContractFactory("FlashBorrower");
+    const borrower = await Borrower.deploy();
+    await ctx.tokenA.transfer(
+      await borrower.getAddress(),
+      ethers.parseUnits("10", DECIMALS)
+    );
+    const zeroForOne = (await ctx.pair.token0()) === ctx.tokenAAddr;
+    // Output amounts that borrow tokenA
+    const borrowA = (amount) => (zeroForOne ? [amount, 0n] : [0n, amount]);
+    return { ...ctx, borrower, borrowA };
+  }
+
+  /**
+   * Tests a flash loan repaid with the fee:
+   * - The callback runs with the swap caller and the borrowed amounts
+   * - The repaid fee stays in the reserves
+   */
+  it("flash swap lends the output and accepts repayment plus fee", async function () {
+    const { tokenA, tokenAAddr, pair, pairAddr, borrower, borrowA } =
+      await deployFlashBorrower();
+    const borrowerAddr = await borrower.getAddress();
+
+    const loan = ethers.parseUnits("100", DECIMALS);
+    // Same-token repayment must cover loan / (1 - 0.30%)
+    const repay = (loan * 10000n) / 9970n + 1n;
+    const [amount0Out, amount1Out] = borrowA(loan);
+
+    await expect(
+      borrower.flash(pairAddr, amount0Out, amount1Out, tokenAAddr, repay)
+    )
+      .to.emit(borrower, "FlashCallback")
+      .withArgs(pairAddr, borrowerAddr, amount0Out, amount1Out)
+      .and.to.emit(pair, "Swap");
+
+    expect(await tokenA.balanceOf(pairAddr)).to.equal(
+      seedAmount - loan + repay
+    );
+  });
+
+  /**
+   * Tests that repayments short of the fee revert
+   */
+  it("flash swap reverts k / insuff_input without enough repayment", async function () {
+    const { tokenAAddr, pairAddr, borrower, borrowA } =
+      await deployFlashBorrower();
+
+    const loan = ethers.parseUnits("100", DECIMALS);
+    await expect(
+      borrower.flash(pairAddr, ...borrowA(loan), tokenAAddr, loan)
+    ).to.be.revertedWith("k");
+    await expect(
+      borrower.flash(pairAddr, ...borrowA(loan), tokenAAddr, 0)
+    ).to.be.revertedWith("insuff_input");
+  });
+
+  // ---------------------------------------------------------------------------
+  // Protocol fee
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Tests the protocol fee settings:
+   * - Only the fee manager can change them
+   * - Every change emits the previous and new value
+   */
+  it("setFeeTo / setProtocolFeeShare are restricted and emit events", async function () {
+    const { user1, factory } = await deployFactory();
+
+    expect(await factory.feeTo()).to.equal(ethers.ZeroAddress);
+    expect(await factory.protocolFeeShareBps()).to.equal(0);
+
+    const FEE_MANAGER_ROLE = await factory.FEE_MANAGER_ROLE();
+    await expect(factory.connect(user1).setFeeTo(user1.address))
+      .to.be.revertedWithCustomError(
+        factory,
+        "AccessControlUnauthorizedAccount"
+      )
+      .withArgs(user1.address, FEE_MANAGER_ROLE);
+    await expect(factory.connect(user1).setProtocolFeeShare(1000))
+      .to.be.revertedWithCustomError(
+        factory,
+        "AccessControlUnauthorizedAccount"
+      )
+      .withArgs(user1.address, FEE_MANAGER_ROLE);
+    await expect(factory.setProtocolFeeShare(5001)).to.be.revertedWith(
+      "fee_too_high"
+    );
+
+    await expect(factory.setFeeTo(user1.address))
+      .to.emit(factory, "FeeToUpdated")
+      .withArgs(ethers.ZeroAddress, user1.address);
+    await expect(factory.setProtocolFeeShare(2500))
+      .to.emit(factory, "ProtocolFeeShareUpdated")
+      .withArgs(0, 2500);
+    await expect(factory.setFeeTo(ethers.ZeroAddress))
+      .to.emit(factory, "FeeToUpdated")
+      .withArgs(user1.address, ethers.ZeroAddress);
+  });
+
+  /** Helper: Swaps 100 tokenA for tokenB directly on the pair */
+  async function swapAForB({ user1, tokenA, pair, pairAddr, tokenAAddr }) {
+    const amountIn = ethers.parseUnits("100", DECIMALS);
+    const [reserve0, reserve1] = await pair.getReserves();
+    const zeroForOne = (await pair.token0()) === tokenAAddr;
+    const [reserveIn, reserveOut] = zeroForOne
+      ? [reserve0, reserve1]
+      : [reserve1, reserve0];
+    const amountOut =
+      (amountIn * 9970n * reserveOut) / (reserveIn * 10000n + amountIn * 9970n);
+    await tokenA.transfer(pairAddr, amountIn);
+    await pair.swap(
+      ...(zeroForOne ? [0n, amountOut] : [amountOut, 0n]),
+      user1.address,
+      "0x"
+    );
+  }
+
+  /**
+   * Tests the protocol fee accrual:
+   * - Nothing is minted on the swap itself
+   * - The next liquidity event mints the protocol's share of the sqrt(k)
+   *   growth to feeTo and records the new kLast
+   */
+  it("protocol fee mints its share of LP fees on the next liquidity event", async function () {
+    const ctx = await deployFactory();
+    const { owner, user1, tokenA, tokenB, factory } = ctx;
+
+    await factory.setFeeTo(user1.address);
+    await factory.setProtocolFeeShare(5000);
+    const { pair, pairAddr } = await deploySeededPair(ctx);
+    expect(await pair.kLast()).to.equal(seedAmount * seedAmount);
+    expect(await pair.balanceOf(user1.address)).to.equal(0);
+
+    await swapAForB({ ...ctx, pair, pairAddr });
+    expect(await pair.balanceOf(user1.address)).to.equal(0);
+
+    // Half of the growth of sqrt(k) since the seed belongs to the protocol
+    const [reserve0, reserve1] = await pair.getReserves();
+    const rootK = sqrt(reserve0 * reserve1);
+    const rootKLast = seedAmount;
+    const expectedFee =
+      (seedAmount * (rootK - rootKLast) * 5000n) /
+      (rootK * 5000n + rootKLast * 5000n);
+    expect(expectedFee).to.be.gt(0);
+
+    // A proportional deposit triggers the fee mint
+    const deposit = ethers.parseUnits("10", DECIMALS);
+    await tokenA.transfer(pairAddr, deposit);
+    await tokenB.transfer(pairAddr, deposit);
+    await expect(pair.mint(owner.address))
+      .to.emit(pair, "Transfer")
+      .withArgs(ethers.ZeroAddress, user1.address, expectedFee);
+
+    expect(await pair.balanceOf(user1.address)).to.equal(expectedFee);
+    const [newReserve0, newReserve1] = await pair.getReserves();
+    expect(await pair.kLast()).to.equal(newReserve0 * newReserve1);
+  });
+
+  /**
+   * Tests turning the protocol fee off:
+   * - The next liquidity event mints nothing and clears kLast
+   */
+  it("protocol fee off mints nothing and clears kLast", async function () {
+    const ctx = await deployFactory();
+    const { owner, user1, factory } = ctx;
+
+    await factory.setFeeTo(user1.address);
+    await factory.setProtocolFeeShare(5000);
+    const { pair, pairAddr } = await deploySeededPair(ctx);
+    expect(await pair.kLast()).to.be.gt(0);
+
+    await factory.setFeeTo(ethers.ZeroAddress);
+    await swapAForB({ ...ctx, pair, pairAddr });
+
+    await pair.transfer(pairAddr, seedAmount / 4n);
+    await pair.burn(owner.address);
+    expect(await pair.balanceOf(user1.address)).to.equal(0);
+    expect(await pair.kLast()).to.equal(0);
+  });
+});
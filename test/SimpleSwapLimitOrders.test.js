@@ -0,0 +1,283 @@
+// test/SimpleSwapLimitOrders.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+/*
+ * Tests for SimpleSwapLimitOrders:
+ * - Placing orders and escrowing tokenIn plus the keeper reward
+ * - Keeper fills once the pool price reaches the limit
+ * - Cancellation, expiry and input validation
+ */
+describe("SimpleSwapLimitOrders", function () {
+  const DECIMALS = 18;
+  const oneHour = 3600n;
+  const seedAmount = ethers.parseUnits("1000", DECIMALS);
+  const amountIn = ethers.parseUnits("10", DECIMALS);
+  const keeperReward = ethers.parseUnits("0.1", DECIMALS);
+
+  /** Helper: Creates a future deadline (now + 1h) */
+  async function futureDeadline() {
+    const blk = await ethers.provider.getBlock("latest");
+    return BigInt(blk.timestamp) + oneHour;
+  }
+
+  /**
+   * Deployment helper:
+   * - Deploys tokenA, tokenB, the factory, WETH9 and the router
+   * - Seeds a 1000/1000 A/B pool
+   * - Deploys the order book and gives user1 tokenA approved to it
+   */
+  async function deployLimitOrders() {
+    const [owner, user1, keeper] = await ethers.getSigners();
+
+    const tokenA = await (await ethers.getContractFactory("tokenA")).deploy();
+    const tokenB = await (await ethers.getContractFactory("tokenB")).deploy();
+    const factory = await (
+      await ethers.getContractFactory("SimpleSwapFactory")
+    ).deploy();
+    const weth = await (await ethers.getContractFactory("WETH9")).deploy();
+    const simpleSwap = await (
+      await ethers.getContractFactory("SimpleSwap")
+    ).deploy(await factory.getAddress(), await weth.getAddress());
+
+    const tokenAAddr = await tokenA.getAddress();
+    const tokenBAddr = await tokenB.getAddress();
+    const simpleSwapAddr = await simpleSwap.getAddress();
+
+    await tokenA.approve(simpleSwapAddr, ethers.MaxUint256);
+    await tokenB.approve(simpleSwapAddr, ethers.MaxUint256);
+    await simpleSwap.addLiquidity(
+      tokenAAddr,
+      tokenBAddr,
+      seedAmount,
+      seedAmount,
+      0,
+      0,
+      owner.address,
+      await futureDeadline()
+    );
+
+    const Orders = await ethers.getContractFactory("SimpleSwapLimitOrders");
+    const orders = await Orders.deploy(simpleSwapAddr);
+    await orders.waitForDeployment();
+    const ordersAddr = await orders.getAddress();
+
+    await tokenA.transfer(user1.address, amountIn * 2n);
+    await tokenA.connect(user1).approve(ordersAddr, ethers.MaxUint256);
+
+    return {
+      owner,
+      user1,
+      keeper,
+      tokenA,
+      tokenB,
+      simpleSwap,
+      orders,
+      tokenAAddr,
+      tokenBAddr,
+      ordersAddr,
+      path: [tokenAAddr, tokenBAddr],
+    };
+  }
+
+  /**
+   * Helper: user1 places "sell 10 A for at least minOut B"; the limit is
+   * above the current pool output so the order starts unfillable
+   */
+  async function placeAboveMarket(ctx, deadline) {
+    const { user1, simpleSwap, orders, tokenAAddr, tokenBAddr, path } = ctx;
+    const [[, marketOut]] = await simpleSwap.getAmountsOut(amountIn, path);
+    const minOut = (marketOut * 105n) / 100n;
+    await orders
+      .connect(user1)
+      .placeOrder(
+        tokenAAddr,
+        tokenBAddr,
+        amountIn,
+        minOut,
+        keeperReward,
+        deadline ?? (await futureDeadline())
+      );
+    return { orderId: 0n, minOut };
+  }
+
+  /** Helper: Owner buys tokenA with tokenB, raising tokenA's price */
+  async function pushPriceUp({ owner, simpleSwap, tokenAAddr, tokenBAddr }) {
+    await simpleSwap.swapExactTokensForTokens(
+      ethers.parseUnits("100", DECIMALS),
+      0,
+      [tokenBAddr, tokenAAddr],
+      owner.address,
+      await futureDeadline()
+    );
+  }
+
+  /**
+   * Tests placing an order:
+   * - amountIn + keeperReward are escrowed
+   * - OrderPlaced carries the order terms
+   */
+  it("placeOrder escrows the tokens and records the order", async function () {
+    const ctx = await deployLimitOrders();
+    const { user1, tokenA, orders, tokenAAddr, tokenBAddr, ordersAddr } = ctx;
+
+    const deadline = await futureDeadline();
+    await expect(
+      orders
+        .connect(user1)
+        .placeOrder(
+          tokenAAddr,
+          tokenBAddr,
+          amountIn,
+          1n,
+          keeperReward,
+          deadline
+        )
+    )
+      .to.emit(orders, "OrderPlaced")
+      .withArgs(
+        0,
+        user1.address,
+        tokenAAddr,
+        tokenBAddr,
+        amountIn,
+        1n,
+        keeperReward,
+        deadline
+      );
+
+    expect(await tokenA.balanceOf(ordersAddr)).to.equal(
+      amountIn + keeperReward
+    );
+    const order = await orders.orders(0);
+    expect(order.owner).to.equal(user1.address);
+    expect(order.status).to.equal(1); // Open
+    expect(await orders.nextOrderId()).to.equal(1);
+  });
+
+  /**
+   * Tests the keeper flow:
+   * - The fill reverts with slippage until the price reaches the limit
+   * - The owner receives the output and the keeper the reward
+   */
+  it("fillOrder executes once the pool price reaches the limit", async function () {
+    const ctx = await deployLimitOrders();
+    const { user1, keeper, tokenA, tokenB, orders, ordersAddr, path } = ctx;
+    const { orderId, minOut } = await placeAboveMarket(ctx);
+
+    let [fillable] = await orders.canFill(orderId, path);
+    expect(fillable).to.equal(false);
+    await expect(
+      orders.connect(keeper).fillOrder(orderId, path)
+    ).to.be.revertedWith("slippage");
+
+    await pushPriceUp(ctx);
+    let quotedOut;
+    [fillable, quotedOut] = await orders.canFill(orderId, path);
+    expect(fillable).to.equal(true);
+    expect(quotedOut).to.be.gte(minOut);
+
+    await expect(orders.connect(keeper).fillOrder(orderId, path))
+      .to.emit(orders, "OrderFilled")
+      .withArgs(orderId, keeper.address, quotedOut);
+
+    expect(await tokenB.balanceOf(user1.address)).to.equal(quotedOut);
+    expect(await tokenA.balanceOf(keeper.address)).to.equal(keeperReward);
+    expect(await tokenA.balanceOf(ordersAddr)).to.equal(0);
+    expect((await orders.orders(orderId)).status).to.equal(2); // Filled
+
+    await expect(
+      orders.connect(keeper).fillOrder(orderId, path)
+    ).to.be.revertedWith("not_open");
+  });
+
+  /**
+   * Tests cancellation:
+   * - Only the owner can cancel, and only open orders
+   * - The whole escrow is refunded
+   */
+  it("cancelOrder refunds the owner and closes the order", async function () {
+    const ctx = await deployLimitOrders();
+    const { user1, keeper, tokenA, orders, path } = ctx;
+    const { orderId } = await placeAboveMarket(ctx);
+    const balanceBefore = await tokenA.balanceOf(user1.address);
+
+    await expect(
+      orders.connect(keeper).cancelOrder(orderId)
+    ).to.be.revertedWith("forbidden");
+    await expect(orders.connect(user1).cancelOrder(orderId))
+      .to.emit(orders, "OrderCancelled")
+      .withArgs(orderId);
+
+    expect(await tokenA.balanceOf(user1.address)).to.equal(
+      balanceBefore + amountIn + keeperReward
+    );
+    await expect(orders.connect(user1).cancelOrder(orderId)).to.be.revertedWith(
+      "not_open"
+    );
+    await pushPriceUp(ctx);
+    await expect(
+      orders.connect(keeper).fillOrder(orderId, path)
+    ).to.be.revertedWith("not_open");
+  });
+
+  /**
+   * Tests expiry through the router deadline:
+   * - Past the deadline a fill reverts with expired even at a good price
+   * - The owner can still cancel to recover the escrow
+   */
+  it("expired orders cannot be filled but can be cancelled", async function () {
+    const ctx = await deployLimitOrders();
+    const { user1, keeper, orders, path } = ctx;
+    const deadline = await futureDeadline();
+    const { orderId } = await placeAboveMarket(ctx, deadline);
+
+    await pushPriceUp(ctx);
+    await time.increaseTo(deadline + 1n);
+
+    const [fillable] = await orders.canFill(orderId, path);
+    expect(fillable).to.equal(false);
+    await expect(
+      orders.connect(keeper).fillOrder(orderId, path)
+    ).to.be.revertedWith("expired");
+    await expect(orders.connect(user1).cancelOrder(orderId)).to.emit(
+      orders,
+      "OrderCancelled"
+    );
+  });
+
+  /**
+   * Tests input validation on placement and fill
+   */
+  it("reverts expired / identical / zero_input / invalid_path", async function () {
+    const ctx = await deployLimitOrders();
+    const { user1, keeper, orders, tokenAAddr, tokenBAddr } = ctx;
+    const deadline = await futureDeadline();
+    const place = (tokenOut, amount, minOut, dl) =>
+      orders
+        .connect(user1)
+        .placeOrder(tokenAAddr, tokenOut, amount, minOut, 0, dl);
+
+    await expect(place(tokenBAddr, amountIn, 1n, 0)).to.be.revertedWith(
+      "expired"
+    );
+    await expect(place(tokenAAddr, amountIn, 1n, deadline)).to.be.revertedWith(
+      "identical"
+    );
+    await expect(place(tokenBAddr, 0, 1n, deadline)).to.be.revertedWith(
+      "zero_input"
+    );
+    await expect(place(tokenBAddr, amountIn, 0, deadline)).to.be.revertedWith(
+      "zero_input"
+    );
+
+    await place(tokenBAddr, amountIn, 1n, deadline);
+    await expect(
+      orders.connect(keeper).fillOrder(0, [tokenBAddr, tokenAAddr])
+    ).to.be.revertedWith("invalid_path");
+    await expect(
+      orders.connect(keeper).fillOrder(0, [tokenAAddr])
+    ).to.be.revertedWith("invalid_path");
+  });
+});
@@ -0,0 +1,262 @@
+// test/abi.test.js
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { TASK_COMPILE } = require("hardhat/builtin-tasks/task-names");
+const {
+  ABI_EXPORTS,
+  exportAbis,
+  checkAbis,
+  writeManifest,
+  abiOutputs,
+} = require("../tasks/abi");
+const { DEPLOYMENTS_FILE, readDeployments } = require("../scripts/deployments");
+
+/*
+ * Tests for the ABI export pipeline in tasks/abi.js:
+ * - Every compile regenerates abis/ from the artifacts
+ * - The check reports missing, stale and unexpected files without writing
+ * - Deployment manifests follow the recorded addresses and keep the ABIs
+ *   of contracts that were already deployed
+ */
+describe("ABI export", function () {
+  const { ethers } = hre;
+  const address = "0x0000000000000000000000000000000000000001";
+  const committedDir = path.join(hre.config.paths.root, "abis");
+  let tmp;
+  let dir;
+
+  /** Helper: Fresh output directory, removed after each test */
+  beforeEach(function () {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), "simpleswap-abis-"));
+    dir = path.join(tmp, "abis");
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  /**
+   * Helper: Runs fn with the compile hook writing to copies of the
+   * committed abis/ (dir) and sdk/abis/ (sdkDir) in the temporary directory
+   */
+  async function withCopiedAbis(fn) {
+    const { paths } = hre.config;
+    const committed = { abis: paths.abis, sdkAbis: paths.sdkAbis };
+    const sdkDir = path.join(tmp, "sdk-abis");
+    fs.cpSync(committed.abis, dir, { recursive: true });
+    fs.cpSync(committed.sdkAbis, sdkDir, { recursive: true });
+    Object.assign(paths, { abis: dir, sdkAbis: sdkDir });
+    try {
+      await fn(sdkDir);
+    } finally {
+      Object.assign(paths, committed);
+    }
+  }
+
+  /** Helper: Checks every generated directory */
+  async function checkOutputs() {
+    for (const { dir, ...options } of abiOutputs(hre)) {
+      await checkAbis(hre, dir, options);
+    }
+  }
+
+  /**
+   * Tests the committed files, as `yarn abi:check` does in CI
+   */
+  it("the committed abis/ match the compiled artifacts", async function () {
+    await checkOutputs();
+  });
+
+  /**
+   * Tests the compile hook on copies of abis/ and sdk/abis/:
+   * - Stale and missing ABI files are rewritten
+   * - The Sepolia manifest keeps the ABIs deployed there
+   */
+  it("compile regenerates abis/ and sdk/abis/", async function () {
+    const sepolia = fs.readFileSync(
+      path.join(committedDir, "deployments", "11155111.json"),
+      "utf8"
+    );
+    await withCopiedAbis(async (sdkDir) => {
+      fs.writeFileSync(path.join(dir, "simpleSwap.json"), '{ "abi": [] }\n');
+      fs.rmSync(path.join(sdkDir, "pair.json"));
+      await hre.run(TASK_COMPILE, { quiet: true });
+      await checkOutputs();
+      expect(
+        fs.readFileSync(path.join(dir, "deployments", "11155111.json"), "utf8")
+      ).to.equal(sepolia);
+    });
+    expect(hre.config.paths.abis).to.equal(committedDir);
+    expect(hre.config.paths.sdkAbis).to.equal(
+      path.join(hre.config.paths.root, "sdk", "abis")
+    );
+  });
+
+  /**
+   * Tests the generated files:
+   * - One { abi } file per exported contract, equal to its artifact
+   * - Exporting again changes nothing
+   */
+  it("exportAbis writes one ABI file per exported contract", async function () {
+    const written = await exportAbis(hre, dir);
+    expect(written).to.have.members(
+      Object.keys(ABI_EXPORTS).map((name) => `${name}.json`)
+    );
+
+    const { abi } = await hre.artifacts.readArtifact("SimpleSwap");
+    const read = (file) =>
+      JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    expect(read("simpleSwap.json")).to.deep.equal({ abi });
+    expect(
+      new ethers.Interface(read("pair.json").abi).getFunction("kLast")
+    ).to.not.equal(null);
+
+    expect(await exportAbis(hre, dir)).to.deep.equal([]);
+  });
+
+  /**
+   * Tests deployment manifests:
+   * - One per recorded chain, with the address and ABI of known names
+   * - A contract still at its address keeps its manifest ABI
+   * - A new address takes the current ABI, a dropped chain is removed
+   * - writeManifest snapshots a new deployment
+   */
+  it("manifests follow the deployments and keep the deployed ABIs", async function () {
+    const deploymentsFile = path.join(tmp, "deployments.json");
+    const manifest = path.join(dir, "deployments", "5.json");
+    const options = { deploymentsFiles: [deploymentsFile] };
+    const record = (deployments) =>
+      fs.writeFileSync(deploymentsFile, JSON.stringify(deployments));
+    const { abi } = await hre.artifacts.readArtifact("SimpleSwap");
+
+    record({ 5: { simpleSwap: address, unknown: address } });
+    expect(await exportAbis(hre, dir, options)).to.include(
+      "deployments/5.json"
+    );
+    expect(JSON.parse(fs.readFileSync(manifest, "utf8"))).to.deep.equal({
+      chainId: 5,
+      contracts: { simpleSwap: { address, abi } },
+    });
+
+    // The ABI of an already deployed contract is kept
+    const older = {
+      chainId: 5,
+      contracts: { simpleSwap: { address, abi: [] } },
+    };
+    fs.writeFileSync(manifest, JSON.stringify(older, null, 2) + "\n");
+    await checkAbis(hre, dir, options);
+    expect(await exportAbis(hre, dir, options)).to.deep.equal([]);
+
+    // A redeployment is stale until exported with the current ABI
+    const redeployed = "0x0000000000000000000000000000000000000002";
+    record({ 5: { simpleSwap: redeployed } });
+    await expect(checkAbis(hre, dir, options)).to.be.rejectedWith(
+      "stale deployments/5.json"
+    );
+    await exportAbis(hre, dir, options);
+    expect(
+      JSON.parse(fs.readFileSync(manifest, "utf8")).contracts.simpleSwap
+    ).to.deep.equal({ address: redeployed, abi });
+
+    record({});
+    expect(await exportAbis(hre, dir, options)).to.deep.equal([
+      "deployments/5.json",
+    ]);
+    expect(fs.existsSync(manifest)).to.equal(false);
+
+    const file = await writeManifest(hre, 31337n, { simpleSwap: address }, dir);
+    expect(file).to.equal(path.join(dir, "deployments", "31337.json"));
+    expect(JSON.parse(fs.readFileSync(file, "utf8"))).to.deep.equal({
+      chainId: 31337,
+      contracts: { simpleSwap: { address, abi } },
+    });
+  });
+
+  /**
+   * Tests the committed manifests against deployments.json:
+   * - Every recorded chain has one, with the same addresses
+   * - The Sepolia one keeps the ABI of the contracts deployed there
+   */
+  it("the committed manifests match the recorded deployments", async function () {
+    for (const [chainId, addresses] of Object.entries(
+      readDeployments(DEPLOYMENTS_FILE)
+    )) {
+      const manifest = JSON.parse(
+        fs.readFileSync(
+          path.join(committedDir, "deployments", `${chainId}.json`),
+          "utf8"
+        )
+      );
+      expect(manifest.chainId).to.equal(Number(chainId));
+      for (const [name, entry] of Object.entries(manifest.contracts)) {
+        expect(entry.address).to.equal(addresses[name]);
+      }
+    }
+
+    const sepolia = require("../abis/deployments/11155111.json");
+    const router = new ethers.Interface(sepolia.contracts.simpleSwap.abi);
+    expect(router.getEvent("TokensSwapped").inputs).to.have.length(5);
+    expect(router.getFunction("getLPToken")).to.equal(null);
+  });
+
+  /**
+   * Tests that drift is detected and repaired:
+   * - Edited, deleted and leftover files are all reported
+   * - Exporting again restores the directory
+   */
+  it("checkAbis fails on stale files until they are exported again", async function () {
+    await exportAbis(hre, dir);
+    fs.writeFileSync(path.join(dir, "tokenA.json"), '{ "abi": [] }\n');
+    fs.rmSync(path.join(dir, "weth.json"));
+    fs.writeFileSync(path.join(dir, "old.json"), "{}\n");
+
+    let error;
+    try {
+      await checkAbis(hre, dir);
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message)
+      .to.include("stale tokenA.json")
+      .and.include("missing weth.json")
+      .and.include("unexpected old.json");
+
+    expect(await exportAbis(hre, dir)).to.have.members([
+      "tokenA.json",
+      "weth.json",
+      "old.json",
+    ]);
+    expect(fs.existsSync(path.join(dir, "old.json"))).to.equal(false);
+    await checkAbis(hre, dir);
+  });
+
+  /**
+   * Tests the tasks on a copy of abis/:
+   * - abi:check compiles without rewriting the stale file it reports
+   * - abi:export repairs it
+   */
+  it("abi:check rejects a stale directory without rewriting it", async function () {
+    const { log } = console;
+    console.log = () => {};
+    try {
+      await withCopiedAbis(async () => {
+        const file = path.join(dir, "simpleSwap.json");
+        fs.writeFileSync(file, '{ "abi": [] }\n');
+        await expect(hre.run("abi:check")).to.be.rejectedWith(
+          "stale simpleSwap.json"
+        );
+        expect(fs.readFileSync(file, "utf8")).to.equal('{ "abi": [] }\n');
+
+        expect(await hre.run("abi:export")).to.deep.equal([
+          path.relative(hre.config.paths.root, file),
+        ]);
+        await hre.run("abi:check");
+      });
+    } finally {
+      console.log = log;
+    }
+  });
+});
@@ -0,0 +1,141 @@
+// test/deploy.test.js
+const { expect } = require("chai");
+const { ethers, ignition, artifacts } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SimpleSwapModule = require("../ignition/modules/SimpleSwap");
+const UseExistingContracts = require("../ignition/modules/UseExistingContracts");
+const {
+  DEPLOYMENTS_FILE,
+  LOCAL_DEPLOYMENTS_FILE,
+  deploymentsFileFor,
+  getDeployment,
+  saveDeployment,
+} = require("../scripts/deployments");
+
+/*
+ * Tests for the deployment tooling:
+ * - The SimpleSwapModule Ignition module deploys and seeds a fresh system
+ * - The deployments file helpers record and look up addresses per chain
+ * - UseExistingContracts describes the Sepolia contracts as deployed
+ */
+describe("Deployment", function () {
+  const DECIMALS = 18;
+
+  /**
+   * Tests the Ignition module with custom parameters:
+   * - The A/B pool is seeded with the requested liquidity
+   * - Fee settings and the extra mint are applied
+   * - The router and the order book are wired together
+   */
+  it("SimpleSwapModule deploys, seeds the pool and applies the fee settings", async function () {
+    const [owner, feeTo] = await ethers.getSigners();
+    const liquidityA = ethers.parseUnits("500", DECIMALS);
+    const liquidityB = ethers.parseUnits("250", DECIMALS);
+    const initialMint = ethers.parseUnits("7", DECIMALS);
+
+    const { tokenA, tokenB, weth, factory, simpleSwap, limitOrders } =
+      await ignition.deploy(SimpleSwapModule, {
+        parameters: {
+          SimpleSwapModule: {
+            initialMint,
+            liquidityA,
+            liquidityB,
+            swapFeeBps: 50,
+            feeTo: feeTo.address,
+            protocolFeeShareBps: 1667,
+          },
+        },
+      });
+    const tokenAAddr = await tokenA.getAddress();
+    const tokenBAddr = await tokenB.getAddress();
+
+    const pair = await simpleSwap.pairs(tokenAAddr, tokenBAddr);
+    expect(pair.reserves.reserveA).to.equal(liquidityA);
+    expect(pair.reserves.reserveB).to.equal(liquidityB);
+    expect(pair.feeBps).to.equal(50);
+
+    expect(await factory.feeTo()).to.equal(feeTo.address);
+    expect(await factory.protocolFeeShareBps()).to.equal(1667);
+    expect(await simpleSwap.factory()).to.equal(await factory.getAddress());
+    expect(await simpleSwap.WETH()).to.equal(await weth.getAddress());
+    expect(await limitOrders.router()).to.equal(await simpleSwap.getAddress());
+
+    // 100 billion from the constructor, plus the extra mint, minus the seed
+    const supply = 100000000000n * 10n ** 18n;
+    expect(await tokenA.balanceOf(owner.address)).to.equal(
+      supply + initialMint - liquidityA
+    );
+  });
+
+  /**
+   * Tests the deployments file helpers on a temporary file:
+   * - Entries are keyed by chain ID and merged with existing ones
+   * - Looking up an unknown chain throws
+   */
+  it("saveDeployment / getDeployment record addresses per chain ID", async function () {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "simpleswap-"));
+    const file = path.join(tmp, "deployments.json");
+    const addresses = { simpleSwap: ethers.ZeroAddress };
+
+    try {
+      saveDeployment(31337n, addresses, file);
+      saveDeployment(1, { tokenA: ethers.ZeroAddress }, file);
+
+      expect(getDeployment(31337, file)).to.deep.equal(addresses);
+      expect(
+        Object.keys(JSON.parse(fs.readFileSync(file, "utf8")))
+      ).to.have.members(["1", "31337"]);
+      expect(() => getDeployment(5, file)).to.throw("No deployment recorded");
+    } finally {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+
+  /**
+   * Tests that local node addresses stay out of the committed file
+   */
+  it("deploymentsFileFor keeps the local node in deployments.local.json", async function () {
+    expect(deploymentsFileFor(31337n)).to.equal(LOCAL_DEPLOYMENTS_FILE);
+    expect(deploymentsFileFor("31337")).to.equal(LOCAL_DEPLOYMENTS_FILE);
+    expect(deploymentsFileFor(11155111)).to.equal(DEPLOYMENTS_FILE);
+    expect(
+      fs.readFileSync(path.join(__dirname, "..", ".gitignore"), "utf8")
+    ).to.include("deployments.local.json");
+  });
+
+  /**
+   * Tests the committed deployments file
+   */
+  it("deployments.json lists the Sepolia contracts", async function () {
+    const sepolia = getDeployment(11155111, DEPLOYMENTS_FILE);
+    for (const name of ["tokenA", "tokenB", "simpleSwap"]) {
+      expect(ethers.isAddress(sepolia[name])).to.equal(true);
+    }
+  });
+
+  /**
+   * Tests that UseExistingContracts uses the ABIs recorded in the Sepolia
+   * manifest, not the current artifacts:
+   * - Each contract is at its deployments.json address with its manifest ABI
+   * - The router ABI is the old one, without getLPToken
+   */
+  it("UseExistingContracts uses the ABIs deployed on Sepolia", async function () {
+    const sepolia = getDeployment(11155111, DEPLOYMENTS_FILE);
+    const manifest = require("../abis/deployments/11155111.json");
+    const { results } = UseExistingContracts;
+
+    expect(Object.keys(results)).to.have.members(Object.keys(sepolia));
+    for (const [name, future] of Object.entries(results)) {
+      expect(future.address).to.equal(sepolia[name]);
+      expect(future.artifact.abi).to.deep.equal(manifest.contracts[name].abi);
+    }
+
+    const router = new ethers.Interface(results.simpleSwap.artifact.abi);
+    expect(router.getFunction("getLPToken")).to.equal(null);
+    expect(results.simpleSwap.artifact.abi).to.not.deep.equal(
+      (await artifacts.readArtifact("SimpleSwap")).abi
+    );
+  });
+});
@@ -0,0 +1,306 @@
+// test/indexer.test.js
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SimpleSwapClient } = require("../sdk/src");
+const { SimpleSwapIndexer } = require("../indexer/src");
+
+/*
+ * Tests for the event indexer in indexer/ against the in-process network:
+ * - Reserve history, volume, trade counts and LP balances match the chain
+ * - A restarted indexer resumes from its checkpoint
+ * - Reorged blocks are rolled back and indexed again
+ */
+describe("SimpleSwapIndexer", function () {
+  const DECIMALS = 18;
+  const seedAmount = ethers.parseUnits("1000", DECIMALS);
+  const tradeAmount = ethers.parseUnits("10", DECIMALS);
+
+  /**
+   * Deployment helper:
+   * - Deploys tokenA, tokenB, the factory, WETH9 and the router
+   * - Seeds the A/B pool through the SDK and gives user1 both tokens
+   * - Returns the block before the deployment as the indexing start
+   */
+  async function deployIndexed() {
+    const [owner, user1, user2] = await ethers.getSigners();
+    const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    const tokenA = await (await ethers.getContractFactory("tokenA")).deploy();
+    const tokenB = await (await ethers.getContractFactory("tokenB")).deploy();
+    const factory = await (
+      await ethers.getContractFactory("SimpleSwapFactory")
+    ).deploy();
+    const weth = await (await ethers.getContractFactory("WETH9")).deploy();
+    const simpleSwap = await (
+      await ethers.getContractFactory("SimpleSwap")
+    ).deploy(await factory.getAddress(), await weth.getAddress());
+
+    const tokenAAddr = await tokenA.getAddress();
+    const tokenBAddr = await tokenB.getAddress();
+    const simpleSwapAddr = await simpleSwap.getAddress();
+
+    const client = new SimpleSwapClient(simpleSwapAddr, owner);
+    await client.addLiquidity({
+      tokenA: tokenAAddr,
+      tokenB: tokenBAddr,
+      amountADesired: seedAmount,
+      amountBDesired: seedAmount,
+    });
+    for (const token of [tokenA, tokenB]) {
+      await token.transfer(user1.address, seedAmount / 10n);
+    }
+    const pair = await ethers.getContractAt(
+      "SimpleSwapPair",
+      await simpleSwap.getLPToken(tokenAAddr, tokenBAddr)
+    );
+
+    return {
+      owner,
+      user1,
+      user2,
+      simpleSwap,
+      pair,
+      pairAddr: await pair.getAddress(),
+      tokenAAddr,
+      tokenBAddr,
+      simpleSwapAddr,
+      startBlock,
+      userClient: new SimpleSwapClient(simpleSwapAddr, user1),
+    };
+  }
+
+  /** Helper: Indexer over an in-memory database unless a file is given */
+  function newIndexer(ctx, db = ":memory:") {
+    return new SimpleSwapIndexer({
+      provider: ethers.provider,
+      router: ctx.simpleSwapAddr,
+      db,
+      startBlock: ctx.startBlock,
+      batchSize: 5,
+    });
+  }
+
+  /** Helper: user1 sells amountIn of path[0] */
+  async function swap(ctx, amountIn, path) {
+    return ctx.userClient.swapExactTokensForTokens({ amountIn, path });
+  }
+
+  /**
+   * Tests one pass over deposits, swaps, an LP transfer and a withdrawal:
+   * - Reserves, volume and trade count of the pair
+   * - LP balances follow transfers made outside the router
+   * - Router events are stored with their pair
+   */
+  it("indexes reserves, volume, trades and LP positions", async function () {
+    const ctx = await deployIndexed();
+    const { owner, user1, user2, pair, pairAddr, tokenAAddr, tokenBAddr } = ctx;
+    const [token0] = [tokenAAddr, tokenBAddr].sort((a, b) =>
+      BigInt(a) < BigInt(b) ? -1 : 1
+    );
+
+    await ctx.userClient.addLiquidity({
+      tokenA: tokenAAddr,
+      tokenB: tokenBAddr,
+      amountADesired: tradeAmount,
+      amountBDesired: tradeAmount,
+    });
+    const first = await swap(ctx, tradeAmount, [tokenAAddr, tokenBAddr]);
+    const second = await swap(ctx, tradeAmount / 2n, [tokenBAddr, tokenAAddr]);
+    const userLiquidity = await pair.balanceOf(user1.address);
+    await pair.connect(user1).transfer(user2.address, userLiquidity / 4n);
+    await ctx.userClient.removeLiquidity({
+      tokenA: tokenAAddr,
+      tokenB: tokenBAddr,
+      liquidity: userLiquidity / 2n,
+    });
+
+    const indexer = newIndexer(ctx);
+    expect(await indexer.sync()).to.equal(
+      await ethers.provider.getBlockNumber()
+    );
+    const { store } = indexer;
+
+    const stats = store.getPairStats(pairAddr);
+    const [reserve0, reserve1] = await pair.getReserves();
+    expect(stats).to.include({ token0, reserve0, reserve1, trades: 2 });
+    const swapped = [...first.events, ...second.events];
+    const volumeOf = (token) =>
+      swapped.reduce(
+        (sum, event) =>
+          sum + (event.tokenIn === token ? event.amountIn : event.amountOut),
+        0n
+      );
+    expect(stats.volume0).to.equal(volumeOf(token0));
+
+    // One Sync per mint, swap and burn: seed, deposit, 2 swaps, withdrawal
+    const history = store.getReserveHistory(pairAddr);
+    expect(history).to.have.length(5);
+    expect(history[0].reserve0).to.equal(seedAmount);
+    expect(history[4]).to.include({ reserve0, reserve1 });
+
+    for (const account of [owner, user1, user2]) {
+      expect(store.getPosition(pairAddr, account.address)).to.equal(
+        await pair.balanceOf(account.address)
+      );
+    }
+    expect(
+      store.getPositions({ pair: pairAddr }).map((p) => p.provider)
+    ).to.have.members([
+      owner.address,
+      user1.address,
+      user2.address,
+      "0x000000000000000000000000000000000000dEaD",
+    ]);
+
+    expect(
+      store.getEvents({ pair: pairAddr }).map((e) => e.name)
+    ).to.deep.equal([
+      "LiquidityAdded",
+      "LiquidityAdded",
+      "TokensSwapped",
+      "TokensSwapped",
+      "LiquidityRemoved",
+    ]);
+    indexer.close();
+  });
+
+  /**
+   * Tests resuming: an indexer reopened on the same file continues after
+   * its checkpoint and ends with the same data as a single full pass
+   */
+  it("resumes from the checkpoint stored in the database", async function () {
+    const ctx = await deployIndexed();
+    const { pairAddr, tokenAAddr, tokenBAddr } = ctx;
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "simpleswap-index-"));
+    const file = path.join(tmp, "index.sqlite");
+
+    await swap(ctx, tradeAmount, [tokenAAddr, tokenBAddr]);
+    const first = newIndexer(ctx, file);
+    const checkpoint = await first.sync();
+    first.close();
+
+    await swap(ctx, tradeAmount, [tokenBAddr, tokenAAddr]);
+    await swap(ctx, tradeAmount, [tokenAAddr, tokenBAddr]);
+    const resumed = newIndexer(ctx, file);
+    expect(resumed.store.getCheckpoint().blockNumber).to.equal(checkpoint);
+    await resumed.sync();
+
+    const full = newIndexer(ctx);
+    await full.sync();
+    expect(resumed.store.getPairStats(pairAddr)).to.deep.equal(
+      full.store.getPairStats(pairAddr)
+    );
+    expect(resumed.store.getPairStats(pairAddr).trades).to.equal(3);
+    expect(resumed.store.getReserveHistory(pairAddr)).to.deep.equal(
+      full.store.getReserveHistory(pairAddr)
+    );
+    expect(resumed.store.getPositions()).to.deep.equal(
+      full.store.getPositions()
+    );
+
+    // The database stays tied to its router
+    resumed.close();
+    const other = new SimpleSwapIndexer({
+      provider: ethers.provider,
+      router: tokenAAddr,
+      db: file,
+    });
+    await expect(other.sync()).to.be.rejectedWith("Database indexes router");
+    other.close();
+    full.close();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  /**
+   * Tests starting after the pair was created (`--from-block`):
+   * - The pair is loaded from the factory instead of PairCreated
+   * - Its later swaps, Syncs and LP transfers are indexed
+   */
+  it("indexes pairs created before the start block", async function () {
+    const ctx = await deployIndexed();
+    const { user1, user2, pair, pairAddr, tokenAAddr, tokenBAddr } = ctx;
+    const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    await swap(ctx, tradeAmount, [tokenAAddr, tokenBAddr]);
+    await ctx.userClient.addLiquidity({
+      tokenA: tokenAAddr,
+      tokenB: tokenBAddr,
+      amountADesired: tradeAmount,
+      amountBDesired: tradeAmount,
+    });
+    const liquidity = await pair.balanceOf(user1.address);
+    await pair.connect(user1).transfer(user2.address, liquidity);
+
+    const indexer = newIndexer({ ...ctx, startBlock });
+    expect(await indexer.sync()).to.equal(
+      await ethers.provider.getBlockNumber()
+    );
+    const { store } = indexer;
+    expect(store.getPairs().map(({ address }) => address)).to.deep.equal([
+      pairAddr,
+    ]);
+    const [reserve0, reserve1] = await pair.getReserves();
+    expect(store.getPairStats(pairAddr)).to.include({
+      reserve0,
+      reserve1,
+      trades: 1,
+    });
+    expect(store.getReserveHistory(pairAddr)).to.have.length(2);
+    expect(store.getPosition(pairAddr, user2.address)).to.equal(liquidity);
+    expect(store.getEvents().map(({ name }) => name)).to.deep.equal([
+      "TokensSwapped",
+      "LiquidityAdded",
+    ]);
+    indexer.close();
+  });
+
+  /**
+   * Tests a reorg simulated with evm_snapshot / evm_revert:
+   * - Data from the dropped blocks disappears
+   * - The replacement blocks at the same heights are indexed
+   */
+  it("rolls back reorged blocks and indexes the new branch", async function () {
+    const ctx = await deployIndexed();
+    const { pair, pairAddr, tokenAAddr, tokenBAddr } = ctx;
+    const indexer = newIndexer(ctx);
+    await indexer.sync();
+    const before = indexer.store.getReserveHistory(pairAddr);
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await swap(ctx, tradeAmount, [tokenAAddr, tokenBAddr]);
+    await swap(ctx, tradeAmount, [tokenAAddr, tokenBAddr]);
+    const orphaned = await indexer.sync();
+    expect(indexer.store.getPairStats(pairAddr).trades).to.equal(2);
+
+    await network.provider.send("evm_revert", [snapshot]);
+    const replacement = await swap(ctx, tradeAmount / 4n, [
+      tokenBAddr,
+      tokenAAddr,
+    ]);
+    // Grow the new branch back to the orphaned height
+    while ((await ethers.provider.getBlockNumber()) < orphaned) {
+      await network.provider.send("evm_mine");
+    }
+
+    await indexer.sync();
+    const stats = indexer.store.getPairStats(pairAddr);
+    const [reserve0, reserve1] = await pair.getReserves();
+    expect(stats).to.include({ reserve0, reserve1, trades: 1 });
+    expect(stats.volume0 + stats.volume1).to.equal(
+      replacement.events[0].amountIn + replacement.events[0].amountOut
+    );
+    expect(indexer.store.getReserveHistory(pairAddr)).to.deep.equal([
+      ...before,
+      ...indexer.store.getReserveHistory(pairAddr, {
+        fromBlock: replacement.receipt.blockNumber,
+      }),
+    ]);
+    expect(indexer.store.getCheckpoint().blockHash).to.equal(
+      (await ethers.provider.getBlock(orphaned)).hash
+    );
+    indexer.close();
+  });
+});
@@ -0,0 +1,429 @@
+// test/sdk.test.js
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { execFileSync } = require("child_process");
+const path = require("path");
+const { SimpleSwapClient, math } = require("../sdk/src");
+const sdkAbi = require("../sdk/src/abi");
+const { SDK_ABIS } = require("../tasks/abi");
+
+/*
+ * Tests for the JavaScript SDK in sdk/ against the in-process network:
+ * - Off-chain quotes match the router's views and executed trades exactly
+ * - Built transactions carry slippage bounds and deadlines
+ * - Allowances are raised only when needed
+ * - Router events are decoded into plain objects
+ */
+describe("SimpleSwapClient (SDK)", function () {
+  const DECIMALS = 18;
+  const seedAmount = ethers.parseUnits("1000", DECIMALS);
+
+  /**
+   * Deployment helper:
+   * - Deploys tokenA, tokenB, a third token, the factory, WETH9 and the
+   *   router
+   * - Seeds A/B at 1000/1000 and B/C at 1000/500 with a 0.5% fee
+   * - Gives user1 a client and some tokens, without any approvals
+   */
+  async function deploySdk() {
+    const [owner, user1, feeTo] = await ethers.getSigners();
+
+    const TokenB = await ethers.getContractFactory("tokenB");
+    const tokenA = await (await ethers.getContractFactory("tokenA")).deploy();
+    const tokenB = await TokenB.deploy();
+    const tokenC = await TokenB.deploy();
+    const factory = await (
+      await ethers.getContractFactory("SimpleSwapFactory")
+    ).deploy();
+    const weth = await (await ethers.getContractFactory("WETH9")).deploy();
+    const simpleSwap = await (
+      await ethers.getContractFactory("SimpleSwap")
+    ).deploy(await factory.getAddress(), await weth.getAddress());
+
+    const tokenAAddr = await tokenA.getAddress();
+    const tokenBAddr = await tokenB.getAddress();
+    const tokenCAddr = await tokenC.getAddress();
+    const simpleSwapAddr = await simpleSwap.getAddress();
+
+    const seeder = new SimpleSwapClient(simpleSwapAddr, owner);
+    await seeder.addLiquidity({
+      tokenA: tokenAAddr,
+      tokenB: tokenBAddr,
+      amountADesired: seedAmount,
+      amountBDesired: seedAmount,
+    });
+    await seeder.addLiquidity({
+      tokenA: tokenBAddr,
+      tokenB: tokenCAddr,
+      amountADesired: seedAmount,
+      amountBDesired: seedAmount / 2n,
+    });
+    await factory.setSwapFee(tokenBAddr, tokenCAddr, 50);
+
+    for (const token of [tokenA, tokenB]) {
+      await token.transfer(user1.address, ethers.parseUnits("100", DECIMALS));
+    }
+
+    return {
+      owner,
+      user1,
+      feeTo,
+      tokenA,
+      tokenB,
+      tokenC,
+      factory,
+      simpleSwap,
+      tokenAAddr,
+      tokenBAddr,
+      tokenCAddr,
+      simpleSwapAddr,
+      client: new SimpleSwapClient(simpleSwapAddr, user1),
+    };
+  }
+
+  /**
+   * Tests the pure math against the router's pure functions over a spread
+   * of amounts, reserves and fees
+   */
+  it("math helpers match the router's pure functions", async function () {
+    const { simpleSwap } = await deploySdk();
+    const values = [1n, 999n, 10n ** 15n, 123456789n * 10n ** 12n, 10n ** 24n];
+
+    for (const amount of values) {
+      for (const reserveIn of values) {
+        for (const reserveOut of values.slice(1)) {
+          for (const feeBps of [0n, 30n, 9999n]) {
+            expect(
+              math.getAmountOut(amount, reserveIn, reserveOut, feeBps)
+            ).to.equal(
+              await simpleSwap.getAmountOutWithFee(
+                amount,
+                reserveIn,
+                reserveOut,
+                feeBps
+              )
+            );
+            if (amount < reserveOut) {
+              expect(
+                math.getAmountIn(amount, reserveIn, reserveOut, feeBps)
+              ).to.equal(
+                await simpleSwap.getAmountInWithFee(
+                  amount,
+                  reserveIn,
+                  reserveOut,
+                  feeBps
+                )
+              );
+            }
+          }
+          expect(math.quote(amount, reserveIn, reserveOut)).to.equal(
+            await simpleSwap.quote(amount, reserveIn, reserveOut)
+          );
+        }
+      }
+    }
+
+    expect(() => math.getAmountOut(0n, 1n, 1n)).to.throw("zero_input");
+    expect(() => math.getAmountIn(5n, 1n, 5n)).to.throw("insuff_liq");
+    expect(() => math.getAmountOut(1n, 1n, 1n, 10_000n)).to.throw("bad_fee");
+  });
+
+  /**
+   * Tests route quoting:
+   * - Amounts and price impact equal getAmountsOut / getAmountsIn
+   * - Each hop uses its own pair's fee
+   */
+  it("quoteExactIn / quoteExactOut match the router over multi-hop paths", async function () {
+    const { simpleSwap, client, tokenAAddr, tokenBAddr, tokenCAddr } =
+      await deploySdk();
+    const path = [tokenAAddr, tokenBAddr, tokenCAddr];
+
+    for (const amount of [
+      10n ** 6n,
+      10n ** 15n,
+      ethers.parseUnits("250", DECIMALS),
+    ]) {
+      const exactIn = await client.quoteExactIn(amount, path);
+      const [amountsOut, impactOut] = await simpleSwap.getAmountsOut(
+        amount,
+        path
+      );
+      expect(exactIn.amounts).to.deep.equal([...amountsOut]);
+      expect(exactIn.amountOut).to.equal(amountsOut[2]);
+      expect(exactIn.priceImpactBps).to.equal(impactOut);
+
+      const exactOut = await client.quoteExactOut(amount, path.toReversed());
+      const [amountsIn, impactIn] = await simpleSwap.getAmountsIn(
+        amount,
+        path.toReversed()
+      );
+      expect(exactOut.amounts).to.deep.equal([...amountsIn]);
+      expect(exactOut.amountIn).to.equal(amountsIn[0]);
+      expect(exactOut.priceImpactBps).to.equal(impactIn);
+    }
+
+    // Dust that rounds to zero on the first hop fails like on chain
+    await expect(simpleSwap.getAmountsOut(1n, path)).to.be.revertedWith(
+      "zero_input"
+    );
+    await expect(client.quoteExactIn(1n, path)).to.be.rejectedWith(
+      "zero_input"
+    );
+
+    const hops = await client.getHops(path);
+    expect(hops.map((hop) => hop.feeBps)).to.deep.equal([30n, 50n]);
+  });
+
+  /**
+   * Tests a swap end to end:
+   * - The input token is approved once, then the allowance is reused
+   * - The output equals the off-chain quote and amountOutMin is 0.5% below
+   * - TokensSwapped is decoded into a plain object
+   */
+  it("swapExactTokensForTokens approves, executes at the quote and decodes events", async function () {
+    const {
+      user1,
+      tokenC,
+      client,
+      simpleSwapAddr,
+      tokenAAddr,
+      tokenBAddr,
+      tokenCAddr,
+    } = await deploySdk();
+    const path = [tokenAAddr, tokenBAddr, tokenCAddr];
+    const amountIn = ethers.parseUnits("10", DECIMALS);
+
+    const built = await client.buildSwapExactTokensForTokens({
+      amountIn,
+      path,
+    });
+    expect(built.tx.to).to.equal(simpleSwapAddr);
+    expect(built.amountOutMin).to.equal((built.amountOut * 9950n) / 10_000n);
+
+    expect(await client.getAllowance(tokenAAddr, user1.address)).to.equal(0);
+    const { receipt, events } = await client.swapExactTokensForTokens({
+      amountIn,
+      path,
+    });
+    expect(receipt.status).to.equal(1);
+    expect(await tokenC.balanceOf(user1.address)).to.equal(built.amountOut);
+    expect(await client.getAllowance(tokenAAddr, user1.address)).to.equal(0);
+
+    // One TokensSwapped per hop
+    expect(events.map((event) => event.name)).to.deep.equal([
+      "TokensSwapped",
+      "TokensSwapped",
+    ]);
+    expect(events[0]).to.include({
+      tokenIn: tokenAAddr,
+      tokenOut: tokenBAddr,
+      trader: user1.address,
+      amountIn,
+      amountOut: built.amounts[1],
+      address: simpleSwapAddr,
+      transactionHash: receipt.hash,
+    });
+    expect(events[1]).to.include({
+      tokenIn: tokenBAddr,
+      tokenOut: tokenCAddr,
+      amountIn: built.amounts[1],
+      amountOut: built.amountOut,
+    });
+
+    expect(await client.ensureAllowance(tokenAAddr, amountIn)).to.not.equal(
+      null
+    );
+    expect(await client.ensureAllowance(tokenAAddr, amountIn)).to.equal(null);
+  });
+
+  /**
+   * Tests that the bound of a built swap holds when the price moves
+   * against it before it is mined
+   */
+  it("a built swap reverts with slippage after an adverse price move", async function () {
+    const {
+      owner,
+      user1,
+      client,
+      tokenA,
+      tokenAAddr,
+      tokenBAddr,
+      simpleSwapAddr,
+    } = await deploySdk();
+    const amountIn = ethers.parseUnits("10", DECIMALS);
+    const path = [tokenAAddr, tokenBAddr];
+
+    await tokenA.connect(user1).approve(simpleSwapAddr, amountIn);
+    const { tx } = await client.buildSwapExactTokensForTokens({
+      amountIn,
+      path,
+      slippageBps: 10,
+    });
+
+    await new SimpleSwapClient(simpleSwapAddr, owner).swapExactTokensForTokens({
+      amountIn: ethers.parseUnits("5", DECIMALS),
+      path,
+    });
+    await expect(user1.sendTransaction(tx)).to.be.revertedWith("slippage");
+  });
+
+  /**
+   * Tests liquidity quotes with the protocol fee switched on:
+   * - The LP tokens minted include the fee minted to feeTo first
+   * - Removal pays out exactly the quoted amounts
+   * - LiquidityAdded / LiquidityRemoved are decoded
+   */
+  it("addLiquidity / removeLiquidity match the quotes with the protocol fee on", async function () {
+    const {
+      user1,
+      feeTo,
+      factory,
+      client,
+      simpleSwap,
+      tokenAAddr,
+      tokenBAddr,
+    } = await deploySdk();
+    await factory.setFeeTo(feeTo.address);
+    await factory.setProtocolFeeShare(1667);
+
+    // Record kLast, then accrue fees so the next deposit mints to feeTo
+    const amountA = ethers.parseUnits("10", DECIMALS);
+    await client.addLiquidity({
+      tokenA: tokenAAddr,
+      tokenB: tokenBAddr,
+      amountADesired: amountA,
+      amountBDesired: amountA,
+    });
+    await client.swapExactTokensForTokens({
+      amountIn: ethers.parseUnits("30", DECIMALS),
+      path: [tokenAAddr, tokenBAddr],
+    });
+
+    const amountBDesired = ethers.parseUnits("50", DECIMALS);
+    const quoted = await client.quoteAddLiquidity(
+      tokenBAddr,
+      tokenAAddr,
+      amountBDesired,
+      amountA
+    );
+    const added = await client.addLiquidity({
+      tokenA: tokenBAddr,
+      tokenB: tokenAAddr,
+      amountADesired: amountBDesired,
+      amountBDesired: amountA,
+    });
+    const lp = await ethers.getContractAt(
+      "SimpleSwapPair",
+      await simpleSwap.getLPToken(tokenAAddr, tokenBAddr)
+    );
+    expect(await lp.balanceOf(feeTo.address)).to.be.gt(0);
+    expect(added.events[0]).to.include({
+      name: "LiquidityAdded",
+      tokenA: tokenBAddr,
+      tokenB: tokenAAddr,
+      provider: user1.address,
+      amountA: quoted.amountA,
+      amountB: quoted.amountB,
+      liquidity: quoted.liquidity,
+    });
+
+    const liquidity = await lp.balanceOf(user1.address);
+    const withdrawal = await client.quoteRemoveLiquidity(
+      tokenAAddr,
+      tokenBAddr,
+      liquidity
+    );
+    const removed = await client.removeLiquidity({
+      tokenA: tokenAAddr,
+      tokenB: tokenBAddr,
+      liquidity,
+      slippageBps: 0,
+    });
+    expect(removed.events[0]).to.include({
+      name: "LiquidityRemoved",
+      provider: user1.address,
+      amountA: withdrawal.amountA,
+      amountB: withdrawal.amountB,
+      liquidity,
+    });
+  });
+
+  /**
+   * Tests read-only use:
+   * - A provider-backed client quotes and builds with an explicit
+   *   recipient and deadline
+   * - Sending without a signer throws
+   */
+  it("a provider-backed client quotes but cannot send", async function () {
+    const { user1, tokenAAddr, tokenBAddr, simpleSwapAddr } = await deploySdk();
+    const reader = new SimpleSwapClient(simpleSwapAddr, ethers.provider);
+
+    const { tx, amountAMin, amountBMin } = await reader.buildAddLiquidity({
+      tokenA: tokenAAddr,
+      tokenB: tokenBAddr,
+      amountADesired: 100n,
+      amountBDesired: 200n,
+      slippageBps: 100,
+      to: user1.address,
+      deadline: 1n,
+    });
+    expect(tx.data).to.equal(
+      reader.router.interface.encodeFunctionData("addLiquidity", [
+        tokenAAddr,
+        tokenBAddr,
+        100n,
+        200n,
+        amountAMin,
+        amountBMin,
+        user1.address,
+        1n,
+      ])
+    );
+    expect([amountAMin, amountBMin]).to.deep.equal([99n, 99n]);
+
+    await expect(
+      reader.swapExactTokensForTokens({
+        amountIn: 100n,
+        path: [tokenAAddr, tokenBAddr],
+        to: user1.address,
+      })
+    ).to.be.rejectedWith("a signer is required");
+  });
+
+  /**
+   * Tests that the SDK ABIs are the compiled ones from sdk/abis/, not a
+   * hand-maintained subset
+   */
+  it("uses the ABIs of the compiled contracts", async function () {
+    const expected = {
+      SIMPLE_SWAP_ABI: "SimpleSwap",
+      FACTORY_ABI: "SimpleSwapFactory",
+      PAIR_ABI: "SimpleSwapPair",
+      ERC20_ABI:
+        "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata",
+    };
+    for (const [name, contract] of Object.entries(expected)) {
+      expect(sdkAbi[name]).to.deep.equal(
+        (await artifacts.readArtifact(contract)).abi
+      );
+    }
+  });
+
+  /**
+   * Tests that the package is self-contained: `npm pack` includes the
+   * ABI files the SDK loads
+   */
+  it("packs the ABIs it loads", function () {
+    const [{ files }] = JSON.parse(
+      execFileSync("npm", ["pack", "--dry-run", "--json"], {
+        cwd: path.join(__dirname, "..", "sdk"),
+        encoding: "utf8",
+      })
+    );
+    const packed = files.map((file) => file.path);
+    for (const name of SDK_ABIS) {
+      expect(packed).to.include(`abis/${name}.json`);
+    }
+    expect(packed).to.include("src/abi.js");
+  });
+});
@@ -0,0 +1,245 @@
+// test/tasks.test.js
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadDeployment } = require("../tasks/helpers");
+const { getDeployment } = require("../scripts/deployments");
+
+/*
+ * Tests for the Hardhat tasks in tasks/:
+ * - On the in-process network the tasks deploy SimpleSwapModule once and
+ *   reuse it
+ * - Human-readable amounts, automatic approvals and slippage limits set
+ *   from off-chain quotes
+ * - Recorded deployments built from older sources are refused
+ */
+describe("Hardhat tasks", function () {
+  const { ethers } = hre;
+  let deployment, simpleSwap, tokenA, tokenB, owner, user1;
+
+  // Silence the pool tables printed by the tasks
+  const { log, table } = console;
+  beforeEach(function () {
+    console.log = () => {};
+    console.table = () => {};
+  });
+  afterEach(function () {
+    console.log = log;
+    console.table = table;
+  });
+
+  before(async function () {
+    [owner, user1] = await ethers.getSigners();
+    deployment = await loadDeployment(hre);
+    simpleSwap = await ethers.getContractAt(
+      "SimpleSwap",
+      deployment.simpleSwap
+    );
+    tokenA = await ethers.getContractAt("tokenA", deployment.tokenA);
+    tokenB = await ethers.getContractAt("tokenB", deployment.tokenB);
+  });
+
+  /**
+   * Tests that every task call resolves the same deployment
+   */
+  it("reuses the in-process deployment across calls", async function () {
+    expect(await loadDeployment(hre)).to.deep.equal(deployment);
+    const info = await hre.run("swap:pool-info");
+    const [totalSupply, reserves] = await simpleSwap.pairs(
+      deployment.tokenA,
+      deployment.tokenB
+    );
+    expect(info.reserveA).to.equal(reserves.reserveA);
+    expect(info.totalSupply).to.equal(totalSupply);
+  });
+
+  /**
+   * Tests loading the Sepolia deployment through a stand-in runtime
+   * environment reporting chain 11155111:
+   * - Its manifest holds older ABIs, so the tasks refuse it
+   * - A manifest with the current ABIs at the same addresses passes
+   */
+  it("loadDeployment refuses deployments built from older sources", async function () {
+    const sepoliaHre = {
+      ...hre,
+      network: { name: "sepolia" },
+      ethers: {
+        provider: { getNetwork: async () => ({ chainId: 11155111n }) },
+      },
+    };
+    await expect(loadDeployment(sepoliaHre)).to.be.rejectedWith(
+      "Chain 11155111 runs older versions of tokenA, tokenB, simpleSwap"
+    );
+
+    const sepolia = getDeployment(11155111);
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "simpleswap-abis-"));
+    const contracts = {};
+    for (const [name, contract] of Object.entries({
+      tokenA: "tokenA",
+      tokenB: "tokenB",
+      simpleSwap: "SimpleSwap",
+    })) {
+      const { abi } = await hre.artifacts.readArtifact(contract);
+      contracts[name] = { address: sepolia[name], abi };
+    }
+    const file = path.join(tmp, "deployments", "11155111.json");
+    fs.mkdirSync(path.dirname(file));
+    fs.writeFileSync(file, JSON.stringify({ contracts }));
+    try {
+      const config = { ...hre.config };
+      config.paths = { ...config.paths, abis: tmp };
+      expect(await loadDeployment({ ...sepoliaHre, config })).to.deep.equal(
+        sepolia
+      );
+
+      delete contracts.tokenB;
+      fs.writeFileSync(file, JSON.stringify({ contracts }));
+      await expect(
+        loadDeployment({ ...sepoliaHre, config })
+      ).to.be.rejectedWith("does not record tokenB");
+    } finally {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+
+  /**
+   * Tests quoting with a human-readable amount
+   */
+  it("swap:quote matches getAmountsOut", async function () {
+    const amountIn = ethers.parseUnits("2.5", 18);
+    const [amounts, impact] = await simpleSwap.getAmountsOut(amountIn, [
+      deployment.tokenB,
+      deployment.tokenA,
+    ]);
+
+    const quote = await hre.run("swap:quote", {
+      tokenIn: "tokenB",
+      tokenOut: "tokenA",
+      amount: "2.5",
+    });
+    expect(quote.amountIn).to.equal(amountIn);
+    expect(quote.amountOut).to.equal(amounts[1]);
+    expect(quote.priceImpactBps).to.equal(impact);
+  });
+
+  /**
+   * Tests the write tasks end to end:
+   * - Approvals are sent automatically
+   * - Deposits, swaps and withdrawals change the pool as expected
+   */
+  it("swap:add-liquidity / swap:swap / swap:remove-liquidity", async function () {
+    await tokenA.approve(deployment.simpleSwap, 0);
+    const added = await hre.run("swap:add-liquidity", {
+      amountA: "10",
+      amountB: "10",
+    });
+    expect(added.liquidity).to.be.gt(0);
+
+    const balanceBefore = await tokenB.balanceOf(user1.address);
+    const swapped = await hre.run("swap:swap", {
+      amount: "1",
+      to: user1.address,
+    });
+    expect(await tokenB.balanceOf(user1.address)).to.equal(
+      balanceBefore + swapped.amountOut
+    );
+
+    const removed = await hre.run("swap:remove-liquidity", {
+      liquidity: ethers.formatUnits(added.liquidity, 18),
+    });
+    expect(removed.liquidity).to.equal(added.liquidity);
+    expect(removed.amountA).to.be.gt(0);
+  });
+
+  /**
+   * Tests that the minimums follow the optimal deposit, so amounts off the
+   * pool ratio go through even with a zero slippage tolerance
+   */
+  it("swap:add-liquidity deposits the optimal amounts off the pool ratio", async function () {
+    const amountA = ethers.parseUnits("10", 18);
+    const [, reserves] = await simpleSwap.pairs(
+      deployment.tokenA,
+      deployment.tokenB
+    );
+    const added = await hre.run("swap:add-liquidity", {
+      amountA: "10",
+      amountB: "50",
+      slippage: 0,
+    });
+    expect(added.amountA).to.equal(amountA);
+    expect(added.amountB).to.equal(
+      await simpleSwap.quote(amountA, reserves.reserveA, reserves.reserveB)
+    );
+  });
+
+  /**
+   * Tests withdrawals with the protocol fee on:
+   * - The quote counts the LP tokens minted to feeTo before the burn, so
+   *   a zero slippage tolerance still goes through
+   */
+  it("swap:remove-liquidity quotes the payout after the protocol fee", async function () {
+    const factory = await ethers.getContractAt(
+      "SimpleSwapFactory",
+      deployment.factory
+    );
+    const pair = await ethers.getContractAt(
+      "SimpleSwapPair",
+      await simpleSwap.getLPToken(deployment.tokenA, deployment.tokenB)
+    );
+    await factory.setFeeTo(user1.address);
+    await factory.setProtocolFeeShare(5000);
+    try {
+      const added = await hre.run("swap:add-liquidity", {
+        amountA: "10",
+        amountB: "10",
+      });
+      await hre.run("swap:swap", { amount: "50" });
+
+      const removed = await hre.run("swap:remove-liquidity", {
+        liquidity: ethers.formatUnits(added.liquidity, 18),
+        slippage: 0,
+      });
+      expect(removed.amountA).to.be.gt(0);
+      expect(await pair.balanceOf(user1.address)).to.be.gt(0);
+    } finally {
+      await factory.setFeeTo(ethers.ZeroAddress);
+      await factory.setProtocolFeeShare(0);
+    }
+  });
+
+  /**
+   * Tests withdrawing from a pair that has never been funded
+   */
+  it("swap:remove-liquidity rejects a pool without liquidity", async function () {
+    const factory = await ethers.getContractAt(
+      "SimpleSwapFactory",
+      deployment.factory
+    );
+    await factory.createPair(deployment.tokenB, deployment.weth);
+    await expect(
+      hre.run("swap:remove-liquidity", {
+        tokenA: "tokenB",
+        tokenB: "weth",
+        liquidity: "1",
+      })
+    ).to.be.rejectedWith("Pool has no liquidity");
+  });
+
+  /**
+   * Tests minting through token:mint
+   */
+  it("token:mint mints to the recipient", async function () {
+    const before = await tokenB.balanceOf(user1.address);
+    await hre.run("token:mint", {
+      token: "tokenB",
+      amount: "3",
+      to: user1.address,
+    });
+    expect(await tokenB.balanceOf(user1.address)).to.equal(
+      before + ethers.parseUnits("3", 18)
+    );
+    expect(await tokenB.owner()).to.equal(owner.address);
+  });
+});
@@ -147,4 +147,46 @@ describe("Token Contracts", function () {
       expect(await tokenA.balanceOf(addr2.address)).to.equal(500);
     });
   });
+
+  // Test suite for EIP-2612 permit
+  describe("Permit", function () {
+    // Test gasless approval through a signed permit
+    it("Should set allowance from a signed permit (TokenA)", async function () {
+      const deadline = ethers.MaxUint256;
+      const signature = await owner.signTypedData(
+        {
+          name: "TokenA",
+          version: "1",
+          chainId: (await ethers.provider.getNetwork()).chainId,
+          verifyingContract: await tokenA.getAddress(),
+        },
+        {
+          Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" },
+          ],
+        },
+        {
+          owner: owner.address,
+          spender: addr1.address,
+          value: 1234,
+          nonce: await tokenA.nonces(owner.address),
+          deadline,
+        }
+      );
+      const { v, r, s } = ethers.Signature.from(signature);
+
+      // Anyone can submit the permit
+      await tokenA
+        .connect(addr2)
+        .permit(owner.address, addr1.address, 1234, deadline, v, r, s);
+      expect(await tokenA.allowance(owner.address, addr1.address)).to.equal(
+        1234
+      );
+      expect(await tokenA.nonces(owner.address)).to.equal(1);
+    });
+  });
 });
\ No newline at end of file